@@ -1,38 +1,33 @@
-// app.js - Main AR tracking application (NO Kalman, NO smoothing, NO gyro)
-// + Optional deblur preprocessing (UNSHARP or Richardson-Lucy)
-
-import { DESCRIPTOR } from "./descriptor.js";
-import { buildLSHIndex, lshMatchRatio } from "./lsh.js";
-import { ema, drawHUD, ensureGray8U, applyUnsharpMaskGray, richardsonLucyGrayLinePSF } from "./helpers.js";
+// app.js - Main AR tracking application
+// + Preprocessing chain before ORB (CLAHE, denoise, unsharp, Richardson-Lucy, gamma, downscale; see preprocess.js)
+// + Multi-target: one homography + outline per visible target from targets.json
+// + Frame-to-frame LK tracking of detected targets between full ORB detections
+// + Vision pipeline runs in worker.js; this thread only captures frames and draws
+// + 6-DoF pose per target (see pose.js), published as an "ar-pose" window event
+// + Optional temporal filtering (One-Euro / Kalman, see filters.js); raw quads stay visible
+// + Gyro-aided prediction (see imu.js): seeds optical flow and carries briefly lost targets
+// + Homography sanity checks (see homography.js); confidence from RANSAC inliers + geometry
+// + Runtime settings (see config.js): URL params, JSON config file, live panel, export
+// + Per-frame blur estimate (see blur.js) drives the RL PSF and the stages' blurred / sharp conditions
+// + Record / replay harness (see session.js): deterministic offline runs with a per-frame log
+// + Performance governor (see governor.js): trades detection quality for speed to hold a target FPS
+
+import { ema, drawHUD, drawQuad, drawKernel, targetColor, linePSFKernel, download } from "./helpers.js";
+import { drawPoseDebug, rotationToVector } from "./pose.js";
+import { createFilterBank } from "./filters.js";
+import { createGyroTracker, createFrameClock, requestMotionPermission } from "./imu.js";
+import { loadSettings, createSettingsPanel, SETTINGS_FIELDS, getPath } from "./config.js";
+import { createGovernor } from "./governor.js";
+import { createFrameRecorder, createVideoRecorder, openReplaySource, createRunLog, createSessionControls } from "./session.js";
 
 const video  = document.getElementById("video");
 const canvas = document.getElementById("canvas");
-const ctx = canvas.getContext("2d", { willReadFrequently: true });
-
-// ---------------- Deblur settings ----------------
-// "none" | "unsharp" | "rl"
-const DEBLUR_MODE = "unsharp";
-
-// unsharp params
-const UNSHARP_SIGMA = 1.2;
-const UNSHARP_AMOUNT = 1.2; // 0.6..2.0 usually
-
-// RL params (motion-blur line PSF)
-const RL_ITERS = 4;         // 3..6 (higher = slower)
-const RL_LEN_PX = 9;        // 5..15 (depends on how strong blur is)
-const RL_ANGLE_DEG = 0;     // you can wire this to a slider if you want
-
-// ---------- OpenCV ready ----------
-function waitCV(){
-  return new Promise(res=>{
-    const t = setInterval(()=>{
-      if (window.cv && cv.Mat){
-        clearInterval(t);
-        res();
-      }
-    }, 50);
-  });
-}
+const ctx = canvas.getContext("2d");
+
+// ---------------- Pipeline settings (sent to the worker) ----------------
+// Defaults live in config.js; ?config=<file.json> and URL params override them, and the
+// settings panel changes them live.
+const SETTINGS = await loadSettings();
 
 // ---------- Camera ----------
 async function startCamera(){
@@ -52,84 +47,140 @@ async function startCamera(){
   });
 
   await video.play();
-  syncVideoAttrsToFrameSize();
 }
 
-function syncVideoAttrsToFrameSize(){
-  const vw = video.videoWidth | 0;
-  const vh = video.videoHeight | 0;
-  if (!vw || !vh) return;
-
-  if (video.width !== vw)  video.width  = vw;
-  if (video.height !== vh) video.height = vh;
+// Prefer VideoFrame (zero-copy from the camera); ImageBitmap works everywhere else.
+async function grabFrame(){
+  if (typeof VideoFrame === "function") return new VideoFrame(video);
+  return createImageBitmap(video);
+}
 
-  if (canvas.width !== vw)  canvas.width  = vw;
-  if (canvas.height !== vh) canvas.height = vh;
+// ---------- Worker ----------
+function startWorker(settings){
+  const worker = new Worker(new URL("./worker.js", import.meta.url));
+  return new Promise((resolve, reject) => {
+    worker.onmessage = (e) => {
+      if (e.data.type === "ready") resolve({ worker, targetCount: e.data.targetCount, index: e.data.index, orbParams: e.data.orbParams });
+      else if (e.data.type === "error") reject(new Error(e.data.message));
+    };
+    worker.onerror = (e) => reject(new Error(e.message || "worker failed to start"));
+    worker.postMessage({ type: "init", settings });
+  });
 }
 
 // ---------- Init ----------
-await waitCV();
 await startCamera();
 
-const cap = new cv.VideoCapture(video);
-
-let frameRGBA = null;
-let gray8 = null;
-let procGray8 = null; // processed (deblurred) gray for ORB
-const emptyMask = new cv.Mat();
+// exposure for the gyro blur estimate: the camera's own value when it reports one
+// (Image Capture units: 100 µs)
+{
+  const cam = video.srcObject.getVideoTracks()[0]?.getSettings?.() ?? {};
+  if (cam.exposureTime > 0) SETTINGS.blur.exposureMs = cam.exposureTime / 10;
+}
+const { worker, targetCount, index: initialIndex, orbParams } = await startWorker(SETTINGS);
+
+let filterBank = createFilterBank(SETTINGS.filter);
+
+// ---------- Gyro ----------
+// iOS only delivers devicemotion after a permission prompt, which needs a user gesture;
+// elsewhere listening can start right away.
+const gyro = createGyroTracker({ ...SETTINGS.imu, enabled: true }); // on/off is handled here
+const frameClock = createFrameClock(video, SETTINGS.imu.frameLatencyMs);
+let gyroState = "off";
+let motionPermitted = typeof window.DeviceMotionEvent?.requestPermission !== "function";
+
+function startGyro(){
+  if (motionPermitted){
+    gyroState = "waiting";
+    gyro.start();
+    return;
+  }
+  gyroState = "tap to enable";
+  canvas.addEventListener("click", async () => {
+    try {
+      motionPermitted = await requestMotionPermission();
+    } catch {
+      motionPermitted = false;
+    }
+    gyroState = motionPermitted ? "waiting" : "denied";
+    if (motionPermitted && SETTINGS.imu.enabled) gyro.start();
+  }, { once: true });
+}
 
-function ensureMatSizesMatchVideoAttrs(){
-  syncVideoAttrsToFrameSize();
+if (SETTINGS.imu.enabled) startGyro();
+
+// ---------- Settings panel ----------
+// Everything is re-sent to the worker, which rebuilds the matcher index only when its
+// parameters changed; filter and gyro changes are applied here. Until the first change
+// the note says whether the initial index was loaded from a .lshi file or built.
+function indexNote({ backend, prebuilt, buildMs, lsh, lshiUnused }, built = "built"){
+  const tables = lsh ? ` (${lsh.numTables}x${lsh.keyBits} bits${lsh.autoTuned ? ", auto" : ""})` : "";
+  if (prebuilt) return `${backend} index loaded${tables}`;
+  const unused = lshiUnused ? `; .lshi not used: ${lshiUnused}` : "";
+  return `${backend} index ${built} in ${buildMs.toFixed(0)} ms${tables}${unused}`;
+}
+let settingsNote = indexNote(initialIndex);
+let lastBlur = null; // blur estimates and preprocessing reports only come with detection frames
+let lastPre = null;
+
+// settings the main thread uses itself: the pose filter bank and the gyro
+function applyLocalSetting(path){
+  if (path.startsWith("filter.")){
+    try {
+      filterBank = createFilterBank(SETTINGS.filter);
+    } catch (err) {
+      panel.setStatus(err.message);
+    }
+  }
+  if (path === "imu.enabled"){
+    if (SETTINGS.imu.enabled) startGyro();
+    else {
+      gyro.stop();
+      gyroState = "off";
+    }
+  }
+}
 
-  const vw = video.width | 0;
-  const vh = video.height | 0;
-  if (!vw || !vh) return false;
+const panel = createSettingsPanel(SETTINGS, (field) => {
+  applyLocalSetting(field.path);
+  if (field.path === "governor.enabled" && !SETTINGS.governor.enabled) governor.reset();
+  sendSettings("panel");
+});
 
-  if (!frameRGBA || frameRGBA.cols !== vw || frameRGBA.rows !== vh){
-    if (frameRGBA) frameRGBA.delete();
-    if (gray8) gray8.delete();
-    if (procGray8) procGray8.delete();
+// ---------- Governor ----------
+// The worker gets SETTINGS with the governor's current reductions applied; SETTINGS itself
+// (panel, export, URL) keeps the configured quality. Off during replay, so a replayed
+// session runs with the same settings every time. `governed` is what was last sent; every
+// change to SETTINGS or the governor's levels goes through sendSettings.
+const governor = createGovernor();
+let governed = SETTINGS;
+
+// The worker keeps its settings when it rejects a change (pipeline.js updateSettings);
+// SETTINGS then goes back to the last ones it accepted, so the panel, URL and export only
+// show what is running. The worker answers every settings message, in order.
+let acceptedSettings = structuredClone(SETTINGS);
+const pendingSettings = []; // SETTINGS as sent, oldest first, until the worker replies
+
+function sendSettings(reason){
+  governed = governor.apply(SETTINGS, orbParams);
+  pendingSettings.push(structuredClone(SETTINGS));
+  worker.postMessage({ type: "settings", settings: governed, reason });
+}
 
-    frameRGBA = new cv.Mat(vh, vw, cv.CV_8UC4);
-    gray8     = new cv.Mat(vh, vw, cv.CV_8UC1);
-    procGray8 = new cv.Mat(vh, vw, cv.CV_8UC1);
-  }
-  return true;
+function settingsAccepted(){
+  acceptedSettings = pendingSettings.shift();
 }
 
-// ---------- ORB ----------
-const orb = new cv.ORB(
-  DESCRIPTOR.orbParams.nfeatures,
-  DESCRIPTOR.orbParams.scaleFactor,
-  DESCRIPTOR.orbParams.nlevels,
-  DESCRIPTOR.orbParams.edgeThreshold,
-  DESCRIPTOR.orbParams.firstLevel,
-  DESCRIPTOR.orbParams.WTA_K,
-  cv.ORB_HARRIS_SCORE,
-  DESCRIPTOR.orbParams.patchSize,
-  DESCRIPTOR.orbParams.fastThreshold
-);
-
-// ---------- Reference data ----------
-const refU8 = DESCRIPTOR.descriptors.data;
-const refRows = DESCRIPTOR.descriptors.rows;
-const refKps = DESCRIPTOR.keypoints;
-const refW = DESCRIPTOR.image.width;
-const refH = DESCRIPTOR.image.height;
-
-const refCorners = cv.matFromArray(4, 1, cv.CV_32FC2, [
-  0, 0,
-  refW, 0,
-  refW, refH,
-  0, refH
-]);
-
-// ---------- Build LSH Index ----------
-const lshIndex = buildLSHIndex(refU8, refRows, {
-  numTables: 10,
-  keyBits: 18,
-  seedBase: 1337
-});
+function settingsRejected(message){
+  pendingSettings.shift();
+  const changed = SETTINGS_FIELDS.filter(f =>
+    JSON.stringify(getPath(SETTINGS, f.path)) !== JSON.stringify(getPath(acceptedSettings, f.path)));
+  Object.assign(SETTINGS, structuredClone(acceptedSettings));
+  governed = governor.apply(SETTINGS, orbParams);
+  for (const field of changed) applyLocalSetting(field.path);
+  panel.refresh();
+  panel.setStatus(message);
+}
 
 // ---------- Stats ----------
 let fpsEma = null;
@@ -138,207 +189,360 @@ let lastT = performance.now();
 
 let tCapEma = null;
 let tGrayEma = null;
-let tDeblurEma = null;
+let tPreEma = null;
+const tStageEma = new Map(); // preprocessing stage -> ema of its run time
 let tOrbEma = null;
+let tFlowEma = null;
 let tMatchEma = null;
 let tHomoEma = null;
-let tImshowEma = null;
-
-// ---------- Main loop ----------
-function loop(){
-  if (video.readyState < 2){
-    requestAnimationFrame(loop);
+let tPoseEma = null;
+let tDrawEma = null;
+let tLatencyEma = null;
+
+let frameId = 0;
+let inFlight = false; // at most one frame in the worker; newer frames are dropped
+let sentAt = 0;
+let frameT = 0;           // timestamp (ms) of the frame in the worker: sentAt live, recorded time on replay
+let prevFrameTime = null; // capture time of the last frame sent, for gyro integration
+let droppedFrames = 0;
+let lastError = null;
+
+// ---------- Result drawing ----------
+function onResult(msg){
+  const tDraw0 = performance.now();
+
+  const { frame, width, height } = msg;
+  if (canvas.width !== width)  canvas.width  = width;
+  if (canvas.height !== height) canvas.height = height;
+
+  ctx.drawImage(frame, 0, 0, width, height);
+  frame.close();
+
+  // worker errors still hand the frame back, without results
+  if (!msg.timings){
+    drawHUD(ctx, canvas, [`Worker error: ${lastError}`]);
     return;
   }
 
-  if (!ensureMatSizesMatchVideoAttrs()){
-    requestAnimationFrame(loop);
-    return;
-  }
+  const targetResults = msg.targets;
 
-  const tFrame0 = performance.now();
-
-  // Capture
-  const tCap0 = performance.now();
-  cap.read(frameRGBA);
-  const tCap1 = performance.now();
-
-  // Gray
-  const tGray0 = performance.now();
-  cv.cvtColor(frameRGBA, gray8, cv.COLOR_RGBA2GRAY);
-  const tGray1 = performance.now();
-
-  // Deblur / preprocess (optional)
-  const tDeb0 = performance.now();
-  if (DEBLUR_MODE === "none"){
-    gray8.copyTo(procGray8);
-  } else if (DEBLUR_MODE === "unsharp"){
-    applyUnsharpMaskGray(gray8, procGray8, UNSHARP_SIGMA, UNSHARP_AMOUNT);
-  } else if (DEBLUR_MODE === "rl"){
-    // Richardson–Lucy assumes a motion blur PSF (line kernel). This is slower.
-    richardsonLucyGrayLinePSF(gray8, procGray8, RL_LEN_PX, RL_ANGLE_DEG, RL_ITERS);
-  } else {
-    gray8.copyTo(procGray8);
+  // Draw raw quads (one colour per target)
+  for (const t of targetResults){
+    if (t.corners) drawQuad(ctx, t.corners, targetColor(t.index), t.id);
   }
-  const tDeb1 = performance.now();
-
-  // ORB
-  const kps = new cv.KeyPointVector();
-  const descU8 = new cv.Mat();
-
-  const tOrb0 = performance.now();
-  orb.detectAndCompute(procGray8, emptyMask, kps, descU8, false);
-  const tOrb1 = performance.now();
-
-  const kpCount = kps.size();
-
-  // Render frame
-  const tIm0 = performance.now();
-  cv.imshow(canvas, frameRGBA);
-  const tIm1 = performance.now();
-
-  // Matching + Homography
-  let goodMatches = 0;
-  let matchMs = 0;
-  let homoMs  = 0;
-  let trackingMode = "none";
-  let confidence = 0;
-
-  const srcPts = [];
-  const dstPts = [];
-
-  if (!descU8.empty() && descU8.cols === 32){
-    const liveRows = descU8.rows;
-    const liveU8 = new Uint8Array(descU8.data);
-
-    const tM0 = performance.now();
-    const m1 = lshMatchRatio(lshIndex, liveU8, liveRows, {
-      maxCandidates: 800,
-      ratio: 0.8,
-      maxHamming: null,
-      useMultiProbe: true
-    });
-    const tM1 = performance.now();
-    matchMs = tM1 - tM0;
-
-    for (let j = 0; j < m1.length; j++){
-      const m = m1[j];
-      if (!m) continue;
-
-      goodMatches++;
-
-      const kpRef = refKps[m.queryIdx];
-      const kpCur = kps.get(m.trainIdx).pt;
-
-      srcPts.push(kpRef.x, kpRef.y);
-      dstPts.push(kpCur.x, kpCur.y);
+  const visibleCount = targetResults.filter(t => t.corners).length;
+
+  // Filtered quads (dashed white) next to the raw ones
+  const { K, projection } = msg.camera;
+  const filtered = filterBank.update(targetResults, frameT / 1000, K);
+  if (SETTINGS.filter.type !== "none"){
+    for (const f of filtered.values()){
+      drawQuad(ctx, f.corners, "rgba(255, 255, 255, 0.9)", null, [8, 6]);
     }
+  }
 
-    if (srcPts.length >= 8){
-      const tH0 = performance.now();
-
-      const srcMat = cv.matFromArray(srcPts.length / 2, 1, cv.CV_32FC2, srcPts);
-      const dstMat = cv.matFromArray(dstPts.length / 2, 1, cv.CV_32FC2, dstPts);
-
-      const H = cv.findHomography(srcMat, dstMat, cv.RANSAC, 3.0);
-
-      if (H && !H.empty()){
-        trackingMode = "detected";
-        confidence = Math.min(0.98, goodMatches / 40);
-
-        const dstCorners = new cv.Mat();
-        cv.perspectiveTransform(refCorners, dstCorners, H);
-
-        const rawCorners = [];
-        for (let i = 0; i < 4; i++){
-          rawCorners.push({
-            x: dstCorners.data32F[i * 2],
-            y: dstCorners.data32F[i * 2 + 1]
-          });
-        }
-
-        // Draw raw detection (red)
-        ctx.save();
-        ctx.strokeStyle = "rgba(255, 0, 0, 0.9)";
-        ctx.lineWidth = 3;
-        ctx.setLineDash([]);
-        ctx.beginPath();
-        ctx.moveTo(rawCorners[0].x, rawCorners[0].y);
-        for (let i = 1; i < 4; i++) ctx.lineTo(rawCorners[i].x, rawCorners[i].y);
-        ctx.closePath();
-        ctx.stroke();
-        ctx.restore();
-
-        dstCorners.delete();
-      } else {
-        trackingMode = "none";
-        confidence = 0;
-      }
-
-      if (H) H.delete();
-      srcMat.delete();
-      dstMat.delete();
-
-      const tH1 = performance.now();
-      homoMs = tH1 - tH0;
-    } else {
-      trackingMode = "weak";
-      confidence = Math.min(0.6, goodMatches / 20);
+  // Pose: debug axes + cube, and hand the (filtered) matrices to whoever renders AR content
+  if (SETTINGS.pose.debug){
+    for (const f of filtered.values()){
+      if (f.pose) drawPoseDebug(ctx, K, f.pose);
+    }
+  }
+  window.dispatchEvent(new CustomEvent("ar-pose", {
+    detail: {
+      frameId: msg.frameId,
+      projection,
+      targets: targetResults
+        .filter(t => filtered.get(t.index)?.pose)
+        .map(t => {
+          const { pose } = filtered.get(t.index);
+          return { id: t.id, modelView: pose.modelView, R: pose.R, t: pose.t };
+        })
     }
+  }));
+
+  const tDraw1 = performance.now();
+
+  const tm = msg.timings;
+  const drawMs = tDraw1 - tDraw0;
+  const latencyMs = tDraw1 - sentAt;
+
+  tCapEma    = ema(tCapEma, tm.cap, 0.2);
+  tGrayEma   = ema(tGrayEma, tm.gray, 0.2);
+  tPreEma    = ema(tPreEma, tm.pre, 0.2);
+  tOrbEma    = ema(tOrbEma, tm.orb, 0.2);
+  tFlowEma   = ema(tFlowEma, tm.flow, 0.2);
+  tMatchEma  = ema(tMatchEma, tm.match, 0.2);
+  tHomoEma   = ema(tHomoEma, tm.homo, 0.2);
+  tPoseEma   = ema(tPoseEma, tm.pose, 0.2);
+  tDrawEma   = ema(tDrawEma, drawMs, 0.2);
+  tLatencyEma = ema(tLatencyEma, latencyMs, 0.2);
+  totalMsEma = ema(totalMsEma, tm.total, 0.2);
+  if (!replay && governor.update(performance.now(), { total: totalMsEma, pre: tPreEma, orb: tOrbEma, match: tMatchEma }, SETTINGS)){
+    sendSettings("governor");
   }
 
-  descU8.delete();
-  kps.delete();
-
-  const tFrame1 = performance.now();
-
-  const capMs    = tCap1  - tCap0;
-  const grayMs   = tGray1 - tGray0;
-  const deblurMs = tDeb1  - tDeb0;
-  const orbMs    = tOrb1  - tOrb0;
-  const imshowMs = tIm1   - tIm0;
-  const totalMs  = tFrame1 - tFrame0;
-
-  tCapEma    = ema(tCapEma, capMs, 0.2);
-  tGrayEma   = ema(tGrayEma, grayMs, 0.2);
-  tDeblurEma = ema(tDeblurEma, deblurMs, 0.2);
-  tOrbEma    = ema(tOrbEma, orbMs, 0.2);
-  tMatchEma  = ema(tMatchEma, matchMs, 0.2);
-  tHomoEma   = ema(tHomoEma, homoMs, 0.2);
-  tImshowEma = ema(tImshowEma, imshowMs, 0.2);
-  totalMsEma = ema(totalMsEma, totalMs, 0.2);
-
-  const dt = tFrame1 - lastT;
-  lastT = tFrame1;
+  const dt = tDraw1 - lastT;
+  lastT = tDraw1;
   const fps = dt > 0 ? 1000 / dt : 0;
   fpsEma = ema(fpsEma, fps, 0.2);
 
+  if (msg.preprocess){
+    lastBlur = msg.blur;
+    lastPre = msg.preprocess;
+    for (const s of lastPre.stages){
+      if (!s.skipped) tStageEma.set(s.type, ema(tStageEma.get(s.type) ?? null, s.ms, 0.2));
+    }
+  }
+  const pre = governed.preprocess; // the chain the worker runs
+  const b = lastBlur;
+  const rlFixed = pre.chain.includes("rl") && !SETTINGS.blur.auto;
+  const blurLine = rlFixed ? `Blur: fixed PSF ${pre.rl.lenPx}px @ ${pre.rl.angleDeg}°` :
+    !b ? "Blur: not estimated" :
+    b.sharp ? `Blur: sharp [${b.source}]` :
+    `Blur: ${b.lenPx.toFixed(1)}px @ ${b.angleDeg.toFixed(0)}° [${b.source}]`;
+
+  // one line per stage of the last detection frame: time or why it was skipped
+  const stageLines = (lastPre?.stages ?? []).map(s => `  ${(s.type + ":").padEnd(10)}` + (s.skipped
+    ? `skipped (${s.skipped})`
+    : `${s.ms.toFixed(2)} (avg ${tStageEma.get(s.type)?.toFixed(2) ?? 0}) ms`));
+  if (lastPre?.blurMs > 0) stageLines.push(`  ${"blur est:".padEnd(10)}${lastPre.blurMs.toFixed(2)} ms`);
+
   drawHUD(ctx, canvas, [
-    `RES: ${video.width}x${video.height} | KPs: ${kpCount} | Matches: ${goodMatches}`,
-    `Track: ${trackingMode} (conf: ${(confidence * 100).toFixed(0)}%)`,
-    `Pre: ${DEBLUR_MODE}`,
-    `cap:    ${capMs.toFixed(2)} (avg ${tCapEma?.toFixed(2) ?? 0}) ms`,
-    `gray:   ${grayMs.toFixed(2)} (avg ${tGrayEma?.toFixed(2) ?? 0}) ms`,
-    `deblur: ${deblurMs.toFixed(2)} (avg ${tDeblurEma?.toFixed(2) ?? 0}) ms`,
-    `orb:    ${orbMs.toFixed(2)} (avg ${tOrbEma?.toFixed(2) ?? 0}) ms`,
-    `match:  ${matchMs.toFixed(2)} (avg ${tMatchEma?.toFixed(2) ?? 0}) ms  [LSH]`,
-    `homo:   ${homoMs.toFixed(2)} (avg ${tHomoEma?.toFixed(2) ?? 0}) ms`,
-    `imshow: ${imshowMs.toFixed(2)} (avg ${tImshowEma?.toFixed(2) ?? 0}) ms`,
-    `TOTAL:  ${totalMs.toFixed(2)} (avg ${totalMsEma?.toFixed(2) ?? 0}) ms`,
+    `RES: ${width}x${height} | KPs: ${msg.kpCount} | Matches: ${msg.goodMatches}`,
+    `Targets: ${visibleCount} visible / ${targetCount} in database`,
+    `Frame: ${msg.frameMode} | dropped: ${droppedFrames}`,
+    `Gyro: ${gyro.available() ? "on" : gyroState}` + (settingsNote ? ` | ${settingsNote}` : ""),
+    sessionLine(),
+    `Pre: ${pre.chain.join(" > ") || "none"}` +
+      (lastPre && lastPre.width !== width ? ` (ORB at ${lastPre.width}x${lastPre.height})` : "") +
+      ` | Filter: ${SETTINGS.filter.type}` +
+      (SETTINGS.filter.type === "kalman" ? ` (${SETTINGS.filter.kalman.space})` : ""),
+    `Gov: ${replay && SETTINGS.governor.enabled ? "paused (replay)" : governor.describe(SETTINGS, governed)}`,
+    blurLine,
+    `cap:    ${tm.cap.toFixed(2)} (avg ${tCapEma?.toFixed(2) ?? 0}) ms`,
+    `gray:   ${tm.gray.toFixed(2)} (avg ${tGrayEma?.toFixed(2) ?? 0}) ms`,
+    `pre:    ${tm.pre.toFixed(2)} (avg ${tPreEma?.toFixed(2) ?? 0}) ms`,
+    ...stageLines,
+    `orb:    ${tm.orb.toFixed(2)} (avg ${tOrbEma?.toFixed(2) ?? 0}) ms`,
+    `flow:   ${tm.flow.toFixed(2)} (avg ${tFlowEma?.toFixed(2) ?? 0}) ms  [LK]`,
+    `match:  ${tm.match.toFixed(2)} (avg ${tMatchEma?.toFixed(2) ?? 0}) ms  [${SETTINGS.matcher.backend}${SETTINGS.matcher.crossCheck ? " x-check" : ""}]`,
+    `homo:   ${tm.homo.toFixed(2)} (avg ${tHomoEma?.toFixed(2) ?? 0}) ms`,
+    `pose:   ${tm.pose.toFixed(2)} (avg ${tPoseEma?.toFixed(2) ?? 0}) ms  [IPPE]`,
+    `draw:   ${drawMs.toFixed(2)} (avg ${tDrawEma?.toFixed(2) ?? 0}) ms  [main]`,
+    `TOTAL:  ${tm.total.toFixed(2)} (avg ${totalMsEma?.toFixed(2) ?? 0}) ms  [worker]`,
+    `lat:    ${latencyMs.toFixed(2)} (avg ${tLatencyEma?.toFixed(2) ?? 0}) ms  [grab->draw]`,
     `FPS:    ${fps.toFixed(1)} (avg ${fpsEma?.toFixed(1) ?? 0})`
-  ]);
+  ], targetResults);
+
+  // estimated PSF, bottom right
+  if (b && !b.sharp && pre.chain.includes("rl")){
+    const size = 96;
+    drawKernel(ctx, linePSFKernel(b.lenPx, b.angleDeg), canvas.width - size - 10, canvas.height - size - 10, size, "PSF");
+  }
+}
+
+worker.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === "result"){
+    inFlight = false;
+    if (runLog && msg.frameId >= logFromId) runLog.add(msg.frameId - logFromId, frameT, msg);
+    onResult(msg);
+    if (replay) replayNext();
+  } else if (msg.type === "settings"){
+    settingsAccepted();
+    if (msg.reason !== "governor") settingsNote = msg.rebuiltIndex ? indexNote(msg.index, "rebuilt") : "settings applied";
+  } else if (msg.type === "error" && msg.reason){
+    settingsRejected(msg.message);
+  } else if (msg.type === "error"){
+    lastError = msg.message;
+    console.error("worker:", msg.message);
+  }
+};
+
+// ---------- Sending ----------
+function sendFrame(frame, width, height, imu, t){
+  inFlight = true;
+  sentAt = performance.now();
+  frameT = t ?? sentAt;
+  worker.postMessage({ type: "frame", frameId: frameId++, frame, width, height, imu }, [frame]);
+}
+
+// ---------- Record / replay ----------
+// Recording hooks into the live send path, so a session holds exactly the frames (and IMU
+// payloads) the worker saw. Replay pauses the live loop and sends the next frame only
+// after the previous result, paced to session.replayFps; the worker is reset first so the
+// run does not depend on what was tracked before.
+let recorder = null;  // { kind: "frames" | "video", rec, firstId }
+let replay = null;    // { source, index, startedAt, interval }
+let runLog = null;    // per-frame results of the current replay / recording (session.js)
+let logFromId = 0;    // frames sent before the log started are not part of it
+
+function startLog(source){
+  runLog = createRunLog({ source, settings: SETTINGS });
+  logFromId = frameId;
+}
+
+function resetTracking(){
+  if (governor.reset()) sendSettings("governor");
+  worker.postMessage({ type: "reset" });
+  filterBank = createFilterBank(SETTINGS.filter);
+  prevFrameTime = null;
+}
+
+const stamp = () => new Date().toISOString().replace(/[:.]/g, "-");
+
+function sessionLine(){
+  if (replay) return `Session: replay ${replay.index}/${replay.source.frameCount} (${replay.source.name})`;
+  if (recorder) return `Session: REC ${recorder.kind}` + (recorder.kind === "frames" ? ` ${recorder.rec.count} frames` : "");
+  return `Session: live` + (runLog ? ` | log ${runLog.frames} frames` : "");
+}
+
+async function startReplay(files){
+  if (recorder){
+    panel.setStatus("stop recording before replaying");
+    return;
+  }
+  stopReplay();
+  let source;
+  try {
+    source = await openReplaySource(files, { fps: SETTINGS.session.replayFps });
+  } catch (err) {
+    panel.setStatus(err.message);
+    return;
+  }
+  const fps = SETTINGS.session.replayFps;
+  replay = { source, index: 0, startedAt: performance.now(), interval: fps > 0 ? 1000 / fps : 0 };
+  resetTracking();
+  startLog({ kind: source.kind, name: source.name, frameCount: source.frameCount, replayFps: fps });
+  panel.setStatus(`replaying ${source.name}`);
+  if (!inFlight) replayNext(); // otherwise the pending live result starts it
+}
+
+function stopReplay(){
+  if (!replay) return;
+  replay.source.close();
+  replay = null;
+  resetTracking();
+}
+
+async function replayNext(){
+  const r = replay;
+  if (r.busy) return;
+  r.busy = true;
+  let item;
+  try {
+    item = await r.source.next();
+  } catch (err) {
+    item = null;
+    panel.setStatus(`replay stopped: ${err.message}`);
+  }
+  r.busy = false;
+  if (replay !== r){
+    item?.frame.close();
+    return;
+  }
+  if (!item){
+    panel.setStatus(`replay done: ${runLog.frames} frames logged`);
+    stopReplay();
+    return;
+  }
+
+  const wait = r.startedAt + r.index * r.interval - performance.now();
+  if (wait > 0) await new Promise(res => setTimeout(res, wait));
+  if (replay !== r){
+    item.frame.close();
+    return;
+  }
+  r.index++;
+  const imu = SETTINGS.imu.enabled ? item.imu : null;
+  sendFrame(item.frame, item.frame.width, item.frame.height, imu, item.t);
+}
+
+function startRecording(kind){
+  try {
+    const rec = kind === "video" ? createVideoRecorder(video.srcObject) : createFrameRecorder(SETTINGS.session);
+    recorder = { kind, rec };
+    startLog({ kind: "live", recording: kind });
+    panel.setStatus(`recording ${kind}`);
+  } catch (err) {
+    panel.setStatus(err.message);
+  }
+}
+
+async function stopRecording(){
+  if (!recorder) return;
+  const { kind, rec } = recorder;
+  recorder = null;
+  panel.setStatus("saving recording…");
+  try {
+    if (kind === "video"){
+      const blob = await rec.stop();
+      download(blob, `tracker-video-${stamp()}.${rec.type.startsWith("video/mp4") ? "mp4" : "webm"}`, rec.type);
+    } else {
+      const blob = await rec.finish({ settings: SETTINGS });
+      download(blob, `tracker-session-${stamp()}.json`, "application/json");
+    }
+    panel.setStatus(`recording saved`);
+  } catch (err) {
+    panel.setStatus(`recording failed: ${err.message}`);
+  }
+}
 
+createSessionControls({
+  onRecord: startRecording,
+  onStopRecord: stopRecording,
+  onReplay: startReplay,
+  onStopReplay: stopReplay,
+  onDownloadLog(){
+    if (runLog) runLog.download(`tracker-log-${stamp()}.jsonl`);
+    else panel.setStatus("no run log yet: replay a session or record one");
+  }
+});
+
+// ---------- Main loop ----------
+// Only grabs frames; a frame that arrives while the worker is busy is skipped, not queued.
+let lastVideoTime = -1;
+
+async function loop(){
   requestAnimationFrame(loop);
+
+  if (replay) return;
+  if (video.readyState < 2) return;
+  if (video.currentTime === lastVideoTime) return;
+
+  if (inFlight){
+    droppedFrames++;
+    lastVideoTime = video.currentTime;
+    return;
+  }
+
+  const width = video.videoWidth | 0;
+  const height = video.videoHeight | 0;
+  if (!width || !height) return;
+
+  inFlight = true;
+  lastVideoTime = video.currentTime;
+
+  // rotation since the previous frame the worker saw (it sees every frame we send)
+  const tFrame = frameClock.now();
+  const R = prevFrameTime != null ? gyro.rotationBetween(prevFrameTime, tFrame) : null;
+  prevFrameTime = tFrame;
+  // rotation during this frame's exposure, for the blur estimate
+  const Rexp = gyro.rotationBetween(tFrame - SETTINGS.blur.exposureMs, tFrame);
+  const imu = SETTINGS.imu.enabled ? { R, t: tFrame, exposureRot: Rexp ? rotationToVector(Rexp) : null } : null;
+
+  const frame = await grabFrame();
+  // recorded before the frame is transferred; t is what the filters will see on replay
+  const t = performance.now();
+  if (recorder?.kind === "frames") recorder.rec.capture(frame, width, height, t, imu);
+  sendFrame(frame, width, height, imu, t);
 }
 
 loop();
 
 // ---------- Cleanup ----------
 window.addEventListener("beforeunload", () => {
-  try { frameRGBA?.delete(); } catch {}
-  try { gray8?.delete(); } catch {}
-  try { procGray8?.delete(); } catch {}
-  try { emptyMask.delete(); } catch {}
-  try { refCorners.delete(); } catch {}
-  try { orb.delete(); } catch {}
+  try { worker.terminate(); } catch {}
+  try { gyro.stop(); } catch {}
+  try { video.srcObject?.getTracks().forEach(t => t.stop()); } catch {}
 });
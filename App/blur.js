@@ -0,0 +1,152 @@
+// blur.js - Per-frame motion-blur estimate (length + direction) for the RL deblur PSF
+// Two sources:
+//   gyro  - camera rotation during the exposure (imu.js) times the focal length gives the
+//           image motion at the frame centre; roll is ignored (it is not a line PSF)
+//   image - cepstrum of a central crop: a linear blur of length L puts periodic zeros
+//           in the spectrum, which show up as a strong negative cepstral peak at
+//           distance L along the blur direction
+// Angles follow linePSFKernel in helpers.js: degrees from +x towards +y (image y down),
+// folded into [0, 180).
+
+export const BLUR_DEFAULTS = {
+  auto: true,          // estimate the PSF per frame instead of using preprocess.rl.lenPx / angleDeg
+  source: "auto",      // "auto" (gyro when available, else image) | "gyro" | "image"
+  exposureMs: 20,      // assumed exposure; replaced by the camera's own value when it reports one
+  minBlurPx: 3,        // below this the frame counts as sharp (stages with when "blurred" skip it)
+  maxLenPx: 31,        // longest blur searched for / used as PSF
+  minPeakZ: 6,         // cepstral peak prominence (std devs) needed to call a frame blurred (sharp frames: ~3)
+  analysisSize: 256    // side of the central crop analysed (px, power of two is fastest)
+};
+
+function foldAngle(deg){
+  return ((deg % 180) + 180) % 180;
+}
+
+// Owns the DFT buffers; options are passed per call so live settings changes apply.
+export function createBlurEstimator(){
+  let N = 0;
+  let crop32 = null;   // windowed crop
+  let spectrum = null; // complex DFT of the crop
+  let logMag = null;   // log(1 + |F|)
+  let cepstrum = null; // complex DFT of logMag (real part used)
+  let hann = null;     // Hann window, N*N
+
+  function ensure(n){
+    if (n === N) return;
+    disposeMats();
+    N = n;
+    crop32   = new cv.Mat(N, N, cv.CV_32F);
+    spectrum = new cv.Mat();
+    logMag   = new cv.Mat(N, N, cv.CV_32F);
+    cepstrum = new cv.Mat();
+
+    hann = new Float32Array(N * N);
+    const w1 = new Float32Array(N);
+    for (let i = 0; i < N; i++) w1[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (N - 1));
+    for (let y = 0; y < N; y++){
+      for (let x = 0; x < N; x++) hann[y * N + x] = w1[y] * w1[x];
+    }
+  }
+
+  function disposeMats(){
+    crop32?.delete();
+    spectrum?.delete();
+    logMag?.delete();
+    cepstrum?.delete();
+    crop32 = spectrum = logMag = cepstrum = null;
+  }
+
+  // Returns { lenPx, angleDeg, source: "image", peakZ } (lenPx 0 when no blur stands out)
+  function fromImage(gray8, opts = BLUR_DEFAULTS){
+    const n = Math.min(opts.analysisSize, gray8.cols, gray8.rows) & ~1;
+    ensure(n);
+
+    const x0 = (gray8.cols - N) >> 1;
+    const y0 = (gray8.rows - N) >> 1;
+    const roi = gray8.roi(new cv.Rect(x0, y0, N, N));
+    roi.convertTo(crop32, cv.CV_32F);
+    roi.delete();
+
+    // zero-mean + Hann window, so the crop edges do not dominate the spectrum
+    const d = crop32.data32F;
+    let mean = 0;
+    for (let i = 0; i < d.length; i++) mean += d[i];
+    mean /= d.length;
+    for (let i = 0; i < d.length; i++) d[i] = (d[i] - mean) * hann[i];
+
+    cv.dft(crop32, spectrum, cv.DFT_COMPLEX_OUTPUT);
+    const F = spectrum.data32F;
+    const l = logMag.data32F;
+    for (let i = 0; i < l.length; i++) l[i] = Math.log(1 + Math.hypot(F[2 * i], F[2 * i + 1]));
+    cv.dft(logMag, cepstrum, cv.DFT_COMPLEX_OUTPUT);
+    const C = cepstrum.data32F;
+
+    // most negative cepstrum value in the half-plane annulus 3 <= r <= maxLen
+    const maxR = Math.min(opts.maxLenPx, (N >> 1) - 1);
+    let best = 0, bx = 0, by = 0;
+    let sum = 0, sum2 = 0, count = 0;
+    for (let dy = 0; dy <= maxR; dy++){
+      for (let dx = -maxR; dx <= maxR; dx++){
+        if (dy === 0 && dx < 0) continue; // the cepstrum is symmetric
+        const r = Math.hypot(dx, dy);
+        if (r < 3 || r > maxR) continue;
+        const v = C[2 * (dy * N + ((dx + N) % N))];
+        sum += v;
+        sum2 += v * v;
+        count++;
+        if (v < best){ best = v; bx = dx; by = dy; }
+      }
+    }
+    const mean2 = sum / count;
+    const sd = Math.sqrt(Math.max(1e-12, sum2 / count - mean2 * mean2));
+    const peakZ = (mean2 - best) / sd;
+
+    if (peakZ < opts.minPeakZ) return { lenPx: 0, angleDeg: 0, source: "image", peakZ };
+    return {
+      lenPx: Math.hypot(bx, by),
+      angleDeg: foldAngle(Math.atan2(by, bx) * 180 / Math.PI),
+      source: "image",
+      peakZ
+    };
+  }
+
+  // exposureRot: rotation vector (rad, camera axes) accumulated over the exposure; K: intrinsics
+  function fromGyro(exposureRot, K){
+    // small rotation about x moves the centre by +fy*rx in y, about y by -fx*ry in x
+    const dx = -K.fx * exposureRot[1];
+    const dy = K.fy * exposureRot[0];
+    const len = Math.hypot(dx, dy);
+    return {
+      lenPx: len,
+      angleDeg: len > 0 ? foldAngle(Math.atan2(dy, dx) * 180 / Math.PI) : 0,
+      source: "gyro",
+      peakZ: null
+    };
+  }
+
+  // Picks the source per opts.source; returns the estimate plus `sharp` and a PSF-ready
+  // length clamped to maxLenPx.
+  function estimate(gray8, K, exposureRot = null, opts = BLUR_DEFAULTS){
+    const useGyro = opts.source === "gyro" || (opts.source === "auto" && exposureRot != null);
+    let e;
+    if (useGyro){
+      if (!exposureRot) return { lenPx: 0, angleDeg: 0, source: "gyro (no data)", peakZ: null, sharp: true };
+      e = fromGyro(exposureRot, K);
+    } else {
+      e = fromImage(gray8, opts);
+    }
+    e.sharp = e.lenPx < opts.minBlurPx;
+    e.lenPx = Math.min(e.lenPx, opts.maxLenPx);
+    return e;
+  }
+
+  return {
+    estimate,
+    fromImage,
+    fromGyro,
+    dispose(){
+      disposeMats();
+      N = 0;
+    }
+  };
+}
@@ -0,0 +1,395 @@
+// config.js - Tracker settings: defaults, URL parameters, JSON config file, live panel, export
+// Precedence (lowest first): DEFAULT_SETTINGS < ?config=<file.json> < individual URL params.
+// Every field in SETTINGS_FIELDS can be set from the URL by its param name (the dotted
+// path unless an alias is given), e.g. ?preprocess=clahe,rl&lsh.numTables=12&filter=kalman.
+// The config file may set anything in DEFAULT_SETTINGS, including the free-form
+// override objects (track, homography) that have no panel controls.
+
+import { FILTER_DEFAULTS } from "./filters.js";
+import { IMU_DEFAULTS } from "./imu.js";
+import { BLUR_DEFAULTS } from "./blur.js";
+import { SESSION_DEFAULTS } from "./session.js";
+import { PREPROCESS_DEFAULTS, PREPROCESS_STAGES, PREPROCESS_CONDITIONS } from "./preprocess.js";
+import { MATCHER_DEFAULTS } from "./matchers.js";
+import { LSH_DEFAULTS } from "./lsh.js";
+import { LSH_TUNE_DEFAULTS } from "./lshparams.js";
+import { GOVERNOR_DEFAULTS } from "./governor.js";
+import { download } from "./helpers.js";
+
+// ---------------- Defaults ----------------
+export const DEFAULT_SETTINGS = {
+  targetsUrl: "./targets.json",
+
+  // Preprocessing before ORB: chain = stages in order (clahe, denoise, unsharp, rl, gamma,
+  // downscale), each with its parameters, `when` and `targets` (see preprocess.js)
+  preprocess: structuredClone(PREPROCESS_DEFAULTS),
+
+  // Automatic blur estimate (parameters in blur.js): drives the RL PSF instead of
+  // preprocess.rl.lenPx / angleDeg and decides the stages' "blurred" / "sharp" conditions
+  blur: { ...BLUR_DEFAULTS },
+
+  // Detection: ORB runs on the frame resized by detectScale (keypoints are mapped back);
+  // orb.* override the reference's nfeatures / fastThreshold (null = targets.json value)
+  detectScale: 1,
+  orb: { nfeatures: null, fastThreshold: null },
+
+  // Matching: backend + cross-check (parameters in matchers.js); lsh.* are the LSH tables
+  // (a target's precomputed .lshi index is only used while they match the file; autoTune
+  // picks keyBits / numTables for targetRecall within memoryMB, see lshparams.js),
+  // match.* apply to every backend (maxCandidates = rows checked by the kmedoids trees)
+  matcher: structuredClone(MATCHER_DEFAULTS),
+  lsh: {
+    ...LSH_DEFAULTS,
+    autoTune: false,
+    targetRecall: LSH_TUNE_DEFAULTS.targetRecall,
+    memoryMB: LSH_TUNE_DEFAULTS.memoryMB
+  },
+  match: { maxCandidates: 800, ratio: 0.8, maxHamming: null, useMultiProbe: true },
+  ransacThresh: 3.0,
+  homography: {},         // overrides for HOMOGRAPHY_DEFAULTS in homography.js (sanity checks)
+
+  // Targets
+  minTargetMatches: 4,    // below this a target is only "weak"
+  maxTargetsPerFrame: 4,  // homographies fitted per frame, strongest first
+
+  // Tracking: while every visible target is tracked by optical flow, full detection
+  // only runs every redetectInterval frames to pick up new targets (0 = never).
+  redetectInterval: 15,
+  track: {},              // overrides for TRACK_DEFAULTS in tracker.js
+
+  // Camera intrinsics: set fx/fy/cx/cy (px) when calibrated, otherwise they are
+  // derived from the horizontal field of view and the frame size.
+  camera: { fovDeg: 60, fx: null, fy: null, cx: null, cy: null },
+
+  // Pose: defaultWidthM is used for targets without "widthM" in targets.json
+  pose: { defaultWidthM: 0.2, near: 0.01, far: 100, debug: true },
+
+  // Temporal filter: "none" | "oneEuro" | "kalman" (parameters in filters.js)
+  filter: structuredClone(FILTER_DEFAULTS),
+
+  // Gyro: rotation between frames predicts where targets moved (parameters in imu.js)
+  imu: { ...IMU_DEFAULTS },
+
+  // Record / replay (parameters in session.js)
+  session: { ...SESSION_DEFAULTS },
+
+  // Performance governor: lowers detectScale, orb.*, match.maxCandidates and the
+  // preprocessing chain at runtime to hold targetFps (parameters in governor.js)
+  governor: { ...GOVERNOR_DEFAULTS }
+};
+
+// ---------------- Fields ----------------
+// type: "enum" | "int" | "number" | "bool" | "list" (comma-separated options, each once);
+// nullable numbers accept an empty value (placeholder: what empty means, default "off").
+// rebuild: changing it rebuilds the matcher index in the worker.
+export const SETTINGS_FIELDS = [
+  { group: "Preprocess", path: "preprocess.chain", param: "preprocess", type: "list", options: Object.keys(PREPROCESS_STAGES) },
+  { group: "Preprocess", path: "blur.auto", type: "bool" },
+  { group: "Preprocess", path: "blur.source", type: "enum", options: ["auto", "gyro", "image"] },
+  { group: "Preprocess", path: "blur.exposureMs", type: "number", min: 0.1, max: 100, step: 0.5 },
+  { group: "Preprocess", path: "blur.minBlurPx", type: "number", min: 0, max: 31, step: 0.5 },
+
+  // one group per stage, from the parameters the stage declares
+  ...Object.entries(PREPROCESS_STAGES).flatMap(([type, stage]) => [
+    { group: `Preprocess: ${type}`, path: `preprocess.${type}.when`, type: "enum", options: PREPROCESS_CONDITIONS },
+    ...Object.entries(stage.params).map(([name, { value, ...field }]) => ({
+      group: `Preprocess: ${type}`, path: `preprocess.${type}.${name}`, ...field
+    }))
+  ]),
+
+  { group: "Detection", path: "detectScale", type: "number", min: 0.25, max: 1, step: 0.05 },
+  { group: "Detection", path: "orb.nfeatures", type: "int", min: 50, max: 100000, step: 50, nullable: true, placeholder: "reference" },
+  { group: "Detection", path: "orb.fastThreshold", type: "int", min: 1, max: 100, nullable: true, placeholder: "reference" },
+
+  { group: "LSH index", path: "lsh.numTables", type: "int", min: 1, max: 32, rebuild: true },
+  { group: "LSH index", path: "lsh.keyBits", type: "int", min: 4, max: 30, rebuild: true },
+  { group: "LSH index", path: "lsh.seedBase", type: "int", min: 0, max: 1e9, rebuild: true },
+  { group: "LSH index", path: "lsh.bitSelection", type: "enum", options: ["entropy", "random"], rebuild: true },
+  { group: "LSH index", path: "lsh.autoTune", type: "bool", rebuild: true },
+  { group: "LSH index", path: "lsh.targetRecall", type: "number", min: 0.5, max: 0.999, step: 0.01, rebuild: true },
+  { group: "LSH index", path: "lsh.memoryMB", type: "number", min: 0.5, max: 256, step: 0.5, rebuild: true },
+
+  { group: "Matching", path: "matcher.backend", param: "matcher", type: "enum", options: ["lsh", "brute", "mih", "kmedoids"], rebuild: true },
+  { group: "Matching", path: "matcher.crossCheck", param: "crossCheck", type: "bool" },
+  { group: "Matching", path: "match.maxCandidates", type: "int", min: 10, max: 10000, step: 10 },
+  { group: "Matching", path: "match.ratio", type: "number", min: 0.5, max: 1, step: 0.01 },
+  { group: "Matching", path: "match.maxHamming", type: "int", min: 0, max: 256, nullable: true },
+  { group: "Matching", path: "match.useMultiProbe", type: "bool" },
+  { group: "Matching", path: "ransacThresh", type: "number", min: 0.5, max: 20, step: 0.5 },
+
+  { group: "Targets", path: "minTargetMatches", type: "int", min: 4, max: 200 },
+  { group: "Targets", path: "maxTargetsPerFrame", type: "int", min: 1, max: 16 },
+  { group: "Targets", path: "redetectInterval", type: "int", min: 0, max: 300 },
+
+  { group: "Camera / pose", path: "camera.fovDeg", type: "number", min: 20, max: 120, step: 1 },
+  { group: "Camera / pose", path: "pose.debug", type: "bool" },
+
+  { group: "Filter", path: "filter.type", param: "filter", type: "enum", options: ["none", "oneEuro", "kalman"] },
+  { group: "Filter", path: "filter.kalman.space", param: "kalmanSpace", type: "enum", options: ["homography", "pose"] },
+  { group: "Filter", path: "filter.oneEuro.minCutoff", type: "number", min: 0.01, max: 10, step: 0.05 },
+  { group: "Filter", path: "filter.oneEuro.beta", type: "number", min: 0, max: 2, step: 0.01 },
+
+  { group: "IMU", path: "imu.enabled", param: "imu", type: "bool" },
+
+  { group: "Session", path: "session.replayFps", param: "replayFps", type: "number", min: 0, max: 120, step: 1 },
+  { group: "Session", path: "session.imageType", type: "enum", options: ["image/jpeg", "image/png"] },
+
+  { group: "Governor", path: "governor.enabled", param: "governor", type: "bool" },
+  { group: "Governor", path: "governor.targetFps", param: "targetFps", type: "number", min: 1, max: 120, step: 1 },
+  { group: "Governor", path: "governor.minFeatures", type: "int", min: 50, max: 10000, step: 50 }
+];
+
+export function getPath(obj, path){
+  return path.split(".").reduce((o, k) => o?.[k], obj);
+}
+
+export function setPath(obj, path, value){
+  const keys = path.split(".");
+  let o = obj;
+  for (const k of keys.slice(0, -1)) o = o[k] ??= {};
+  o[keys[keys.length - 1]] = value;
+}
+
+// text (URL param / input value) -> typed value; throws with `source` on bad input
+export function parseFieldValue(field, text, source = field.path){
+  const s = String(text).trim();
+  if (field.type === "bool"){
+    if (["1", "true", "on", "yes"].includes(s)) return true;
+    if (["0", "false", "off", "no"].includes(s)) return false;
+    throw new Error(`${source}: expected a boolean (1/0/true/false), got "${s}"`);
+  }
+  if (field.type === "enum"){
+    if (!field.options.includes(s)) throw new Error(`${source}: expected one of ${field.options.join(", ")}, got "${s}"`);
+    return s;
+  }
+  if (field.type === "list"){
+    const items = s.split(",").map(x => x.trim()).filter(Boolean);
+    for (const x of items){
+      if (!field.options.includes(x)) throw new Error(`${source}: expected a comma-separated list of ${field.options.join(", ")}, got "${x}"`);
+    }
+    if (new Set(items).size !== items.length) throw new Error(`${source}: each entry may appear only once`);
+    return items;
+  }
+  if (s === "" || s === "null"){
+    if (field.nullable) return null;
+    throw new Error(`${source}: a value is required`);
+  }
+  const v = Number(s);
+  if (!Number.isFinite(v) || (field.type === "int" && !Number.isInteger(v))){
+    throw new Error(`${source}: expected ${field.type === "int" ? "an integer" : "a number"}, got "${s}"`);
+  }
+  if ((field.min != null && v < field.min) || (field.max != null && v > field.max)){
+    throw new Error(`${source}: ${v} is outside ${field.min}..${field.max}`);
+  }
+  return v;
+}
+
+// ---------------- Loading ----------------
+// Settings from before the preprocessing chain, still found in exported config files and
+// URLs: deblurMode picked one stage, its parameters were top-level fields.
+const LEGACY_PREPROCESS = {
+  unsharpSigma: "unsharp.sigma", unsharpAmount: "unsharp.amount",
+  rlIters: "rl.iters", rlLenPx: "rl.lenPx", rlAngleDeg: "rl.angleDeg"
+};
+
+function upgradeLegacySettings(src){
+  const legacy = Object.keys(src).filter(k => k === "deblurMode" || k in LEGACY_PREPROCESS);
+  if (!legacy.length) return src;
+  const out = { ...src };
+  const pre = {};
+  for (const k of legacy){
+    if (k === "deblurMode") pre.chain = src.deblurMode === "none" ? [] : [src.deblurMode];
+    else setPath(pre, LEGACY_PREPROCESS[k], src[k]);
+    delete out[k];
+  }
+  out.preprocess = mergeValue(pre, src.preprocess ?? {});
+  return out;
+}
+
+// Deep-merges `src` over `dst`. Unknown top-level keys are errors (usually a typo);
+// nested objects are merged key by key so partial configs work.
+export function mergeSettings(dst, src, source = "config"){
+  for (const [k, v] of Object.entries(upgradeLegacySettings(src))){
+    if (!(k in DEFAULT_SETTINGS)) throw new Error(`${source}: unknown setting "${k}"`);
+    dst[k] = mergeValue(dst[k], v);
+  }
+  return dst;
+}
+
+function mergeValue(a, b){
+  const isObj = (x) => x && typeof x === "object" && !Array.isArray(x);
+  if (!isObj(a) || !isObj(b)) return structuredClone(b);
+  const out = { ...a };
+  for (const [k, v] of Object.entries(b)) out[k] = mergeValue(a[k], v);
+  return out;
+}
+
+export async function loadSettings(search = location.search){
+  const settings = structuredClone(DEFAULT_SETTINGS);
+  const q = new URLSearchParams(search);
+
+  if (q.has("config")){
+    const url = q.get("config");
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Failed to load config ${url} (${res.status})`);
+    mergeSettings(settings, await res.json(), url);
+  }
+
+  // old links (?deblurMode=rl&rlLenPx=11); the current params below win
+  const legacy = {};
+  for (const k of ["deblurMode", ...Object.keys(LEGACY_PREPROCESS)]){
+    if (!q.has(k)) continue;
+    const v = q.get(k);
+    if (k === "deblurMode" && !["none", "unsharp", "rl"].includes(v)) throw new Error(`?deblurMode: expected none, unsharp or rl, got "${v}"`);
+    if (k !== "deblurMode" && !Number.isFinite(Number(v))) throw new Error(`?${k}: expected a number, got "${v}"`);
+    legacy[k] = k === "deblurMode" ? v : Number(v);
+  }
+  mergeSettings(settings, legacy, "URL");
+
+  for (const field of SETTINGS_FIELDS){
+    const param = field.param ?? field.path;
+    if (q.has(param)) setPath(settings, field.path, parseFieldValue(field, q.get(param), `?${param}`));
+  }
+  return settings;
+}
+
+// ---------------- Export ----------------
+export function settingsToJSON(settings){
+  return JSON.stringify(settings, null, 2);
+}
+
+// URL that reproduces the panel-controlled part of `settings` (only non-default values)
+export function settingsToURL(settings, base = location.href){
+  const url = new URL(base);
+  for (const field of SETTINGS_FIELDS){
+    const param = field.param ?? field.path;
+    const v = getPath(settings, field.path);
+    if (JSON.stringify(v) === JSON.stringify(getPath(DEFAULT_SETTINGS, field.path))) url.searchParams.delete(param);
+    else url.searchParams.set(param, field.type === "bool" ? (v ? "1" : "0") : field.type === "list" ? v.join(",") : (v ?? ""));
+  }
+  return url.toString();
+}
+
+// ---------------- Panel ----------------
+// Overlay with one control per SETTINGS_FIELDS entry. Edits are written into `settings`
+// in place, then onChange(field, value) is called. Bad input is shown, not applied.
+export function createSettingsPanel(settings, onChange){
+  const root = document.createElement("div");
+  root.className = "settings";
+
+  const toggle = document.createElement("button");
+  toggle.className = "settings-toggle";
+  toggle.textContent = "Settings";
+
+  const body = document.createElement("div");
+  body.className = "settings-body";
+  body.hidden = true;
+  toggle.addEventListener("click", () => { body.hidden = !body.hidden; });
+
+  const status = document.createElement("div");
+  status.className = "settings-status";
+
+  const inputs = new Map();
+  let fieldset = null;
+  for (const field of SETTINGS_FIELDS){
+    if (fieldset?.dataset.group !== field.group){
+      fieldset = document.createElement("fieldset");
+      fieldset.dataset.group = field.group;
+      const legend = document.createElement("legend");
+      legend.textContent = field.group;
+      fieldset.appendChild(legend);
+      body.appendChild(fieldset);
+    }
+
+    const label = document.createElement("label");
+    const name = document.createElement("span");
+    name.textContent = field.path + (field.rebuild ? " *" : "");
+    if (field.rebuild) name.title = "changing this rebuilds the matcher index";
+
+    let input;
+    if (field.type === "enum"){
+      input = document.createElement("select");
+      for (const opt of field.options){
+        const o = document.createElement("option");
+        o.value = o.textContent = opt;
+        input.appendChild(o);
+      }
+    } else {
+      input = document.createElement("input");
+      if (field.type === "bool"){
+        input.type = "checkbox";
+      } else if (field.type === "list"){
+        input.type = "text";
+        input.placeholder = "none";
+        input.title = field.options.join(", ");
+      } else {
+        input.type = "number";
+        if (field.min != null) input.min = field.min;
+        if (field.max != null) input.max = field.max;
+        input.step = field.step ?? (field.type === "int" ? 1 : "any");
+        if (field.nullable) input.placeholder = field.placeholder ?? "off";
+      }
+    }
+
+    input.addEventListener("change", () => {
+      const text = field.type === "bool" ? String(input.checked) : input.value;
+      let value;
+      try {
+        value = parseFieldValue(field, text);
+      } catch (err) {
+        status.textContent = err.message;
+        input.classList.add("invalid");
+        return;
+      }
+      input.classList.remove("invalid");
+      status.textContent = "";
+      setPath(settings, field.path, value);
+      onChange(field, value);
+    });
+
+    inputs.set(field.path, input);
+    label.append(name, input);
+    fieldset.appendChild(label);
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "settings-actions";
+  const exportBtn = document.createElement("button");
+  exportBtn.textContent = "Export JSON";
+  exportBtn.addEventListener("click", () => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    download(settingsToJSON(settings), `tracker-config-${stamp}.json`, "application/json");
+  });
+  const urlBtn = document.createElement("button");
+  urlBtn.textContent = "Copy URL";
+  urlBtn.addEventListener("click", async () => {
+    const url = settingsToURL(settings);
+    try {
+      await navigator.clipboard.writeText(url);
+      status.textContent = "URL copied";
+    } catch {
+      status.textContent = url;
+    }
+  });
+  actions.append(exportBtn, urlBtn);
+  body.append(actions, status);
+
+  root.append(toggle, body);
+  document.body.appendChild(root);
+
+  function refresh(){
+    for (const field of SETTINGS_FIELDS){
+      const input = inputs.get(field.path);
+      const v = getPath(settings, field.path);
+      if (field.type === "bool") input.checked = !!v;
+      else if (field.type === "list") input.value = v.join(",");
+      else input.value = v ?? "";
+    }
+  }
+  refresh();
+
+  return {
+    refresh,
+    setStatus(text){ status.textContent = text; }
+  };
+}
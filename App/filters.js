@@ -0,0 +1,234 @@
+// filters.js - Optional temporal filtering of tracked targets
+// Every filter has the same shape: update(result, tSec, K) -> { corners, pose } and reset().
+// The raw result is never modified, so raw and filtered quads can be drawn side by side.
+//
+//   "none"    pass-through
+//   "oneEuro" One-Euro filter on the 8 corner coordinates
+//   "kalman"  constant-velocity Kalman filter, either on the homography (in its 4-corner
+//             parametrisation, so all 8 states are pixels) or on the pose (t + rotation vector)
+
+import { modelViewMatrix, projectModelPoint, rotationToVector, vectorToRotation } from "./pose.js";
+
+export const FILTER_DEFAULTS = {
+  type: "oneEuro",
+  oneEuro: {
+    minCutoff: 1.0,   // Hz; lower = steadier when still, more lag
+    beta: 0.05,       // speed coefficient; higher = less lag when moving
+    dCutoff: 1.0      // Hz; cutoff for the derivative estimate
+  },
+  kalman: {
+    space: "homography", // "homography" | "pose"
+    // homography space (pixels)
+    q: 4000,             // process noise: acceleration spectral density (px²/s³)
+    r: 4,                // measurement noise variance (px²)
+    // pose space
+    qT: 0.05,            // translation (m²/s³)
+    rT: 1e-5,            // translation measurement variance (m²)
+    qR: 2,               // rotation vector (rad²/s³)
+    rR: 1e-4             // rotation measurement variance (rad²)
+  }
+};
+
+// ---------------- One-Euro ----------------
+function smoothingFactor(dt, cutoff){
+  const r = 2 * Math.PI * cutoff * dt;
+  return r / (r + 1);
+}
+
+export function createOneEuro({ minCutoff, beta, dCutoff }){
+  let xPrev = null;
+  let dxPrev = 0;
+  let tPrev = null;
+
+  return {
+    filter(x, t){
+      if (xPrev == null){
+        xPrev = x;
+        tPrev = t;
+        return x;
+      }
+      const dt = Math.max(1e-3, t - tPrev);
+      tPrev = t;
+
+      const dx = (x - xPrev) / dt;
+      dxPrev = dxPrev + smoothingFactor(dt, dCutoff) * (dx - dxPrev);
+
+      const cutoff = minCutoff + beta * Math.abs(dxPrev);
+      xPrev = xPrev + smoothingFactor(dt, cutoff) * (x - xPrev);
+      return xPrev;
+    },
+    reset(){
+      xPrev = null;
+      dxPrev = 0;
+      tPrev = null;
+    }
+  };
+}
+
+// ---------------- Constant-velocity Kalman (1D) ----------------
+// State [p, v]; dt-aware, so it copes with dropped frames.
+export function createKalmanCV({ q, r }){
+  let p = 0, v = 0;
+  let P00 = 0, P01 = 0, P11 = 0;
+  let tPrev = null;
+
+  return {
+    filter(z, t){
+      if (tPrev == null){
+        p = z; v = 0;
+        P00 = r; P01 = 0; P11 = r * 100;
+        tPrev = t;
+        return p;
+      }
+      const dt = Math.max(1e-3, t - tPrev);
+      tPrev = t;
+
+      // predict
+      p += v * dt;
+      const dt2 = dt * dt, dt3 = dt2 * dt;
+      P00 += dt * (2 * P01 + dt * P11) + q * dt3 / 3;
+      P01 += dt * P11 + q * dt2 / 2;
+      P11 += q * dt;
+
+      // update
+      const S = P00 + r;
+      const k0 = P00 / S;
+      const k1 = P01 / S;
+      const y = z - p;
+      p += k0 * y;
+      v += k1 * y;
+      P11 -= k1 * P01;
+      P01 -= k0 * P01;
+      P00 -= k0 * P00;
+      return p;
+    },
+    reset(){
+      tPrev = null;
+    }
+  };
+}
+
+// ---------------- Per-target filters ----------------
+function createPassThrough(){
+  return {
+    update(result){
+      return { corners: result.corners, pose: result.pose };
+    },
+    reset(){}
+  };
+}
+
+function createCornerFilter(makeScalar){
+  const f = Array.from({ length: 8 }, makeScalar);
+  return {
+    update(result, t){
+      const corners = result.corners.map((c, i) => ({
+        x: f[i * 2].filter(c.x, t),
+        y: f[i * 2 + 1].filter(c.y, t)
+      }));
+      // pose is left raw: corner filtering says nothing about rotation/translation
+      return { corners, pose: result.pose };
+    },
+    reset(){
+      for (const s of f) s.reset();
+    }
+  };
+}
+
+function createPoseKalman({ qT, rT, qR, rR }){
+  const ft = Array.from({ length: 3 }, () => createKalmanCV({ q: qT, r: rT }));
+  const fr = Array.from({ length: 3 }, () => createKalmanCV({ q: qR, r: rR }));
+  let rPrev = null;
+
+  return {
+    update(result, t, K){
+      if (!result.pose) return { corners: result.corners, pose: null };
+
+      // keep the rotation vector on the same branch as last frame (|r| and 2π-|r| are the same rotation)
+      let rv = rotationToVector(result.pose.R);
+      if (rPrev){
+        const a = Math.hypot(rv[0], rv[1], rv[2]);
+        if (a > 1e-6){
+          const alt = rv.map(x => x * (1 - 2 * Math.PI / a));
+          const d = (u) => Math.hypot(u[0] - rPrev[0], u[1] - rPrev[1], u[2] - rPrev[2]);
+          if (d(alt) < d(rv)) rv = alt;
+        }
+      }
+      rPrev = rv;
+
+      const tf = result.pose.t.map((x, i) => ft[i].filter(x, t));
+      const rf = rv.map((x, i) => fr[i].filter(x, t));
+      const R = vectorToRotation(rf);
+
+      const { width, height } = result.pose.targetSize;
+      const pose = {
+        ...result.pose,
+        R,
+        t: tf,
+        modelView: modelViewMatrix(R, tf)
+      };
+      const hw = width * 0.5, hh = height * 0.5;
+      const corners = [[-hw, hh], [hw, hh], [hw, -hh], [-hw, -hh]]
+        .map(([X, Y]) => projectModelPoint(K, pose, X, Y, 0))
+        .map(({ x, y }) => ({ x, y }));
+      return { corners, pose };
+    },
+    reset(){
+      for (const s of ft) s.reset();
+      for (const s of fr) s.reset();
+      rPrev = null;
+    }
+  };
+}
+
+// config: FILTER_DEFAULTS-shaped (partial configs are merged over the defaults)
+export function createTargetFilter(config = {}){
+  const type = config.type ?? FILTER_DEFAULTS.type;
+  const oneEuro = { ...FILTER_DEFAULTS.oneEuro, ...config.oneEuro };
+  const kalman = { ...FILTER_DEFAULTS.kalman, ...config.kalman };
+
+  if (type === "none") return createPassThrough();
+  if (type === "oneEuro") return createCornerFilter(() => createOneEuro(oneEuro));
+  if (type === "kalman"){
+    if (kalman.space === "pose") return createPoseKalman(kalman);
+    if (kalman.space === "homography") return createCornerFilter(() => createKalmanCV(kalman));
+    throw new Error(`Unknown kalman.space "${kalman.space}" (expected "homography" or "pose")`);
+  }
+  throw new Error(`Unknown filter type "${type}" (expected "none", "oneEuro" or "kalman")`);
+}
+
+// ---------------- Filter bank ----------------
+// One filter per target index. A filter is reset when its target is lost and when it
+// is re-detected (a fresh detection is not continuous with the previous track).
+export function createFilterBank(config){
+  createTargetFilter(config); // fail fast on a bad configuration
+  const filters = new Map();
+
+  return {
+    update(results, tSec, K){
+      const out = new Map();
+      for (const r of results){
+        if (!r.corners){
+          filters.delete(r.index);
+          continue;
+        }
+        let f = filters.get(r.index);
+        if (!f){
+          f = createTargetFilter(config);
+          filters.set(r.index, f);
+        } else if (r.mode === "detected"){
+          f.reset();
+        }
+        out.set(r.index, f.update(r, tSec, K));
+      }
+      // targets missing from this frame's results are lost as well
+      for (const index of filters.keys()){
+        if (!out.has(index)) filters.delete(index);
+      }
+      return out;
+    },
+    reset(){
+      filters.clear();
+    }
+  };
+}
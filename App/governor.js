@@ -0,0 +1,156 @@
+// governor.js - Adaptive quality to hold a frame-rate target (main thread, app.js)
+// Watches the worker's stage time EMAs and trades quality for speed one step at a time.
+// Four knobs, each a ladder from the configured setting (level 0) to the cheapest:
+//   preprocess  drop the rl stage, then every stage but downscale
+//   candidates  match.maxCandidates x 1, 0.5, 0.25
+//   features    ORB nfeatures x 1, 0.7, 0.5, 0.35 with fastThreshold + 0, 4, 8, 12
+//   scale       detectScale x 1, 0.75, 0.5 (keypoints are mapped back in pipeline.js)
+// The knob stepped down is the one for the stage that costs most (pre, orb or match).
+// Hysteresis, so quality does not oscillate:
+//   - separate thresholds: step down above budget * upper, consider stepping up only
+//     below budget * lower (budget = 1000 / targetFps ms)
+//   - dwell times: the condition must hold for degradeAfterMs / restoreAfterMs, counted
+//     from when the EMAs have settled after the previous change
+//   - steps are undone last-in first-out, and only when the frame time saved by that step
+//     (measured after it settled) would still leave the frame under budget * upper
+
+export const GOVERNOR_DEFAULTS = {
+  enabled: false,
+  targetFps: 20,
+  upper: 1.1,            // step down when the frame time is above budget * upper
+  lower: 0.7,            // step up only below budget * lower
+  degradeAfterMs: 1000,  // over budget this long before a step down
+  restoreAfterMs: 4000,  // under budget this long before a step up
+  settleMs: 1500,        // after a change, EMAs need this long to reflect it
+  minFeatures: 300       // nfeatures never goes below this
+};
+
+const LADDERS = {
+  preprocess: [0, 1, 2],
+  candidates: [1, 0.5, 0.25],
+  features: [[1, 0], [0.7, 4], [0.5, 8], [0.35, 12]],
+  scale: [1, 0.75, 0.5]
+};
+
+// knobs to try, in order, for the stage that dominates the frame time
+const KNOBS_FOR_STAGE = {
+  pre: ["preprocess", "scale", "features", "candidates"],
+  orb: ["scale", "features", "preprocess", "candidates"],
+  match: ["candidates", "features", "scale", "preprocess"]
+};
+
+// backends whose match step reads match.maxCandidates (matchers.js); brute and mih ignore it
+const CANDIDATE_BACKENDS = ["lsh", "kmedoids"];
+
+// Preprocess chain at a ladder level: 1 drops rl, 2 keeps only downscale
+function governedChain(chain, level){
+  if (level >= 2) return chain.filter(t => t === "downscale");
+  if (level >= 1) return chain.filter(t => t !== "rl");
+  return chain;
+}
+
+export function createGovernor(){
+  const levels = { preprocess: 0, candidates: 0, features: 0, scale: 0 };
+  let steps = [];          // [{ knob, before (ms), after (ms, once settled) }], last = most recent
+  let overSince = null;
+  let underSince = null;
+  let lastChange = -Infinity;
+
+  // a step that would not change the effective settings is not worth taking
+  function canDegrade(knob, settings){
+    const next = levels[knob] + 1;
+    if (next >= LADDERS[knob].length) return false;
+    if (knob === "preprocess"){
+      const chain = settings.preprocess.chain;
+      return governedChain(chain, next).length !== governedChain(chain, levels[knob]).length;
+    }
+    if (knob === "candidates") return CANDIDATE_BACKENDS.includes(settings.matcher.backend);
+    return true;
+  }
+
+  // now: ms timestamp; ms: { total, pre, orb, match } (EMAs, ms); settings: SETTINGS
+  // Returns true when the levels changed (the caller re-sends apply(settings, ...)).
+  function update(now, ms, settings){
+    const opts = settings.governor;
+    if (!opts.enabled || ms.total == null) return false;
+    const budget = 1000 / opts.targetFps;
+    const settled = now - lastChange >= opts.settleMs;
+    if (!settled) return false;
+
+    // cost of the last step, now that the EMAs show its effect
+    const last = steps[steps.length - 1];
+    if (last && last.after == null) last.after = ms.total;
+
+    overSince = ms.total > budget * opts.upper ? overSince ?? now : null;
+    underSince = ms.total < budget * opts.lower ? underSince ?? now : null;
+    const since = (t) => now - Math.max(t, lastChange + opts.settleMs);
+
+    if (overSince != null && since(overSince) >= opts.degradeAfterMs){
+      const stage = ["pre", "orb", "match"].reduce((a, b) => (ms[b] ?? 0) > (ms[a] ?? 0) ? b : a);
+      const knob = KNOBS_FOR_STAGE[stage].find(k => canDegrade(k, settings));
+      if (!knob) return false;
+      levels[knob]++;
+      steps.push({ knob, before: ms.total, after: null });
+      return changed(now);
+    }
+
+    if (underSince != null && last && since(underSince) >= opts.restoreAfterMs){
+      const saved = Math.max(0, last.before - (last.after ?? last.before));
+      if (ms.total + saved >= budget * opts.upper) return false;
+      levels[last.knob]--;
+      steps.pop();
+      return changed(now);
+    }
+    return false;
+  }
+
+  function changed(now){
+    lastChange = now;
+    overSince = underSince = null;
+    return true;
+  }
+
+  // Back to the configured quality; true when anything was governed
+  function reset(){
+    const any = steps.length > 0;
+    for (const k of Object.keys(levels)) levels[k] = 0;
+    steps = [];
+    overSince = underSince = null;
+    lastChange = -Infinity;
+    return any;
+  }
+
+  // Settings for the worker: `settings` with the current levels applied (not modified).
+  // orbParams: the reference's ORB parameters, used where settings.orb has no override.
+  function apply(settings, orbParams){
+    if (!steps.length) return settings;
+    const s = structuredClone(settings);
+    const opts = settings.governor;
+    const [nf, ft] = LADDERS.features[levels.features];
+
+    s.preprocess.chain = governedChain(settings.preprocess.chain, LADDERS.preprocess[levels.preprocess]);
+    s.match.maxCandidates = Math.max(1, Math.round(settings.match.maxCandidates * LADDERS.candidates[levels.candidates]));
+    if (levels.features > 0){
+      const nfeatures = settings.orb.nfeatures ?? orbParams.nfeatures;
+      s.orb.nfeatures = Math.max(Math.min(nfeatures, opts.minFeatures), Math.round(nfeatures * nf));
+      s.orb.fastThreshold = (settings.orb.fastThreshold ?? orbParams.fastThreshold) + ft;
+    }
+    s.detectScale = settings.detectScale * LADDERS.scale[levels.scale];
+    return s;
+  }
+
+  // HUD text: what is currently reduced. s: apply(settings, ...) for the current levels.
+  function describe(settings, s){
+    if (!settings.governor.enabled) return "off";
+    const target = `${settings.governor.targetFps} fps`;
+    if (!steps.length) return `${target}, full quality`;
+    const parts = [];
+    if (levels.scale) parts.push(`scale ${s.detectScale}`);
+    if (levels.features) parts.push(`nfeatures ${s.orb.nfeatures} / fast ${s.orb.fastThreshold}`);
+    if (levels.candidates) parts.push(`candidates ${s.match.maxCandidates}`);
+    if (levels.preprocess) parts.push(`pre ${s.preprocess.chain.join(" > ") || "none"}`);
+    return `${target}, ${parts.join(", ")}`;
+  }
+
+  return { update, apply, reset, describe, levels: () => ({ ...levels }) };
+}
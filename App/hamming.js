@@ -0,0 +1,212 @@
+// hamming.js - Fast Hamming distances and LSH hashing for 32-byte binary descriptors
+// + Uint32Array views with a SWAR popcount (8 words per row instead of 32 byte lookups)
+// + Batched one-query-vs-N-rows distances through a kernel that owns the reference rows
+// + Precomputed byte / shift tables for LSH keys; per-byte lookup tables when bytes carry several key bits
+// + Optional WebAssembly SIMD kernel (hamming.wat), falling back to JS when unsupported
+// Results are identical to hamming32 / lshHash in helpers.js (Tests/hamming_bench.js checks).
+
+// ---------------- SWAR popcount ----------------
+export function popcount32(x){
+  x = x - ((x >>> 1) & 0x55555555);
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  x = (x + (x >>> 4)) & 0x0F0F0F0F;
+  return Math.imul(x, 0x01010101) >>> 24;
+}
+
+// Uint32Array over the same bytes when aligned, otherwise over an aligned copy
+export function asU32(u8){
+  if (u8.byteOffset % 4 === 0) return new Uint32Array(u8.buffer, u8.byteOffset, u8.length >> 2);
+  return new Uint32Array(u8.slice().buffer);
+}
+
+// Distance between row a of A and row b of B (Uint32Array views, 8 words per row)
+export function hammingU32(A, a, B, b){
+  const i = a << 3, j = b << 3;
+  return popcount32(A[i] ^ B[j]) + popcount32(A[i + 1] ^ B[j + 1]) +
+         popcount32(A[i + 2] ^ B[j + 2]) + popcount32(A[i + 3] ^ B[j + 3]) +
+         popcount32(A[i + 4] ^ B[j + 4]) + popcount32(A[i + 5] ^ B[j + 5]) +
+         popcount32(A[i + 6] ^ B[j + 6]) + popcount32(A[i + 7] ^ B[j + 7]);
+}
+
+// out[k] = distance(row q of Q, row idx[k] of R) for k < count
+export function hammingOneToMany(Q, q, R, idx, count, out){
+  const o = q << 3;
+  const q0 = Q[o], q1 = Q[o + 1], q2 = Q[o + 2], q3 = Q[o + 3];
+  const q4 = Q[o + 4], q5 = Q[o + 5], q6 = Q[o + 6], q7 = Q[o + 7];
+  for (let k = 0; k < count; k++){
+    const r = idx[k] << 3;
+    out[k] = popcount32(q0 ^ R[r]) + popcount32(q1 ^ R[r + 1]) +
+             popcount32(q2 ^ R[r + 2]) + popcount32(q3 ^ R[r + 3]) +
+             popcount32(q4 ^ R[r + 4]) + popcount32(q5 ^ R[r + 5]) +
+             popcount32(q6 ^ R[r + 6]) + popcount32(q7 ^ R[r + 7]);
+  }
+}
+
+// out[i] = distance(row q of Q, row i of R) for i < rows
+export function hammingOneToAll(Q, q, R, rows, out){
+  const o = q << 3;
+  const q0 = Q[o], q1 = Q[o + 1], q2 = Q[o + 2], q3 = Q[o + 3];
+  const q4 = Q[o + 4], q5 = Q[o + 5], q6 = Q[o + 6], q7 = Q[o + 7];
+  for (let i = 0, r = 0; i < rows; i++, r += 8){
+    out[i] = popcount32(q0 ^ R[r]) + popcount32(q1 ^ R[r + 1]) +
+             popcount32(q2 ^ R[r + 2]) + popcount32(q3 ^ R[r + 3]) +
+             popcount32(q4 ^ R[r + 4]) + popcount32(q5 ^ R[r + 5]) +
+             popcount32(q6 ^ R[r + 6]) + popcount32(q7 ^ R[r + 7]);
+  }
+}
+
+// ---------------- LSH key tables ----------------
+// For bit positions bitPos (key bit i = descriptor bit bitPos[i], as in lshHash).
+// When descriptor bytes carry LUT_MIN_BITS_PER_BYTE key bits or more on average: one
+// 256-entry table per byte holding that byte's key bits, so a byte costs one read however
+// many bits it feeds. Below that the tables only add cache misses (Tests/hamming_bench.js:
+// no gain for the entropy-selected default keys, ~1.3 bits per byte), so just the byte
+// offsets and shifts are precomputed (plain arrays, which read faster than typed ones at
+// this size). Both layouts have the same shape, keeping lshHashLUT monomorphic.
+const LUT_MIN_BITS_PER_BYTE = 2;
+
+export function makeHashTables(bitPos){
+  const bytes = [...new Set(bitPos.map(p => p >> 3))];
+  if (bitPos.length < bytes.length * LUT_MIN_BITS_PER_BYTE){
+    return {
+      bytes: bitPos.map(p => p >> 3),
+      shifts: bitPos.map(p => p & 7),
+      luts: null
+    };
+  }
+
+  const luts = new Uint32Array(bytes.length * 256);
+  bytes.forEach((byte, t) => {
+    for (let v = 0; v < 256; v++){
+      let h = 0;
+      for (let i = 0; i < bitPos.length; i++){
+        if (bitPos[i] >> 3 === byte) h |= ((v >> (bitPos[i] & 7)) & 1) << i;
+      }
+      luts[t * 256 + v] = h >>> 0;
+    }
+  });
+  return { bytes, shifts: null, luts };
+}
+
+export function lshHashLUT(descU8, off, { bytes, shifts, luts }){
+  let h = 0;
+  if (luts){
+    for (let t = 0; t < bytes.length; t++) h |= luts[(t << 8) | descU8[off + bytes[t]]];
+  } else {
+    for (let i = 0; i < bytes.length; i++) h |= ((descU8[off + bytes[i]] >> shifts[i]) & 1) << i;
+  }
+  return h >>> 0;
+}
+
+// ---------------- Kernels ----------------
+// createHammingKernel(refDescU8, refRows) owns the reference rows; per match call:
+//   kernel.setQueries(liveDescU8, liveRows)
+//   kernel.oneToMany(j, idx, count, out)   out[k] = d(live j, ref idx[k])
+//   kernel.oneToAll(j, out)                out[i] = d(live j, ref i)
+// out is a Uint16Array (or any indexable array) with room for the results.
+
+const HAMMING_WASM_BASE64 =
+  "AGFzbQEAAAABFgNgAn9/AX9gBX9/f39/AGAEf39/fwADBAMAAQIFAwEAAQchAwZtZW1vcnkCAAlvbmVUb01hbnkAAQhvbmVUb0FsbAACCrYBA0cBAXsgAP0ABAAgAf0ABAD9Uf1iIAD9AAQQIAH9AAQQ/VH9Yv1uIQIgAv19/X8hAiAC/RsAIAL9GwFqIAL9GwIgAv0bA2pqCzoBAX8CQANAIAUgA08NASAEIAVBAXRqIAAgASACIAVBAnRqKAIAQQV0ahAAOwEAIAVBAWohBQwACwsLMQEBfwJAA0AgBCACTw0BIAMgBEEBdGogACABIARBBXRqEAA7AQAgBEEBaiEEDAALCws=";
+
+// Below this many candidates the copy in / out of wasm memory costs more than it saves
+const WASM_MIN_BATCH = 64;
+
+let wasmModule; // undefined: not tried yet, null: unavailable
+
+// Compiled once, synchronously (the module is tiny); null where WebAssembly or SIMD is missing.
+function loadWasmModule(){
+  if (wasmModule !== undefined) return wasmModule;
+  wasmModule = null;
+  try {
+    if (typeof WebAssembly !== "object") return null;
+    const bytes = Uint8Array.from(atob(HAMMING_WASM_BASE64), c => c.charCodeAt(0));
+    if (!WebAssembly.validate(bytes)) return null;
+    wasmModule = new WebAssembly.Module(bytes);
+  } catch {
+    wasmModule = null;
+  }
+  return wasmModule;
+}
+
+export function hasWasmSimd(){
+  return loadWasmModule() !== null;
+}
+
+function createJsKernel(refDescU8, refRows){
+  const R = asU32(refDescU8);
+  let Q = null;
+  return {
+    kind: "js-swar",
+    setQueries(liveDescU8){ Q = asU32(liveDescU8); },
+    oneToMany(j, idx, count, out){ hammingOneToMany(Q, j, R, idx, count, out); },
+    oneToAll(j, out){ hammingOneToAll(Q, j, R, refRows, out); }
+  };
+}
+
+function createWasmKernel(refDescU8, refRows, module){
+  const { exports } = new WebAssembly.Instance(module, {});
+  const memory = exports.memory;
+  const refPtr = 0;
+  const queryPtr = refRows * 32;
+  let idxPtr = 0, outPtr = 0, capacity = 0;
+  let I32 = null, U16 = null;
+
+  function reserve(queryRows, count){
+    const maxCount = Math.max(count, refRows, 1);
+    if (idxPtr === queryPtr + queryRows * 32 && maxCount <= capacity) return;
+    idxPtr = queryPtr + queryRows * 32;
+    outPtr = idxPtr + maxCount * 4;
+    capacity = maxCount;
+    const need = outPtr + maxCount * 2;
+    if (need > memory.buffer.byteLength) memory.grow(Math.ceil((need - memory.buffer.byteLength) / 65536));
+    I32 = new Int32Array(memory.buffer);
+    U16 = new Uint16Array(memory.buffer);
+  }
+
+  reserve(0, refRows);
+  new Uint8Array(memory.buffer).set(refDescU8, refPtr);
+  let queryRows = 0;
+
+  // small batches stay in JS
+  const R = asU32(refDescU8);
+  let Q = null;
+
+  return {
+    kind: "wasm-simd",
+    setQueries(liveDescU8, liveRows){
+      queryRows = liveRows;
+      reserve(liveRows, capacity);
+      new Uint8Array(memory.buffer).set(liveDescU8, queryPtr);
+      Q = asU32(liveDescU8);
+    },
+    oneToMany(j, idx, count, out){
+      if (count < WASM_MIN_BATCH){
+        hammingOneToMany(Q, j, R, idx, count, out);
+        return;
+      }
+      if (count > capacity) reserve(queryRows, count);
+      I32.set(idx.length === count ? idx : idx.slice(0, count), idxPtr >> 2);
+      exports.oneToMany(queryPtr + j * 32, refPtr, idxPtr, count, outPtr);
+      const o = outPtr >> 1;
+      for (let k = 0; k < count; k++) out[k] = U16[o + k];
+    },
+    oneToAll(j, out){
+      exports.oneToAll(queryPtr + j * 32, refPtr, refRows, outPtr);
+      const o = outPtr >> 1;
+      for (let i = 0; i < refRows; i++) out[i] = U16[o + i];
+    }
+  };
+}
+
+// useWasm: "auto" (SIMD when available) | false (always JS)
+export function createHammingKernel(refDescU8, refRows, { useWasm = "auto" } = {}){
+  const module = useWasm ? loadWasmModule() : null;
+  if (module){
+    try {
+      return createWasmKernel(refDescU8, refRows, module);
+    } catch {
+      // instantiation / memory growth failed: JS below
+    }
+  }
+  return createJsKernel(refDescU8, refRows);
+}
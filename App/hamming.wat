@@ -0,0 +1,49 @@
+;; hamming.wat - WebAssembly SIMD Hamming kernel used by hamming.js
+;; The compiled bytes are embedded in hamming.js (HAMMING_WASM_BASE64); after editing,
+;; rebuild with wabt and paste the new base64:
+;;   wat2wasm hamming.wat -o hamming.wasm && base64 -w0 hamming.wasm
+;; Rows are 32 bytes. All pointers are byte offsets into the exported memory; the JS side
+;; lays out [reference rows | query rows | candidate indices (i32) | distances (u16)].
+
+(module
+  (memory (export "memory") 1)
+
+  ;; popcount(q xor p) over 32 bytes: two 16-lane byte popcounts, then a horizontal sum
+  (func $dist (param $q i32) (param $p i32) (result i32)
+    (local $v v128)
+    (local.set $v
+      (i8x16.add
+        (i8x16.popcnt (v128.xor (v128.load (local.get $q)) (v128.load (local.get $p))))
+        (i8x16.popcnt (v128.xor (v128.load offset=16 (local.get $q)) (v128.load offset=16 (local.get $p))))))
+    (local.set $v (i32x4.extadd_pairwise_i16x8_u (i16x8.extadd_pairwise_i8x16_u (local.get $v))))
+    (i32.add
+      (i32.add (i32x4.extract_lane 0 (local.get $v)) (i32x4.extract_lane 1 (local.get $v)))
+      (i32.add (i32x4.extract_lane 2 (local.get $v)) (i32x4.extract_lane 3 (local.get $v)))))
+
+  ;; out[k] = dist(q, ref + 32 * idx[k]) for k < count
+  (func (export "oneToMany") (param $q i32) (param $ref i32) (param $idx i32) (param $count i32) (param $out i32)
+    (local $k i32)
+    (block $done
+      (loop $next
+        (br_if $done (i32.ge_u (local.get $k) (local.get $count)))
+        (i32.store16
+          (i32.add (local.get $out) (i32.shl (local.get $k) (i32.const 1)))
+          (call $dist
+            (local.get $q)
+            (i32.add (local.get $ref)
+              (i32.shl (i32.load (i32.add (local.get $idx) (i32.shl (local.get $k) (i32.const 2)))) (i32.const 5)))))
+        (local.set $k (i32.add (local.get $k) (i32.const 1)))
+        (br $next))))
+
+  ;; out[i] = dist(q, ref + 32 * i) for i < count
+  (func (export "oneToAll") (param $q i32) (param $ref i32) (param $count i32) (param $out i32)
+    (local $i i32)
+    (block $done
+      (loop $next
+        (br_if $done (i32.ge_u (local.get $i) (local.get $count)))
+        (i32.store16
+          (i32.add (local.get $out) (i32.shl (local.get $i) (i32.const 1)))
+          (call $dist (local.get $q) (i32.add (local.get $ref) (i32.shl (local.get $i) (i32.const 5)))))
+        (local.set $i (i32.add (local.get $i) (i32.const 1)))
+        (br $next))))
+)
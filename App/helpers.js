@@ -57,40 +57,227 @@ export function lshHash(descU8, off, bitPos){
 }
 
 // ---------------- Descriptor Statistics ----------------
-export function computeDescriptorStats(descU8, rows){
-  if (rows < 2) return { meanDist: 128, stdDist: 32 };
+// Distances between distinct reference rows (uniformly sampled pairs, or every pair when
+// there are fewer than samplePairs) describe how far apart unrelated descriptors are:
+//   histogram[d]   sampled pairs at distance d (Uint32Array(257)), pairs = their total
+//   meanDist / stdDist
+// Per bit, over all rows:
+//   bitOnes[b]     fraction of rows with bit b set
+//   bitEntropy[b]  binary entropy of bitOnes[b] (1 = perfectly balanced)
+//   bitBalance[b]  min(p, 1 - p) / 0.5, the same in linear form
+export function computeDescriptorStats(descU8, rows, { samplePairs = 5000, seed = 1 } = {}){
+  const histogram = new Uint32Array(257);
+  const bitOnes = new Float64Array(256);
+  const bitEntropy = new Float64Array(256);
+  const bitBalance = new Float64Array(256);
+
+  if (rows < 2){
+    bitEntropy.fill(1);
+    bitBalance.fill(1);
+    bitOnes.fill(0.5);
+    return { rows, pairs: 0, histogram, meanDist: 128, stdDist: 32, bitOnes, bitEntropy, bitBalance };
+  }
+
+  let pairs = 0;
+  const addPair = (i, j) => {
+    histogram[hamming32(descU8, i * 32, descU8, j * 32)]++;
+    pairs++;
+  };
+  if (rows * (rows - 1) / 2 <= samplePairs){
+    for (let i = 0; i < rows; i++) for (let j = i + 1; j < rows; j++) addPair(i, j);
+  } else {
+    let s = seed >>> 0;
+    const rnd = () => {
+      s = (1664525 * s + 1013904223) >>> 0;
+      return s / 4294967296;
+    };
+    while (pairs < samplePairs){
+      const i = (rnd() * rows) | 0;
+      let j = (rnd() * (rows - 1)) | 0;
+      if (j >= i) j++;
+      addPair(i, j);
+    }
+  }
+
+  let sum = 0, sumSq = 0;
+  for (let d = 0; d <= 256; d++){
+    sum += d * histogram[d];
+    sumSq += d * d * histogram[d];
+  }
+  const meanDist = sum / pairs;
+  const stdDist = Math.sqrt(Math.max(0, sumSq / pairs - meanDist * meanDist));
+
+  const counts = new Uint32Array(256);
+  for (let i = 0; i < rows; i++){
+    const off = i * 32;
+    for (let byte = 0; byte < 32; byte++){
+      const v = descU8[off + byte];
+      if (!v) continue;
+      for (let bit = 0; bit < 8; bit++) counts[byte * 8 + bit] += (v >> bit) & 1;
+    }
+  }
+  for (let b = 0; b < 256; b++){
+    const p = counts[b] / rows;
+    bitOnes[b] = p;
+    bitEntropy[b] = p <= 0 || p >= 1 ? 0 : -(p * Math.log2(p) + (1 - p) * Math.log2(1 - p));
+    bitBalance[b] = Math.min(p, 1 - p) / 0.5;
+  }
+
+  return { rows, pairs, histogram, meanDist, stdDist, bitOnes, bitEntropy, bitBalance };
+}
+
+// Pearson correlation between every pair of descriptor bits, Float32Array(256 * 256)
+// (r[a * 256 + b]; constant bits correlate 0 with everything). Uses at most maxRows rows
+// spread evenly over the set: the cost is about 128^2 operations per row.
+export function computeBitCorrelation(descU8, rows, { maxRows = 1000 } = {}){
+  const n = Math.min(rows, maxRows);
+  const both = new Uint32Array(256 * 256);
+  const set = new Int32Array(256);
+
+  for (let k = 0; k < n; k++){
+    const off = Math.floor(k * rows / n) * 32;
+    let m = 0;
+    for (let b = 0; b < 256; b++){
+      if ((descU8[off + (b >> 3)] >> (b & 7)) & 1) set[m++] = b;
+    }
+    for (let x = 0; x < m; x++){
+      const row = set[x] * 256;
+      for (let y = x; y < m; y++) both[row + set[y]]++;
+    }
+  }
+
+  const r = new Float32Array(256 * 256);
+  for (let a = 0; a < 256; a++){
+    const pa = both[a * 256 + a] / n;
+    for (let b = a + 1; b < 256; b++){
+      const pb = both[b * 256 + b] / n;
+      const den = Math.sqrt(pa * (1 - pa) * pb * (1 - pb));
+      const c = den > 0 ? (both[a * 256 + b] / n - pa * pb) / den : 0;
+      r[a * 256 + b] = c;
+      r[b * 256 + a] = c;
+    }
+    r[a * 256 + a] = 1;
+  }
+  return r;
+}
+
+// Default match distance limit (lshMatchRatio and every matcher backend): 40% of the mean
+// distance of unrelated descriptors, never under 48 bits
+export function defaultMaxHamming(stats){
+  return Math.max(48, Math.floor(stats.meanDist * 0.4));
+}
+
+// ---------------- Homography Geometry ----------------
+// H is kept as a plain row-major 9-array so it can outlive (and cross threads without) cv.Mat.
+export function homographyToArray(Hmat){
+  return Array.from(Hmat.data64F);
+}
 
-  const sampleSize = Math.min(500, Math.floor(rows * rows / 2));
-  let sumDist = 0;
-  let count = 0;
+export function projectPoint(H, x, y){
+  const w = H[6] * x + H[7] * y + H[8];
+  return {
+    x: (H[0] * x + H[1] * y + H[2]) / w,
+    y: (H[3] * x + H[4] * y + H[5]) / w
+  };
+}
 
-  const step = Math.max(1, Math.floor(rows * rows / (2 * sampleSize)));
+// A * B for row-major 3x3 homographies (apply B first, then A)
+export function multiplyHomography(A, B){
+  const C = new Array(9);
+  for (let r = 0; r < 3; r++){
+    for (let c = 0; c < 3; c++){
+      C[r * 3 + c] = A[r * 3] * B[c] + A[r * 3 + 1] * B[3 + c] + A[r * 3 + 2] * B[6 + c];
+    }
+  }
+  return C;
+}
 
-  for (let i = 0; i < rows && count < sampleSize; i += Math.max(1, Math.floor(Math.sqrt(step)))){
-    for (let j = i + 1; j < rows && count < sampleSize; j += step){
-      const d = hamming32(descU8, i * 32, descU8, j * 32);
-      sumDist += d;
-      count++;
+// Exact homography mapping 4 points src -> dst (flat [x0,y0,...,x3,y3]), row-major 9-array
+// with H[8] = 1. Plain 8x8 Gaussian elimination, no cv.Mat needed.
+export function homographyFromCorners(src, dst){
+  const A = [];
+  for (let i = 0; i < 4; i++){
+    const x = src[2 * i], y = src[2 * i + 1], u = dst[2 * i], v = dst[2 * i + 1];
+    A.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    A.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  }
+  for (let c = 0; c < 8; c++){
+    let p = c;
+    for (let r = c + 1; r < 8; r++) if (Math.abs(A[r][c]) > Math.abs(A[p][c])) p = r;
+    if (Math.abs(A[p][c]) < 1e-12) throw new Error("homographyFromCorners: degenerate corners");
+    [A[c], A[p]] = [A[p], A[c]];
+    for (let r = 0; r < 8; r++){
+      if (r === c) continue;
+      const f = A[r][c] / A[c][c];
+      for (let k = c; k < 9; k++) A[r][k] -= f * A[c][k];
     }
   }
+  const H = A.map((row, i) => row[8] / row[i]);
+  H.push(1);
+  return H;
+}
 
-  const meanDist = count > 0 ? sumDist / count : 128;
-  return { meanDist, stdDist: 32 };
+// pts: flat [x0,y0,x1,y1,...] -> [{x,y}, ...]
+export function projectPoints(H, pts){
+  const out = [];
+  for (let i = 0; i < pts.length; i += 2) out.push(projectPoint(H, pts[i], pts[i + 1]));
+  return out;
 }
 
 // ---------------- Canvas Drawing Utilities ----------------
-export function drawHUD(ctx, canvas, lines){
+// One stable colour per target index so quads and HUD rows can be matched by eye.
+const TARGET_COLORS = [
+  "255, 0, 0", "0, 200, 255", "255, 200, 0", "0, 255, 120",
+  "255, 0, 200", "160, 120, 255", "255, 140, 60", "120, 255, 255"
+];
+
+export function targetColor(index, alpha = 0.9){
+  return `rgba(${TARGET_COLORS[index % TARGET_COLORS.length]}, ${alpha})`;
+}
+
+// corners: [{x,y} x4]
+export function drawQuad(ctx, corners, color, label = null, dash = []){
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 3;
+  ctx.setLineDash(dash);
+  ctx.beginPath();
+  ctx.moveTo(corners[0].x, corners[0].y);
+  for (let i = 1; i < 4; i++) ctx.lineTo(corners[i].x, corners[i].y);
+  ctx.closePath();
+  ctx.stroke();
+
+  if (label){
+    ctx.font = "14px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace";
+    ctx.textBaseline = "bottom";
+    ctx.fillStyle = color;
+    ctx.fillText(label, corners[0].x + 4, corners[0].y - 4);
+  }
+  ctx.restore();
+}
+
+// targets (optional): [{ id, index, mode, matches, confidence, pose? }] listed under the
+// stats lines, each prefixed with its quad colour.
+export function drawHUD(ctx, canvas, lines, targets = []){
   ctx.save();
   ctx.font = "15px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace";
   ctx.textBaseline = "top";
 
   const pad = 8;
   const lineH = 18;
+  const swatch = 10;
+
+  const targetLines = targets.map(t =>
+    `${t.id}: ${t.mode} | m ${t.matches} | conf ${(t.confidence * 100).toFixed(0)}%` +
+    (t.inliers != null ? ` | inl ${t.inliers} (${(t.inlierRatio * 100).toFixed(0)}%) ${t.rms.toFixed(1)}px` : "") +
+    (t.pose ? ` | z ${t.pose.t[2].toFixed(2)}m rms ${t.pose.reprojRms.toFixed(1)}px` : "")
+  );
 
   let maxW = 0;
   for (const s of lines) maxW = Math.max(maxW, ctx.measureText(s).width);
+  for (const s of targetLines) maxW = Math.max(maxW, ctx.measureText(s).width + swatch + 6);
   const w = Math.ceil(maxW + pad * 2);
-  const h = pad * 2 + lines.length * lineH;
+  const h = pad * 2 + (lines.length + targetLines.length) * lineH;
 
   ctx.fillStyle = "rgba(0,0,0,0.55)";
   ctx.fillRect(10, 10, w, h);
@@ -99,6 +286,44 @@ export function drawHUD(ctx, canvas, lines){
   for (let i = 0; i < lines.length; i++){
     ctx.fillText(lines[i], 10 + pad, 10 + pad + i * lineH);
   }
+
+  for (let i = 0; i < targetLines.length; i++){
+    const y = 10 + pad + (lines.length + i) * lineH;
+    ctx.fillStyle = targetColor(targets[i].index);
+    ctx.fillRect(10 + pad, y + 3, swatch, swatch);
+    ctx.fillStyle = "white";
+    ctx.fillText(targetLines[i], 10 + pad + swatch + 6, y);
+  }
+  ctx.restore();
+}
+
+// kernel: { ksize, data } from linePSFKernel; drawn as a size x size inset, brightest = max
+export function drawKernel(ctx, kernel, x, y, size, label = null){
+  const { ksize, data } = kernel;
+  let max = 0;
+  for (let i = 0; i < data.length; i++) max = Math.max(max, data[i]);
+  const cell = size / ksize;
+
+  ctx.save();
+  ctx.fillStyle = "rgba(0,0,0,0.75)";
+  ctx.fillRect(x, y, size, size);
+  for (let ky = 0; ky < ksize; ky++){
+    for (let kx = 0; kx < ksize; kx++){
+      const v = max > 0 ? data[ky * ksize + kx] / max : 0;
+      if (v <= 0) continue;
+      ctx.fillStyle = `rgba(255,255,255,${v.toFixed(3)})`;
+      ctx.fillRect(x + kx * cell, y + ky * cell, Math.ceil(cell), Math.ceil(cell));
+    }
+  }
+  ctx.strokeStyle = "rgba(255,255,255,0.6)";
+  ctx.lineWidth = 1;
+  ctx.strokeRect(x + 0.5, y + 0.5, size - 1, size - 1);
+  if (label){
+    ctx.font = "12px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace";
+    ctx.textBaseline = "bottom";
+    ctx.fillStyle = "white";
+    ctx.fillText(label, x, y - 3);
+  }
   ctx.restore();
 }
 
@@ -107,6 +332,16 @@ export function ema(prev, x, a){
   return prev == null ? x : (a * x + (1 - a) * prev);
 }
 
+// ---------------- File download (string or Blob content) ----------------
+export function download(content, name, type){
+  const blob = new Blob([content], { type });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
 // ---------------- Safety: ensure gray is CV_8UC1 ----------------
 export function ensureGray8U(srcGray8){
   // assumes srcGray8 is cv.Mat
@@ -117,10 +352,11 @@ export function ensureGray8U(srcGray8){
 
 // ---------------- Fast option: Unsharp Mask ----------------
 // dst = src*(1+amount) - GaussianBlur(src)*amount
-export function applyUnsharpMaskGray(srcGray8, dstGray8, sigma = 1.2, amount = 1.0){
+// blurTmp: optional Mat reused for the blurred copy (preprocess.js keeps one per stage)
+export function applyUnsharpMaskGray(srcGray8, dstGray8, sigma = 1.2, amount = 1.0, blurTmp = null){
   ensureGray8U(srcGray8);
 
-  const blur = new cv.Mat();
+  const blur = blurTmp ?? new cv.Mat();
   // ksize (0,0) lets OpenCV derive from sigma
   cv.GaussianBlur(srcGray8, blur, new cv.Size(0, 0), sigma, sigma, cv.BORDER_DEFAULT);
 
@@ -129,16 +365,18 @@ export function applyUnsharpMaskGray(srcGray8, dstGray8, sigma = 1.2, amount = 1
   const beta  = -amount;
   cv.addWeighted(srcGray8, alpha, blur, beta, 0, dstGray8, -1);
 
-  blur.delete();
+  if (!blurTmp) blur.delete();
 }
 
 // ---------------- Slower option: Richardson–Lucy deconvolution ----------------
 // Assumes motion blur PSF ~ line kernel (lenPx, angleDeg).
 // This is "real" deblur but heavier than unsharp.
-function makeLinePSF(lenPx, angleDeg){
-  const L = Math.max(3, (lenPx | 0));
+// Line PSF as plain data (so the main thread can draw the kernel it was given):
+// { ksize, data } with data a normalised ksize*ksize Float32Array, row-major.
+export function linePSFKernel(lenPx, angleDeg){
+  const L = Math.max(3, Math.round(lenPx));
   const ksize = (L % 2 === 1) ? L : (L + 1);
-  const psf = cv.Mat.zeros(ksize, ksize, cv.CV_32F);
+  const data = new Float32Array(ksize * ksize);
 
   const cx = (ksize - 1) * 0.5;
   const cy = (ksize - 1) * 0.5;
@@ -153,87 +391,88 @@ function makeLinePSF(lenPx, angleDeg){
     const x = Math.round(cx + t * dx);
     const y = Math.round(cy + t * dy);
     if (x >= 0 && x < ksize && y >= 0 && y < ksize){
-      psf.floatPtr(y, x)[0] = 1.0;
+      data[y * ksize + x] = 1.0;
     }
   }
 
   // normalize
   let sum = 0;
-  for (let y = 0; y < ksize; y++){
-    for (let x = 0; x < ksize; x++){
-      sum += psf.floatAt(y, x);
-    }
-  }
+  for (let i = 0; i < data.length; i++) sum += data[i];
   if (sum <= 0) sum = 1;
-  for (let y = 0; y < ksize; y++){
-    for (let x = 0; x < ksize; x++){
-      psf.floatPtr(y, x)[0] /= sum;
-    }
-  }
-
-  return psf;
-}
+  for (let i = 0; i < data.length; i++) data[i] /= sum;
 
-function flipKernel(psf32f){
-  const flipped = new cv.Mat();
-  cv.flip(psf32f, flipped, -1);
-  return flipped;
+  return { ksize, data };
 }
 
-export function richardsonLucyGrayLinePSF(srcGray8, dstGray8, lenPx = 9, angleDeg = 0, iters = 4){
-  ensureGray8U(srcGray8);
+// Richardson–Lucy state: the float buffers and the PSF (plus its flip) are kept between
+// calls; the PSF is rebuilt only when lenPx / angleDeg change, in place when its size stays.
+export function createRichardsonLucy(){
+  const y     = new cv.Mat(); // observed image, float [0,1]
+  const x     = new cv.Mat(); // estimate
+  const conv  = new cv.Mat();
+  const rel   = new cv.Mat();
+  const corr  = new cv.Mat();
+  const denom = new cv.Mat();
+  const psfFlip = new cv.Mat();
+  let psf = null;
+  let psfKey = null;
+
+  function setPSF(lenPx, angleDeg){
+    const key = `${lenPx}:${angleDeg}`;
+    if (key === psfKey) return;
+    const { ksize, data } = linePSFKernel(lenPx, angleDeg);
+    if (psf && psf.rows === ksize){
+      psf.data32F.set(data);
+    } else {
+      psf?.delete();
+      psf = cv.matFromArray(ksize, ksize, cv.CV_32F, data);
+    }
+    cv.flip(psf, psfFlip, -1);
+    psfKey = key;
+  }
 
-  const eps = 1e-6;
+  function run(srcGray8, dstGray8, lenPx = 9, angleDeg = 0, iters = 4){
+    ensureGray8U(srcGray8);
 
-  const psf = makeLinePSF(lenPx, angleDeg);
-  const psfFlip = flipKernel(psf);
+    const eps = 1e-6;
+    setPSF(lenPx, angleDeg);
 
-  // Convert to float [0,1]
-  const y = new cv.Mat();
-  srcGray8.convertTo(y, cv.CV_32F, 1.0 / 255.0);
+    // Convert to float [0,1]
+    srcGray8.convertTo(y, cv.CV_32F, 1.0 / 255.0);
 
-  // init estimate = y (or uniform)
-  let x = new cv.Mat();
-  y.copyTo(x);
+    // init estimate = y (or uniform)
+    y.copyTo(x);
 
-  const conv = new cv.Mat();
-  const rel  = new cv.Mat();
-  const corr = new cv.Mat();
+    for (let i = 0; i < Math.max(1, iters | 0); i++){
+      // conv = x * psf
+      cv.filter2D(x, conv, cv.CV_32F, psf, new cv.Point(-1, -1), 0, cv.BORDER_REPLICATE);
 
-  // temp mats
-  const denom = new cv.Mat();
+      // denom = conv + eps (cv.add does not take a Scalar in opencv.js)
+      conv.convertTo(denom, cv.CV_32F, 1.0, eps);
 
-  for (let i = 0; i < Math.max(1, iters | 0); i++){
-    // conv = x * psf
-    cv.filter2D(x, conv, cv.CV_32F, psf, new cv.Point(-1, -1), 0, cv.BORDER_REPLICATE);
+      // rel = y / denom
+      cv.divide(y, denom, rel);
 
-    // denom = conv + eps
-    cv.add(conv, new cv.Scalar(eps), denom);
+      // corr = rel * psfFlip
+      cv.filter2D(rel, corr, cv.CV_32F, psfFlip, new cv.Point(-1, -1), 0, cv.BORDER_REPLICATE);
 
-    // rel = y / denom
-    cv.divide(y, denom, rel);
+      // x = x * corr
+      cv.multiply(x, corr, x);
+    }
 
-    // corr = rel * psfFlip
-    cv.filter2D(rel, corr, cv.CV_32F, psfFlip, new cv.Point(-1, -1), 0, cv.BORDER_REPLICATE);
+    // Clamp to [0,1], back to 8U
+    // (OpenCV.js doesn't have a direct clamp, so use threshold)
+    cv.threshold(x, x, 1.0, 1.0, cv.THRESH_TRUNC);
+    cv.threshold(x, x, 0.0, 0.0, cv.THRESH_TOZERO);
 
-    // x = x * corr
-    cv.multiply(x, corr, x);
+    x.convertTo(dstGray8, cv.CV_8U, 255.0);
   }
 
-  // Clamp to [0,1], back to 8U
-  // (OpenCV.js doesn't have a direct clamp, so use threshold)
-  cv.threshold(x, x, 1.0, 1.0, cv.THRESH_TRUNC);
-  cv.threshold(x, x, 0.0, 0.0, cv.THRESH_TOZERO);
-
-  x.convertTo(dstGray8, cv.CV_8U, 255.0);
+  function dispose(){
+    for (const m of [y, x, conv, rel, corr, denom, psfFlip]) m.delete();
+    psf?.delete();
+    psf = psfKey = null;
+  }
 
-  // cleanup
-  psf.delete();
-  psfFlip.delete();
-  y.delete();
-  x.delete();
-  conv.delete();
-  rel.delete();
-  corr.delete();
-  denom.delete();
+  return { run, dispose };
 }
@@ -0,0 +1,151 @@
+// homography.js - Sanity checks and confidence for reference->frame homographies
+// findHomography happily returns a matrix for almost any input; these checks decide
+// whether it describes a plausible view of a flat target. A rejected fit reports why,
+// so the HUD can show it instead of a bow-tie quad.
+
+import { projectPoint, projectPoints } from "./helpers.js";
+
+export const HOMOGRAPHY_DEFAULTS = {
+  minInliers: 8,          // RANSAC inliers needed to accept a fit
+  minInlierRatio: 0.2,    // inliers / matches
+  maxReprojRms: 4.0,      // inlier reprojection RMS limit (px)
+  minDet: 1e-4,           // |det| of the normalised affine part (area scale ref->frame)
+  minScale: 0.02,         // sqrt(quad area / reference area)
+  maxScale: 10,
+  maxAspectChange: 4,     // quad aspect vs reference aspect, either way
+  frameMargin: 0.5        // quad centre may lie this far (fraction of frame size) outside the frame
+};
+
+function quadArea(c){
+  // shoelace; positive for the reference's clockwise (y-down) corner order
+  let a = 0;
+  for (let i = 0; i < 4; i++){
+    const p = c[i], q = c[(i + 1) % 4];
+    a += p.x * q.y - q.x * p.y;
+  }
+  return a * 0.5;
+}
+
+// Convex and simple <=> all four turns have the same sign (a bow-tie flips two of them)
+function isConvexQuad(c){
+  let sign = 0;
+  for (let i = 0; i < 4; i++){
+    const a = c[i], b = c[(i + 1) % 4], d = c[(i + 2) % 4];
+    const cross = (b.x - a.x) * (d.y - b.y) - (b.y - a.y) * (d.x - b.x);
+    if (Math.abs(cross) < 1e-9) return false;
+    const s = Math.sign(cross);
+    if (sign === 0) sign = s;
+    else if (s !== sign) return false;
+  }
+  return true;
+}
+
+// ---------------- Geometry ----------------
+// H: row-major 9-array (reference -> frame); target: { width, height, corners }.
+// Returns { ok, reason, corners }; corners are the projected target outline.
+export function checkHomographyGeometry(H, target, frameWidth, frameHeight, opts = HOMOGRAPHY_DEFAULTS){
+  const ref = target.corners;
+
+  // every corner must keep w > 0: a sign change means the quad wraps through infinity,
+  // which is how bow-tie and concave outlines come out of a projective map
+  for (let i = 0; i < 4; i++){
+    const x = ref[i * 2], y = ref[i * 2 + 1];
+    if (H[6] * x + H[7] * y + H[8] <= 0) return { ok: false, reason: "self-intersecting (w<=0)", corners: null };
+  }
+
+  const det = (H[0] * H[4] - H[1] * H[3]) / (H[8] * H[8]);
+  if (det < 0) return { ok: false, reason: "mirrored (det<0)", corners: null };
+  if (det < opts.minDet) return { ok: false, reason: `det ${det.toExponential(1)}~0`, corners: null };
+
+  const corners = projectPoints(H, ref);
+  if (!corners.every(p => Number.isFinite(p.x) && Number.isFinite(p.y))){
+    return { ok: false, reason: "non-finite corners", corners: null };
+  }
+  if (!isConvexQuad(corners)) return { ok: false, reason: "non-convex quad", corners };
+
+  const area = quadArea(corners);
+  if (area <= 0) return { ok: false, reason: "mirrored quad", corners };
+
+  const scale = Math.sqrt(area / (target.width * target.height));
+  if (scale < opts.minScale) return { ok: false, reason: `scale ${scale.toFixed(3)} too small`, corners };
+  if (scale > opts.maxScale) return { ok: false, reason: `scale ${scale.toFixed(1)} too large`, corners };
+
+  // aspect from the mean lengths of opposite sides
+  const len = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+  const qw = (len(corners[0], corners[1]) + len(corners[3], corners[2])) * 0.5;
+  const qh = (len(corners[1], corners[2]) + len(corners[0], corners[3])) * 0.5;
+  const aspect = (qw / qh) / (target.width / target.height);
+  if (aspect > opts.maxAspectChange || aspect < 1 / opts.maxAspectChange){
+    return { ok: false, reason: `aspect x${aspect.toFixed(2)}`, corners };
+  }
+
+  const cx = corners.reduce((s, p) => s + p.x, 0) / 4;
+  const cy = corners.reduce((s, p) => s + p.y, 0) / 4;
+  const mx = frameWidth * opts.frameMargin, my = frameHeight * opts.frameMargin;
+  if (cx < -mx || cx > frameWidth + mx || cy < -my || cy > frameHeight + my){
+    return { ok: false, reason: "outside frame", corners };
+  }
+
+  return { ok: true, reason: null, corners };
+}
+
+// ---------------- Inliers ----------------
+// Reads the 8U RANSAC mask back: inlier count, ratio and reprojection RMS.
+export function inlierStats(H, srcPts, dstPts, inlierMask){
+  const n = inlierMask.rows;
+  let inliers = 0;
+  let sumSq = 0;
+  for (let i = 0; i < n; i++){
+    if (!inlierMask.data[i]) continue;
+    const p = projectPoint(H, srcPts[i * 2], srcPts[i * 2 + 1]);
+    const dx = p.x - dstPts[i * 2];
+    const dy = p.y - dstPts[i * 2 + 1];
+    sumSq += dx * dx + dy * dy;
+    inliers++;
+  }
+  return {
+    inliers,
+    inlierRatio: n > 0 ? inliers / n : 0,
+    rms: inliers > 0 ? Math.sqrt(sumSq / inliers) : Infinity
+  };
+}
+
+// 0..1 from the RANSAC support: saturates with the inlier count, scaled down by a
+// poor inlier ratio and by reprojection error approaching the limit.
+export function homographyConfidence({ inliers, inlierRatio, rms }, opts = HOMOGRAPHY_DEFAULTS){
+  const count = Math.min(1, inliers / 30);
+  const ratio = Math.sqrt(Math.max(0, Math.min(1, inlierRatio)));
+  const fit = 1 - 0.5 * Math.min(1, rms / opts.maxReprojRms);
+  return count * ratio * fit;
+}
+
+// Full acceptance test for a RANSAC fit: inlier support, then geometry.
+// Returns { ok, reason, corners, inliers, inlierRatio, rms, confidence }.
+export function evaluateHomography(H, srcPts, dstPts, inlierMask, target, frameWidth, frameHeight, opts = HOMOGRAPHY_DEFAULTS){
+  const stats = inlierStats(H, srcPts, dstPts, inlierMask);
+  const out = { ok: false, reason: null, corners: null, ...stats, confidence: 0 };
+
+  if (stats.inliers < opts.minInliers){
+    out.reason = `inliers ${stats.inliers}<${opts.minInliers}`;
+    return out;
+  }
+  if (stats.inlierRatio < opts.minInlierRatio){
+    out.reason = `inlier ratio ${(stats.inlierRatio * 100).toFixed(0)}%`;
+    return out;
+  }
+  if (stats.rms > opts.maxReprojRms){
+    out.reason = `reproj ${stats.rms.toFixed(1)}px>${opts.maxReprojRms}`;
+    return out;
+  }
+
+  const geo = checkHomographyGeometry(H, target, frameWidth, frameHeight, opts);
+  out.corners = geo.corners;
+  if (!geo.ok){
+    out.reason = geo.reason;
+    return out;
+  }
+
+  out.ok = true;
+  out.confidence = homographyConfidence(stats, opts);
+  return out;
+}
@@ -0,0 +1,134 @@
+// imu.js - Gyroscope subscription + rotation integration between camera frames
+// Runs on the main thread (devicemotion is a window event). For each frame sent to the
+// worker it integrates the camera rotation since the previous frame; the worker turns
+// that into a pure-rotation homography (see rotationHomography in pose.js).
+//
+// Axes: devicemotion reports rotation rates (deg/s) about the device axes (x right,
+// y up, z out of the screen). The rear camera looks the other way (OpenCV: x right,
+// y down, z forward), and the video is delivered in screen orientation, so rates are
+// rotated by the screen angle and then flipped into camera axes.
+
+import { vectorToRotation } from "./pose.js";
+
+export const IMU_DEFAULTS = {
+  enabled: true,
+  bufferMs: 2000,       // gyro history kept for integration
+  staleMs: 500,         // no sample for this long -> IMU treated as unavailable
+  frameLatencyMs: 30,   // capture->grab delay assumed when the browser gives no capture time
+  maxCoastMs: 600,      // worker: how long a lost target is carried by gyro prediction alone
+  roiMargin: 0.25       // worker: predicted-quad search region padding (fraction of quad size)
+};
+
+function mul3(A, B){
+  const C = new Array(9);
+  for (let r = 0; r < 3; r++){
+    for (let c = 0; c < 3; c++){
+      C[r * 3 + c] = A[r * 3] * B[c] + A[r * 3 + 1] * B[3 + c] + A[r * 3 + 2] * B[6 + c];
+    }
+  }
+  return C;
+}
+
+function screenAngleDeg(){
+  return screen.orientation?.angle ?? window.orientation ?? 0;
+}
+
+// ---------------- Permission ----------------
+// iOS 13+ needs an explicit, user-gesture-triggered permission request.
+export async function requestMotionPermission(){
+  const DME = window.DeviceMotionEvent;
+  if (!DME) return false;
+  if (typeof DME.requestPermission === "function"){
+    const res = await DME.requestPermission();
+    return res === "granted";
+  }
+  return true;
+}
+
+// ---------------- Gyro tracker ----------------
+export function createGyroTracker(opts = {}){
+  const o = { ...IMU_DEFAULTS, ...opts };
+  const samples = []; // { t (ms, performance.now clock), wx, wy, wz (rad/s, camera axes) }
+  let listening = false;
+
+  function onMotion(e){
+    const rr = e.rotationRate;
+    if (!rr || rr.alpha == null) return;
+
+    const deg2rad = Math.PI / 180;
+    // device axes: beta = x, gamma = y, alpha = z
+    let dx = (rr.beta ?? 0) * deg2rad;
+    let dy = (rr.gamma ?? 0) * deg2rad;
+    const dz = (rr.alpha ?? 0) * deg2rad;
+
+    // device -> screen axes: with the device turned by `a` (counter-clockwise), the
+    // screen's x axis is the device axis that now points right
+    const a = screenAngleDeg() * Math.PI / 180;
+    const c = Math.cos(a), s = Math.sin(a);
+    [dx, dy] = [c * dx - s * dy, s * dx + c * dy];
+
+    // screen (x right, y up, z out) -> rear camera (x right, y down, z forward)
+    samples.push({ t: e.timeStamp, wx: dx, wy: -dy, wz: -dz });
+
+    const cutoff = e.timeStamp - o.bufferMs;
+    while (samples.length && samples[0].t < cutoff) samples.shift();
+  }
+
+  function start(){
+    if (listening || !o.enabled || !window.DeviceMotionEvent) return;
+    window.addEventListener("devicemotion", onMotion, { passive: true });
+    listening = true;
+  }
+
+  function stop(){
+    if (!listening) return;
+    window.removeEventListener("devicemotion", onMotion);
+    listening = false;
+    samples.length = 0;
+  }
+
+  function available(now = performance.now()){
+    return listening && samples.length > 0 && now - samples[samples.length - 1].t < o.staleMs;
+  }
+
+  // Camera rotation from t0 to t1 (ms): R such that a direction d0 in the t0 camera
+  // frame is R^T d0 in the t1 camera frame. Each sample's rate is held until the next one.
+  function rotationBetween(t0, t1){
+    if (!available() || !(t1 > t0)) return null;
+
+    let R = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+    for (let i = 0; i < samples.length; i++){
+      const s = samples[i];
+      const sEnd = i + 1 < samples.length ? samples[i + 1].t : t1;
+      const a = Math.max(t0, s.t);
+      const b = Math.min(t1, sEnd);
+      if (b <= a) continue;
+      const dt = (b - a) / 1000;
+      R = mul3(R, vectorToRotation([s.wx * dt, s.wy * dt, s.wz * dt]));
+    }
+    return R;
+  }
+
+  return { start, stop, available, rotationBetween, options: o };
+}
+
+// ---------------- Frame timestamps ----------------
+// Best available capture time for the frame currently shown by `video`, on the
+// performance.now() clock that devicemotion timestamps also use.
+export function createFrameClock(video, latencyMs = IMU_DEFAULTS.frameLatencyMs){
+  let captureTime = null;
+
+  if (typeof video.requestVideoFrameCallback === "function"){
+    const onFrame = (now, meta) => {
+      captureTime = meta.captureTime ?? (meta.expectedDisplayTime - latencyMs);
+      video.requestVideoFrameCallback(onFrame);
+    };
+    video.requestVideoFrameCallback(onFrame);
+  }
+
+  return {
+    now(){
+      return captureTime ?? (performance.now() - latencyMs);
+    }
+  };
+}
@@ -1,12 +1,38 @@
-// lsh.js - LSH indexing and matching ONLY (NO Kalman, NO Temporal tracking)
-
-import { hamming32, makeBitPositions, lshHash, computeDescriptorStats } from "./helpers.js";
+// lsh.js - LSH index over binary descriptors and ratio-test matching against it
+// + buildLSHIndex: numTables hash tables of keyBits descriptor bits each, chosen by entropy
+//   (selectBitPositions in lshparams.js) or at random (makeBitPositions), stored CSR-style;
+//   prebuilt tables from a .lshi file (lshindex.js) skip the selection and hashing
+// + lshMatchRatio: candidates from the probed buckets (multi-probe on the first key bits),
+//   nearest / second nearest among them, ratio and distance tests; optional per-row trace
+//   for evaluation (Tests/lsh_eval.js)
+// Rows may come from several targets; targetIds maps each ref row to its target.
+// Keys come from precomputed key tables and candidate distances from a batched kernel
+// (hamming.js); both give the same values as lshHash / hamming32.
+
+import { makeBitPositions, computeDescriptorStats, defaultMaxHamming } from "./helpers.js";
+import { makeHashTables, lshHashLUT, createHammingKernel } from "./hamming.js";
+import { selectBitPositions } from "./lshparams.js";
+
+// bitSelection: "entropy" (selectBitPositions in lshparams.js) | "random" (makeBitPositions)
+export const LSH_DEFAULTS = { numTables: 10, keyBits: 18, seedBase: 1337, bitSelection: "entropy" };
 
 // ---------------- LSH Index Building ----------------
+// Each table is stored CSR-style in typed arrays:
+//   keys[b]                          sorted distinct hash keys
+//   rows[offsets[b] .. offsets[b+1]) reference rows with key keys[b], ascending
+// plus an open-addressing slot array (key -> b) built from keys, so a bucket lookup is a
+// short linear probe. Prebuilt tables (decoded from a .lshi file, see lshindex.js) bring
+// their own bit positions and skip the selection, hashing and sorting.
+// stats: computeDescriptorStats of the rows, when the caller already has them.
 export function buildLSHIndex(refDescU8, refRows, {
-  numTables = 10,
-  keyBits   = 18,
-  seedBase  = 1337
+  numTables    = LSH_DEFAULTS.numTables,
+  keyBits      = LSH_DEFAULTS.keyBits,
+  seedBase     = LSH_DEFAULTS.seedBase,
+  bitSelection = LSH_DEFAULTS.bitSelection,
+  targetIds    = null,
+  useWasm      = "auto",
+  prebuilt     = null,
+  stats        = null
 } = {}){
   if (!(refDescU8 instanceof Uint8Array)) {
     throw new Error("refDescU8 must be Uint8Array");
@@ -14,33 +40,106 @@ export function buildLSHIndex(refDescU8, refRows, {
   if (refDescU8.length !== refRows * 32) {
     throw new Error(`refDescU8 length mismatch: expected ${refRows*32}, got ${refDescU8.length}`);
   }
+  if (targetIds && targetIds.length !== refRows) {
+    throw new Error(`targetIds length mismatch: expected ${refRows}, got ${targetIds.length}`);
+  }
+  if (prebuilt && prebuilt.tables.length !== numTables) {
+    throw new Error(`prebuilt LSH index has ${prebuilt.tables.length} tables, expected ${numTables}`);
+  }
+  if (bitSelection !== "entropy" && bitSelection !== "random") {
+    throw new Error(`bitSelection must be "entropy" or "random", got ${JSON.stringify(bitSelection)}`);
+  }
+
+  stats ??= computeDescriptorStats(refDescU8, refRows);
+  const selected = !prebuilt && bitSelection === "entropy"
+    ? selectBitPositions(refDescU8, refRows, stats, keyBits, numTables, seedBase)
+    : null;
+
+  // single-target callers get every row tagged as target 0
+  const rowTargets = targetIds ? Uint16Array.from(targetIds) : new Uint16Array(refRows);
+  let numTargets = 0;
+  for (let i = 0; i < refRows; i++) numTargets = Math.max(numTargets, rowTargets[i] + 1);
 
   const tables = [];
   for (let t = 0; t < numTables; t++){
-    const bitPos = makeBitPositions(keyBits, seedBase + t * 101);
-    const buckets = new Map();
-
-    for (let i = 0; i < refRows; i++){
-      const off = i * 32;
-      const h = lshHash(refDescU8, off, bitPos);
-      let arr = buckets.get(h);
-      if (!arr){ arr = []; buckets.set(h, arr); }
-      arr.push(i);
+    const bitPos = prebuilt ? Array.from(prebuilt.tables[t].bitPos)
+      : selected ? selected[t]
+      : makeBitPositions(keyBits, seedBase + t * 101);
+    const hashTables = makeHashTables(bitPos);
+    const { keys, offsets, rows } = prebuilt ? prebuilt.tables[t] : buildTable(refDescU8, refRows, hashTables);
+    if (rows.length !== refRows) {
+      throw new Error(`LSH table ${t}: ${rows.length} rows, expected ${refRows}`);
     }
-    tables.push({ bitPos, buckets });
+    tables.push({ bitPos, hashTables, keys, offsets, rows, ...makeSlots(keys) });
   }
 
-  const stats = computeDescriptorStats(refDescU8, refRows);
-  return { refDescU8, refRows, tables, stats };
+  const kernel = createHammingKernel(refDescU8, refRows, { useWasm });
+  return {
+    refDescU8, refRows, tables, stats, targetIds: rowTargets, numTargets, kernel,
+    params: { numTables, keyBits, seedBase, bitSelection },
+    prebuilt: !!prebuilt
+  };
 }
 
-function addCandidatesFromBucket(buckets, hash, seen, cands, refRows, maxCandidates){
-  const arr = buckets.get(hash);
-  if (!arr) return;
+// Rows sorted by (key, row), then one keys / offsets entry per distinct key
+function buildTable(refDescU8, refRows, hashTables){
+  const hashes = new Uint32Array(refRows);
+  for (let i = 0; i < refRows; i++) hashes[i] = lshHashLUT(refDescU8, i * 32, hashTables);
+
+  const rows = new Uint32Array(refRows);
+  for (let i = 0; i < refRows; i++) rows[i] = i;
+  rows.sort((a, b) => hashes[a] - hashes[b] || a - b);
+
+  let numKeys = 0;
+  for (let k = 0; k < refRows; k++){
+    if (k === 0 || hashes[rows[k]] !== hashes[rows[k - 1]]) numKeys++;
+  }
+  const keys = new Uint32Array(numKeys);
+  const offsets = new Uint32Array(numKeys + 1);
+  for (let k = 0, b = -1; k < refRows; k++){
+    const h = hashes[rows[k]];
+    if (b < 0 || h !== keys[b]){
+      keys[++b] = h;
+      offsets[b] = k;
+    }
+  }
+  offsets[numKeys] = refRows;
+  return { keys, offsets, rows };
+}
 
-  for (let k = 0; k < arr.length; k++){
+// Open addressing at load factor <= 0.5: slots[s] = bucket number + 1, 0 = empty
+function makeSlots(keys){
+  let bits = 1;
+  while ((1 << bits) < keys.length * 2) bits++;
+  const slots = new Int32Array(1 << bits);
+  const mask = slots.length - 1;
+  const shift = 32 - bits;
+  for (let b = 0; b < keys.length; b++){
+    let s = Math.imul(keys[b], 0x9E3779B1) >>> shift;
+    while (slots[s] !== 0) s = (s + 1) & mask;
+    slots[s] = b + 1;
+  }
+  return { slots, slotShift: shift };
+}
+
+// Bucket number of key h, or -1
+function findBucket({ keys, slots, slotShift }, h){
+  const mask = slots.length - 1;
+  for (let s = Math.imul(h, 0x9E3779B1) >>> slotShift; ; s = (s + 1) & mask){
+    const b = slots[s] - 1;
+    if (b < 0) return -1;
+    if (keys[b] === h) return b;
+  }
+}
+
+function addCandidatesFromBucket(table, hash, seen, cands, refRows, maxCandidates){
+  const b = findBucket(table, hash);
+  if (b < 0) return;
+
+  const { offsets, rows } = table;
+  for (let k = offsets[b]; k < offsets[b + 1]; k++){
     if (cands.length >= maxCandidates) break;
-    const refIdx = arr[k];
+    const refIdx = rows[k];
     if (refIdx >= refRows) continue;
     if (seen[refIdx]) continue;
     seen[refIdx] = 1;
@@ -49,13 +148,17 @@ function addCandidatesFromBucket(buckets, hash, seen, cands, refRows, maxCandida
 }
 
 // ---------------- LSH Matching with Ratio Test ----------------
+// trace (optional, for evaluation): receives the candidate count and the nearest
+// candidate (before the ratio / distance tests) of every live row:
+// { candidates: Uint32Array(liveRows), nearest: Int32Array(liveRows), nearestDist: Uint16Array(liveRows) }
 export function lshMatchRatio(index, liveDescU8, liveRows, {
   maxCandidates = 600,
   ratio = 0.75,
   maxHamming = null,
-  useMultiProbe = true
+  useMultiProbe = true,
+  trace = null
 } = {}){
-  const { refDescU8, refRows, tables, stats } = index;
+  const { refRows, tables, stats, targetIds, kernel } = index;
 
   if (!(liveDescU8 instanceof Uint8Array)) {
     throw new Error("liveDescU8 must be Uint8Array");
@@ -64,25 +167,28 @@ export function lshMatchRatio(index, liveDescU8, liveRows, {
     throw new Error(`liveDescU8 length mismatch: expected ${liveRows*32}, got ${liveDescU8.length}`);
   }
 
-  const adaptiveMaxHamming = maxHamming ?? Math.max(48, Math.floor(stats.meanDist * 0.4));
+  const adaptiveMaxHamming = maxHamming ?? defaultMaxHamming(stats);
 
   const matches = [];
   const seen = new Uint8Array(refRows);
+  const dist = new Uint16Array(maxCandidates);
+  kernel.setQueries(liveDescU8, liveRows);
 
   for (let j = 0; j < liveRows; j++){
     const liveOff = j * 32;
     const cands = [];
 
     for (let t = 0; t < tables.length; t++){
-      const { bitPos, buckets } = tables[t];
-      const h = lshHash(liveDescU8, liveOff, bitPos);
+      const table = tables[t];
+      const { bitPos, hashTables } = table;
+      const h = lshHashLUT(liveDescU8, liveOff, hashTables);
 
-      addCandidatesFromBucket(buckets, h, seen, cands, refRows, maxCandidates);
+      addCandidatesFromBucket(table, h, seen, cands, refRows, maxCandidates);
 
       if (useMultiProbe && cands.length < maxCandidates && bitPos.length <= 20){
         for (let b = 0; b < Math.min(3, bitPos.length); b++){
           const hNeighbor = h ^ (1 << b);
-          addCandidatesFromBucket(buckets, hNeighbor, seen, cands, refRows, maxCandidates);
+          addCandidatesFromBucket(table, hNeighbor, seen, cands, refRows, maxCandidates);
           if (cands.length >= maxCandidates) break;
         }
       }
@@ -93,6 +199,11 @@ export function lshMatchRatio(index, liveDescU8, liveRows, {
     // clear seen flags for next live descriptor
     for (let k = 0; k < cands.length; k++) seen[cands[k]] = 0;
 
+    if (trace){
+      trace.candidates[j] = cands.length;
+      trace.nearest[j] = -1;
+    }
+
     if (cands.length === 0){
       matches.push(null);
       continue;
@@ -103,9 +214,10 @@ export function lshMatchRatio(index, liveDescU8, liveRows, {
     let secondBestIdx = -1;
     let secondD = 1e9;
 
+    kernel.oneToMany(j, cands, cands.length, dist);
     for (let k = 0; k < cands.length; k++){
       const i = cands[k];
-      const d = hamming32(refDescU8, i * 32, liveDescU8, liveOff);
+      const d = dist[k];
 
       if (d < bestD){
         secondD = bestD;
@@ -118,6 +230,11 @@ export function lshMatchRatio(index, liveDescU8, liveRows, {
       }
     }
 
+    if (trace){
+      trace.nearest[j] = bestIdx;
+      trace.nearestDist[j] = bestD;
+    }
+
     const validRatio = secondD < 1e9 &&
                       secondBestIdx !== bestIdx &&
                       bestD < ratio * secondD;
@@ -125,7 +242,7 @@ export function lshMatchRatio(index, liveDescU8, liveRows, {
     const validDistance = bestD <= adaptiveMaxHamming;
 
     if (bestIdx >= 0 && validRatio && validDistance){
-      matches.push({ queryIdx: bestIdx, trainIdx: j, distance: bestD });
+      matches.push({ queryIdx: bestIdx, trainIdx: j, distance: bestD, targetId: targetIds[bestIdx] });
     } else {
       matches.push(null);
     }
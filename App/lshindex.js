@@ -0,0 +1,199 @@
+// lshindex.js - Precomputed LSH index files (.lshi), written next to a reference
+//
+// Layout (all integers little-endian uint32 unless noted):
+//   0   4  magic "LSHI"
+//   4   2  format version (uint16)
+//   6   2  flags (uint16): bit 0 set = entropy bit selection, clear = random (see lsh.js)
+//   8   4  numTables
+//   12  4  keyBits
+//   16  4  seedBase
+//   20  4  reference row count N
+//   24  4  checksum of the N * 32 descriptor bytes (FNV-1a, see descriptorChecksum)
+//   then per table: bitPos[keyBits], key count K, keys[K], offsets[K + 1], rows[N]
+//
+// The tables are the CSR arrays of buildLSHIndex in lsh.js with their bit positions (entropy
+// selection depends on the descriptors, so they are stored rather than re-derived). The
+// lookup slots are rebuilt from the keys. The checksum ties a file to the descriptors it
+// was built from; loading it against any other descriptors is an error.
+
+export const LSHI_MAGIC = "LSHI";
+export const LSHI_VERSION = 2;
+
+const FLAG_ENTROPY_BITS = 1;
+
+const HEADER_BYTES = 28;
+
+// FNV-1a (32-bit) over the raw descriptor bytes
+export function descriptorChecksum(descU8){
+  let h = 0x811C9DC5;
+  for (let i = 0; i < descU8.length; i++){
+    h = Math.imul(h ^ descU8[i], 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// ---------------- Encode ----------------
+// index: as returned by buildLSHIndex (single target, so rows are that reference's rows)
+export function encodeLSHIndex(index){
+  const { refDescU8, refRows, tables, params } = index;
+
+  let words = HEADER_BYTES / 4;
+  for (const t of tables) words += t.bitPos.length + 1 + t.keys.length + t.offsets.length + t.rows.length;
+
+  const buf = new ArrayBuffer(words * 4);
+  const dv = new DataView(buf);
+  const u8 = new Uint8Array(buf);
+
+  for (let i = 0; i < 4; i++) u8[i] = LSHI_MAGIC.charCodeAt(i);
+  dv.setUint16(4, LSHI_VERSION, true);
+  dv.setUint16(6, params.bitSelection === "entropy" ? FLAG_ENTROPY_BITS : 0, true);
+  dv.setUint32(8, params.numTables, true);
+  dv.setUint32(12, params.keyBits, true);
+  dv.setUint32(16, params.seedBase, true);
+  dv.setUint32(20, refRows, true);
+  dv.setUint32(24, descriptorChecksum(refDescU8), true);
+
+  let off = HEADER_BYTES;
+  const put = (arr) => {
+    for (let i = 0; i < arr.length; i++, off += 4) dv.setUint32(off, arr[i], true);
+  };
+  for (const t of tables){
+    put(t.bitPos);
+    dv.setUint32(off, t.keys.length, true);
+    off += 4;
+    put(t.keys);
+    put(t.offsets);
+    put(t.rows);
+  }
+  return buf;
+}
+
+// ---------------- Decode ----------------
+// Returns { params: { numTables, keyBits, seedBase, bitSelection }, refRows, checksum,
+//           tables: [{ bitPos, keys, offsets, rows }] }
+export function decodeLSHIndex(buf, source = "lshi"){
+  if (!(buf instanceof ArrayBuffer)) {
+    throw new Error(`${source}: expected an ArrayBuffer`);
+  }
+  if (buf.byteLength < HEADER_BYTES || buf.byteLength % 4 !== 0) {
+    throw new Error(`${source}: not a valid .lshi file (${buf.byteLength} bytes)`);
+  }
+
+  const dv = new DataView(buf);
+  const u8 = new Uint8Array(buf);
+
+  const magic = String.fromCharCode(u8[0], u8[1], u8[2], u8[3]);
+  if (magic !== LSHI_MAGIC) {
+    throw new Error(`${source}: not an .lshi file (magic ${JSON.stringify(magic)})`);
+  }
+  const version = dv.getUint16(4, true);
+  if (version !== LSHI_VERSION) {
+    throw new Error(`${source}: unsupported .lshi version ${version} (this build reads ${LSHI_VERSION})`);
+  }
+
+  const params = {
+    numTables: dv.getUint32(8, true),
+    keyBits: dv.getUint32(12, true),
+    seedBase: dv.getUint32(16, true),
+    bitSelection: dv.getUint16(6, true) & FLAG_ENTROPY_BITS ? "entropy" : "random"
+  };
+  const refRows = dv.getUint32(20, true);
+  const checksum = dv.getUint32(24, true);
+
+  let off = HEADER_BYTES;
+  const take = (n, what) => {
+    if (off + n * 4 > buf.byteLength) throw new Error(`${source}: truncated in ${what}`);
+    const arr = new Uint32Array(n);
+    for (let i = 0; i < n; i++, off += 4) arr[i] = dv.getUint32(off, true);
+    return arr;
+  };
+
+  const tables = [];
+  for (let t = 0; t < params.numTables; t++){
+    const bitPos = take(params.keyBits, `table ${t} bit positions`);
+    if (bitPos.some(p => p > 255)) throw new Error(`${source}: table ${t} has a bit position past 255`);
+    const numKeys = take(1, `table ${t} header`)[0];
+    const keys = take(numKeys, `table ${t} keys`);
+    const offsets = take(numKeys + 1, `table ${t} offsets`);
+    const rows = take(refRows, `table ${t} rows`);
+    if (offsets[numKeys] !== refRows) {
+      throw new Error(`${source}: table ${t} offsets end at ${offsets[numKeys]}, expected ${refRows}`);
+    }
+    tables.push({ bitPos, keys, offsets, rows });
+  }
+  if (off !== buf.byteLength) {
+    throw new Error(`${source}: ${buf.byteLength - off} trailing bytes after ${params.numTables} tables`);
+  }
+
+  return { params, refRows, checksum, tables };
+}
+
+// Throws unless `index` was built from exactly these descriptor bytes
+export function checkLSHIndexDescriptors(index, descU8, source = "lshi"){
+  if (index.refRows * 32 !== descU8.length) {
+    throw new Error(`${source}: index has ${index.refRows} rows, descriptors have ${descU8.length / 32}`);
+  }
+  if (index.checksum !== descriptorChecksum(descU8)) {
+    throw new Error(`${source}: checksum does not match the descriptors (regenerate the index with the reference)`);
+  }
+}
+
+// ---------------- Merge ----------------
+// One index over concatenated references: parts [{ index, rowOffset }] in row order. Keys
+// are merged; each bucket lists part 0's rows, then part 1's, ... which is the ascending
+// row order buildLSHIndex produces for the concatenation. Parts must hash with the same bit
+// positions; otherwise (different parameters, or entropy-selected bits, which follow each
+// target's own descriptors) there is nothing to merge and the result is null.
+export function mergeLSHIndexes(parts){
+  const { params } = parts[0].index;
+  const sameBits = (a, b) => a.length === b.length && a.every((p, i) => p === b[i]);
+  for (const { index } of parts){
+    if (index.params.numTables !== params.numTables) return null;
+    for (let t = 0; t < params.numTables; t++){
+      if (!sameBits(index.tables[t].bitPos, parts[0].index.tables[t].bitPos)) return null;
+    }
+  }
+  if (parts.length === 1 && parts[0].rowOffset === 0) return parts[0].index;
+
+  const refRows = parts.reduce((n, p) => n + p.index.refRows, 0);
+  const tables = [];
+  for (let t = 0; t < params.numTables; t++){
+    const src = parts.map(({ index, rowOffset }) => ({ ...index.tables[t], rowOffset, b: 0 }));
+    const maxKeys = src.reduce((n, p) => n + p.keys.length, 0);
+    const keys = new Uint32Array(maxKeys);
+    const offsets = new Uint32Array(maxKeys + 1);
+    const rows = new Uint32Array(refRows);
+    let numKeys = 0, w = 0;
+
+    // k-way merge of the sorted key lists
+    for (;;){
+      let key = Infinity;
+      for (const p of src) if (p.b < p.keys.length && p.keys[p.b] < key) key = p.keys[p.b];
+      if (key === Infinity) break;
+      keys[numKeys] = key;
+      offsets[numKeys++] = w;
+      for (const p of src){
+        if (p.b >= p.keys.length || p.keys[p.b] !== key) continue;
+        for (let k = p.offsets[p.b]; k < p.offsets[p.b + 1]; k++) rows[w++] = p.rows[k] + p.rowOffset;
+        p.b++;
+      }
+    }
+    offsets[numKeys] = w;
+    tables.push({
+      bitPos: src[0].bitPos,
+      keys: keys.slice(0, numKeys),
+      offsets: offsets.slice(0, numKeys + 1),
+      rows
+    });
+  }
+  return { params, refRows, checksum: null, tables };
+}
+
+// ---------------- Load ----------------
+export async function loadLSHIndex(url){
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`Failed to load ${url}: HTTP ${res.status}`);
+  }
+  return decodeLSHIndex(await res.arrayBuffer(), url);
+}
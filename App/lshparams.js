@@ -0,0 +1,207 @@
+// lshparams.js - LSH parameters from descriptor statistics (see computeDescriptorStats)
+// + selectBitPositions: key bits per table favouring balanced (high-entropy) bits that are
+//   weakly correlated with the table's other bits, instead of makeBitPositions' random ones
+// + measureCollisions: how often unrelated rows share a key, measured with the real bits
+// + predictLSH / tuneLSHParams: a collision model for keyBits x numTables, and the cheapest
+//   combination that reaches a target recall within a memory budget
+// The model treats a true match at distance d as d uniformly random flipped bits. Unrelated
+// rows collide at the measured rates, or (without them) as draws from the sampled distance
+// histogram with random bits, which over-counts for entropy-selected bits. Against
+// Tests/lsh_eval.js (measured collisions) it is within a few points where recall is high
+// (keyBits <= 18, e.g. 10 x 18 entropy: 88.5% predicted, 85.7% measured) and optimistic for
+// sparse keys with low recall (22 bits: ~40% for ~20%). makeBitPositions repeats its tables
+// after 8, which the model does not know: "random" predictions beyond 8 tables are too high.
+
+import { computeBitCorrelation, makeBitPositions, lshHash } from "./helpers.js";
+
+export const LSH_TUNE_DEFAULTS = {
+  targetRecall: 0.9,     // predicted fraction of true matches found (see predictLSH for its accuracy)
+  memoryMB: 8,           // budget for all tables (keys, offsets, rows, lookup slots)
+  maxMatchDist: 40,      // recall is averaged over true-match distances 0..maxMatchDist
+  maxCandidates: 800,    // configurations expecting more candidates per query are skipped
+  useMultiProbe: true,
+  bucketCost: 4,         // cost of hashing + looking up one probed bucket, in candidate checks
+  keyBits: [8, 30],      // search ranges (inclusive)
+  numTables: [1, 32]
+};
+
+// ---------------- Bit selection ----------------
+// Greedy per table: each step adds the bit with the best
+//   entropy - max |correlation| with the bits already in the table - 0.1 x (tables already using it)
+// plus a little seeded jitter so tables that start from the same scores still differ.
+export function selectBitPositions(descU8, rows, stats, keyBits, numTables, seedBase = 1337){
+  const corr = computeBitCorrelation(descU8, rows);
+  const usage = new Uint16Array(256);
+  const sets = [];
+
+  for (let t = 0; t < numTables; t++){
+    let s = (seedBase + t * 101) >>> 0;
+    const rnd = () => {
+      s = (1664525 * s + 1013904223) >>> 0;
+      return s / 4294967296;
+    };
+
+    const chosen = [];
+    const maxCorr = new Float64Array(256);
+    const taken = new Uint8Array(256);
+    while (chosen.length < keyBits){
+      let best = -1, bestScore = -Infinity;
+      for (let b = 0; b < 256; b++){
+        if (taken[b]) continue;
+        const score = stats.bitEntropy[b] - maxCorr[b] - 0.1 * usage[b] + 0.02 * rnd();
+        if (score > bestScore){ bestScore = score; best = b; }
+      }
+      chosen.push(best);
+      taken[best] = 1;
+      usage[best]++;
+      for (let b = 0; b < 256; b++) maxCorr[b] = Math.max(maxCorr[b], Math.abs(corr[best * 256 + b]));
+    }
+    sets.push(chosen);
+  }
+  return sets;
+}
+
+// ---------------- Collision model ----------------
+// How many other rows share a k-bit key (k = 0..30) with a row, in one table: measured over
+// `tables` 30-bit tables from the given bit selection, for sampleRows rows against all
+// others. Shorter keys are taken as prefixes: greedy selection and makeBitPositions both
+// grow a key by appending bits (exactly for the first table, closely for the others).
+// Returns { tables, sampleRows, mean: Float64Array(31), perRow: Float64Array(sampleRows * 31) }
+// (perRow[r * 31 + k], averaged over the tables). Collisions are far from uniform - rows
+// from repeated texture collide often, most rows rarely - hence the per-row counts.
+export function measureCollisions(descU8, rows, stats, {
+  bitSelection = "entropy", seedBase = 1337, tables = 4, sampleRows = 256
+} = {}){
+  const sets = bitSelection === "entropy"
+    ? selectBitPositions(descU8, rows, stats, 30, tables, seedBase)
+    : Array.from({ length: tables }, (_, t) => makeBitPositions(30, seedBase + t * 101));
+
+  const n = Math.min(rows, sampleRows);
+  const perRow = new Float64Array(n * 31);
+  const agree = new Float64Array(31); // agree[len]: rows whose key agrees in exactly the first len bits
+  const keys = new Uint32Array(rows);
+  for (const bitPos of sets){
+    for (let i = 0; i < rows; i++) keys[i] = lshHash(descU8, i * 32, bitPos);
+    for (let r = 0; r < n; r++){
+      const i = Math.floor(r * rows / n);
+      agree.fill(0);
+      for (let j = 0; j < rows; j++){
+        if (j === i) continue;
+        const x = keys[i] ^ keys[j];
+        agree[x ? 31 - Math.clz32(x & -x) : 30]++;
+      }
+      for (let len = 30, atLeast = 0; len >= 0; len--){
+        atLeast += agree[len];
+        perRow[r * 31 + len] += atLeast / sets.length;
+      }
+    }
+  }
+
+  const mean = new Float64Array(31);
+  for (let r = 0; r < n; r++) for (let k = 0; k <= 30; k++) mean[k] += perRow[r * 31 + k] / n;
+  return { tables: sets.length, sampleRows: n, mean, perRow };
+}
+
+// Probability that one table (keyBits, probing the first 3 key bits when multi-probe is on)
+// puts a row at distance d into a probed bucket.
+function tableHitProbability(d, keyBits, multiProbe){
+  const p = d / 256, q = 1 - p;
+  let hit = Math.pow(q, keyBits);
+  if (multiProbe) hit += Math.min(3, keyBits) * p * Math.pow(q, keyBits - 1);
+  return hit;
+}
+
+// Approximate bytes of one CSR table over `rows` rows (see buildLSHIndex)
+function tableBytes(rows, keyBits){
+  const keys = Math.pow(2, keyBits) * -Math.expm1(rows * Math.log1p(-Math.pow(2, -keyBits)));
+  const slots = Math.pow(2, Math.ceil(Math.log2(Math.max(2, keys * 2))));
+  return 4 * rows + 8 * keys + 4 * slots;
+}
+
+// Per sampled row, the expected number of other rows sharing its k-bit key in one table.
+// A row's own count comes from only collisions.tables tables: with sparse keys most rows
+// see none, which is no evidence that their rate is zero. So each rate is shrunk towards
+// the mean (gamma-Poisson posterior mean, the prior fitted to the spread between rows):
+// homogeneous rows all get the mean, clustered ones keep most of their own count.
+function collisionRates(collisions, k){
+  const { tables: t, sampleRows: n, perRow } = collisions;
+  const mean = collisions.mean[k];
+  const rates = new Float64Array(n);
+  if (!(mean > 0)) return rates;
+  let sq = 0;
+  for (let r = 0; r < n; r++) sq += (perRow[r * 31 + k] * t - mean * t) ** 2;
+  // variance of the rate between rows = observed variance of the counts minus Poisson noise
+  const between = Math.max(0, (sq / n - mean * t) / (t * t));
+  if (between === 0) return rates.fill(mean);
+  const shape = mean * mean / between, rate = mean / between;
+  for (let r = 0; r < n; r++) rates[r] = (shape + perRow[r * 31 + k] * t) / (rate + t);
+  return rates;
+}
+
+// { recall, candidates, memoryBytes } predicted for one configuration. recall also needs a
+// second candidate: lshMatchRatio rejects a row whose only candidate is its match (no ratio
+// test possible), so it is scaled by P(at least one unrelated candidate) - Poisson in each
+// sampled row's collision rate (collisionRates) when measured, in the mean otherwise.
+export function predictLSH(stats, {
+  keyBits, numTables, useMultiProbe = true, maxMatchDist = LSH_TUNE_DEFAULTS.maxMatchDist, collisions = null
+}){
+  const multiProbe = useMultiProbe && keyBits <= 20; // as in lshMatchRatio
+  const found = (d) => 1 - Math.pow(1 - tableHitProbability(d, keyBits, multiProbe), numTables);
+
+  // a probe flips one key bit: about as likely to hit an unrelated row as the key itself
+  const probes = multiProbe ? 1 + Math.min(3, keyBits) : 1;
+  let candidates = 0, second;
+  if (collisions){
+    const others = stats.rows - 1;
+    const perTable = others > 0 ? Math.min(1, collisions.mean[keyBits] * probes / others) : 0;
+    candidates = others * (1 - Math.pow(1 - perTable, numTables));
+    second = 0;
+    for (const rate of collisionRates(collisions, keyBits)) second -= Math.expm1(-numTables * probes * rate);
+    second /= collisions.sampleRows;
+  } else {
+    if (stats.pairs > 0){
+      for (let d = 0; d <= 256; d++){
+        if (stats.histogram[d]) candidates += stats.histogram[d] * found(d);
+      }
+      candidates *= stats.rows / stats.pairs;
+    }
+    second = -Math.expm1(-candidates);
+  }
+
+  let recall = 0;
+  for (let d = 0; d <= maxMatchDist; d++) recall += found(d);
+  recall *= second / (maxMatchDist + 1);
+
+  return { recall, candidates, memoryBytes: numTables * tableBytes(stats.rows, keyBits) };
+}
+
+// ---------------- Auto-tuning ----------------
+// Cheapest configuration (expected candidates + bucketCost per probed bucket) whose
+// predicted recall reaches targetRecall within memoryMB and maxCandidates. When none does,
+// the highest predicted recall within the memory budget, with met: false.
+// opts.collisions: measureCollisions() for the bit selection in use (recommended: without
+// them candidates are over-counted for entropy-selected bits).
+// Returns { keyBits, numTables, recall, candidates, memoryBytes, cost, met }.
+export function tuneLSHParams(stats, opts = {}){
+  const o = { ...LSH_TUNE_DEFAULTS, ...opts };
+  const budget = o.memoryMB * 1024 * 1024;
+  let best = null, fallback = null;
+
+  for (let keyBits = o.keyBits[0]; keyBits <= o.keyBits[1]; keyBits++){
+    for (let numTables = o.numTables[0]; numTables <= o.numTables[1]; numTables++){
+      const p = predictLSH(stats, {
+        keyBits, numTables, useMultiProbe: o.useMultiProbe, maxMatchDist: o.maxMatchDist, collisions: o.collisions
+      });
+      if (p.memoryBytes > budget) break; // more tables only cost more
+      const probes = o.useMultiProbe && keyBits <= 20 ? 1 + Math.min(3, keyBits) : 1;
+      const c = { keyBits, numTables, ...p, cost: p.candidates + o.bucketCost * numTables * probes };
+      if (!fallback || c.recall > fallback.recall) fallback = c;
+      if (c.recall < o.targetRecall || c.candidates > o.maxCandidates) continue;
+      if (!best || c.cost < best.cost) best = c;
+    }
+  }
+
+  if (best) return { ...best, met: true };
+  if (fallback) return { ...fallback, met: false };
+  throw new Error(`tuneLSHParams: no configuration fits in ${o.memoryMB} MB`);
+}
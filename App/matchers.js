@@ -0,0 +1,477 @@
+// matchers.js - Interchangeable descriptor matchers behind one build / match interface
+// Every backend returns one entry per live row: null, or
+//   { queryIdx: database row, trainIdx: live row, distance, targetId }
+// (the lsh.js convention: "query" is the reference database, "train" the live frame).
+// Backends:
+//   lsh      - random-bit multi-table LSH (lsh.js), approximate
+//   brute    - exhaustive hamming32, exact; fine for small targets
+//   mih      - multi-index hashing: exact search within a Hamming radius through one
+//              table per descriptor substring (pigeonhole: a row within R differs from the
+//              query by at most floor(R / m) bits in at least one of the m substrings)
+//   kmedoids - FLANN-style hierarchical k-medoids trees, approximate; best-bin-first search
+//              checks at most match.maxCandidates rows
+// All backends apply lshMatchRatio's ratio test and distance limit; crossCheck additionally
+// keeps only mutual nearest neighbours (no other live row is as close to the matched row).
+
+import { hamming32, computeDescriptorStats, defaultMaxHamming } from "./helpers.js";
+import { buildLSHIndex, lshMatchRatio, LSH_DEFAULTS } from "./lsh.js";
+import { measureCollisions, tuneLSHParams } from "./lshparams.js";
+import { createHammingKernel } from "./hamming.js";
+
+export const MATCHER_DEFAULTS = {
+  backend: "lsh",       // "lsh" | "brute" | "mih" | "kmedoids"
+  crossCheck: false,    // mutual nearest neighbour filter, any backend
+  mih: { substringBits: 16 },   // 8 or 16; 16 -> 16 tables of 65536 buckets
+  kmedoids: {
+    trees: 4,           // independent trees searched together
+    branching: 16,      // children per node
+    leafSize: 64,       // nodes with at most this many rows become leaves
+    iterations: 2,      // medoid refinement passes per node (0 = random centres)
+    seed: 1
+  }
+};
+
+// Same default distance limit as lshMatchRatio
+function distanceLimit(stats, maxHamming){
+  return maxHamming ?? defaultMaxHamming(stats);
+}
+
+function checkLive(liveDescU8, liveRows){
+  if (!(liveDescU8 instanceof Uint8Array)) {
+    throw new Error("liveDescU8 must be Uint8Array");
+  }
+  if (liveDescU8.length !== liveRows * 32) {
+    throw new Error(`liveDescU8 length mismatch: expected ${liveRows*32}, got ${liveDescU8.length}`);
+  }
+}
+
+// Fields every backend index carries (the LSH index already has them)
+function baseIndex(refDescU8, refRows, targetIds){
+  if (!(refDescU8 instanceof Uint8Array)) {
+    throw new Error("refDescU8 must be Uint8Array");
+  }
+  if (refDescU8.length !== refRows * 32) {
+    throw new Error(`refDescU8 length mismatch: expected ${refRows*32}, got ${refDescU8.length}`);
+  }
+  if (targetIds && targetIds.length !== refRows) {
+    throw new Error(`targetIds length mismatch: expected ${refRows}, got ${targetIds.length}`);
+  }
+  return {
+    refDescU8,
+    refRows,
+    targetIds: targetIds ? Uint16Array.from(targetIds) : new Uint16Array(refRows),
+    stats: computeDescriptorStats(refDescU8, refRows)
+  };
+}
+
+// Ratio + distance test shared by the non-LSH backends; secondD may be a lower bound.
+function accept(index, j, bestIdx, bestD, secondD, ratio, maxD){
+  if (bestIdx < 0 || !(secondD < 1e9) || !(bestD < ratio * secondD) || bestD > maxD) return null;
+  return { queryIdx: bestIdx, trainIdx: j, distance: bestD, targetId: index.targetIds[bestIdx] };
+}
+
+// ---------------- LSH ----------------
+// opts.lsh: buildLSHIndex parameters, plus autoTune (keyBits / numTables from tuneLSHParams
+// in lshparams.js, with targetRecall, memoryMB, useMultiProbe and the tuner's own candidate
+// budget; collision rates are measured with the bit selection in use).
+// opts.prebuiltLSH (decoded .lshi tables, see targets.js) is used when it was built with
+// the resulting table parameters; anything else builds the tables here.
+const lshBackend = {
+  build(refDescU8, refRows, opts){
+    const { autoTune = false, targetRecall, memoryMB, useMultiProbe, ...params } =
+      { ...LSH_DEFAULTS, ...opts.lsh };
+    const stats = computeDescriptorStats(refDescU8, refRows);
+
+    let tuning = null;
+    if (autoTune){
+      const tuneOpts = Object.fromEntries(Object.entries({ targetRecall, memoryMB, useMultiProbe })
+        .filter(([, v]) => v !== undefined));
+      const collisions = measureCollisions(refDescU8, refRows, stats, {
+        bitSelection: params.bitSelection, seedBase: params.seedBase
+      });
+      tuning = tuneLSHParams(stats, { ...tuneOpts, collisions });
+      params.keyBits = tuning.keyBits;
+      params.numTables = tuning.numTables;
+    }
+
+    const p = opts.prebuiltLSH?.params;
+    const prebuilt = p && p.numTables === params.numTables && p.keyBits === params.keyBits &&
+      p.seedBase === params.seedBase && p.bitSelection === params.bitSelection ? opts.prebuiltLSH : null;
+    const index = buildLSHIndex(refDescU8, refRows, { ...params, targetIds: opts.targetIds, prebuilt, stats });
+    return { ...index, tuning };
+  },
+  match(index, liveDescU8, liveRows, matchOpts){
+    return lshMatchRatio(index, liveDescU8, liveRows, matchOpts);
+  }
+};
+
+// ---------------- Brute force ----------------
+const bruteBackend = {
+  build(refDescU8, refRows, opts){
+    const index = baseIndex(refDescU8, refRows, opts.targetIds);
+    return { ...index, kernel: createHammingKernel(refDescU8, refRows) };
+  },
+  match(index, liveDescU8, liveRows, { ratio = 0.75, maxHamming = null } = {}){
+    const { refRows, kernel } = index;
+    const maxD = distanceLimit(index.stats, maxHamming);
+    const dist = new Uint16Array(refRows);
+    const matches = [];
+
+    kernel.setQueries(liveDescU8, liveRows);
+    for (let j = 0; j < liveRows; j++){
+      kernel.oneToAll(j, dist);
+      let bestIdx = -1, bestD = 1e9, secondD = 1e9;
+      for (let i = 0; i < refRows; i++){
+        const d = dist[i];
+        if (d < bestD){
+          secondD = bestD;
+          bestD = d;
+          bestIdx = i;
+        } else if (d < secondD){
+          secondD = d;
+        }
+      }
+      matches.push(accept(index, j, bestIdx, bestD, secondD, ratio, maxD));
+    }
+    return matches;
+  }
+};
+
+// ---------------- Multi-index hashing ----------------
+// Substring s of row i is bytes [s*w, s*w+w) read little-endian (w = substringBits / 8).
+function substringKey(descU8, off, s, w){
+  return w === 2 ? descU8[off + 2 * s] | (descU8[off + 2 * s + 1] << 8) : descU8[off + s];
+}
+
+// All masks of `bits` bits with popcount <= r, lowest popcount first
+const maskCache = new Map();
+function flipMasks(bits, r){
+  const key = `${bits}/${r}`;
+  if (!maskCache.has(key)){
+    const masks = [];
+    for (let pc = 0; pc <= r; pc++){
+      for (let m = 0; m < (1 << bits); m++){
+        let c = 0;
+        for (let x = m; x; x &= x - 1) c++;
+        if (c === pc) masks.push(m);
+      }
+    }
+    maskCache.set(key, Uint32Array.from(masks));
+  }
+  return maskCache.get(key);
+}
+
+const mihBackend = {
+  build(refDescU8, refRows, opts){
+    const index = baseIndex(refDescU8, refRows, opts.targetIds);
+    const bits = opts.mih?.substringBits ?? MATCHER_DEFAULTS.mih.substringBits;
+    if (bits !== 8 && bits !== 16) throw new Error(`mih.substringBits must be 8 or 16, got ${bits}`);
+
+    const w = bits >> 3;
+    const m = 32 / w;
+    const buckets = 1 << bits;
+    const tables = [];
+    for (let s = 0; s < m; s++){
+      // CSR: rows of bucket k are rows[offsets[k] .. offsets[k+1])
+      const offsets = new Uint32Array(buckets + 1);
+      for (let i = 0; i < refRows; i++) offsets[substringKey(refDescU8, i * 32, s, w) + 1]++;
+      for (let k = 0; k < buckets; k++) offsets[k + 1] += offsets[k];
+      const fill = offsets.slice(0, buckets);
+      const rows = new Uint32Array(refRows);
+      for (let i = 0; i < refRows; i++) rows[fill[substringKey(refDescU8, i * 32, s, w)]++] = i;
+      tables.push({ offsets, rows });
+    }
+    return { ...index, bits, substrings: m, tables, seen: new Uint32Array(refRows), stamp: 0 };
+  },
+
+  match(index, liveDescU8, liveRows, { ratio = 0.75, maxHamming = null } = {}){
+    const { refDescU8, bits, substrings, tables, seen } = index;
+    const w = bits >> 3;
+    const maxD = distanceLimit(index.stats, maxHamming);
+    // the ratio test needs the second neighbour whenever it is within maxD / ratio
+    const R = Math.min(256, Math.ceil(maxD / ratio));
+    const masks = flipMasks(bits, Math.floor(R / substrings));
+    const matches = [];
+
+    for (let j = 0; j < liveRows; j++){
+      const liveOff = j * 32;
+      const stamp = ++index.stamp;
+      let bestIdx = -1, bestD = R + 1, secondD = R + 1;
+
+      for (let s = 0; s < substrings; s++){
+        const { offsets, rows } = tables[s];
+        const key = substringKey(liveDescU8, liveOff, s, w);
+        for (let q = 0; q < masks.length; q++){
+          const k = key ^ masks[q];
+          for (let p = offsets[k]; p < offsets[k + 1]; p++){
+            const i = rows[p];
+            if (seen[i] === stamp) continue;
+            seen[i] = stamp;
+            const d = hamming32(refDescU8, i * 32, liveDescU8, liveOff);
+            if (d < bestD){
+              secondD = bestD;
+              bestD = d;
+              bestIdx = i;
+            } else if (d < secondD){
+              secondD = d;
+            }
+          }
+        }
+      }
+      // nothing else within R: the true second distance is at least R + 1
+      matches.push(accept(index, j, bestIdx, bestD, secondD, ratio, maxD));
+    }
+    return matches;
+  }
+};
+
+// ---------------- Hierarchical k-medoids trees ----------------
+function mulberry32(seed){
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function buildKMedoidsNode(refDescU8, points, o, rnd){
+  if (points.length <= o.leafSize) return { pivots: null, children: null, points: Int32Array.from(points) };
+
+  // random distinct centres
+  const k = Math.min(o.branching, points.length);
+  const pool = points.slice();
+  const centers = [];
+  for (let c = 0; c < k; c++){
+    const r = c + ((rnd() * (pool.length - c)) | 0);
+    [pool[c], pool[r]] = [pool[r], pool[c]];
+    centers.push(pool[c]);
+  }
+
+  let clusters;
+  for (let it = 0; ; it++){
+    clusters = centers.map(() => []);
+    for (const i of points){
+      let best = 0, bestD = 1e9;
+      for (let c = 0; c < k; c++){
+        const d = hamming32(refDescU8, i * 32, refDescU8, centers[c] * 32);
+        if (d < bestD){ bestD = d; best = c; }
+      }
+      clusters[best].push(i);
+    }
+    if (it >= o.iterations) break;
+
+    // medoid update on a sample: the member closest to the other sampled members
+    for (let c = 0; c < k; c++){
+      const members = clusters[c];
+      if (members.length < 3) continue;
+      const sample = members.length <= 32 ? members : Array.from({ length: 32 }, () => members[(rnd() * members.length) | 0]);
+      let best = centers[c], bestSum = Infinity;
+      for (const a of sample){
+        let sum = 0;
+        for (const b of sample) sum += hamming32(refDescU8, a * 32, refDescU8, b * 32);
+        if (sum < bestSum){ bestSum = sum; best = a; }
+      }
+      centers[c] = best;
+    }
+  }
+
+  // duplicates can put everything in one cluster; stop splitting then
+  if (clusters.some(c => c.length === points.length)) return { pivots: null, children: null, points: Int32Array.from(points) };
+
+  const keep = clusters.map((c, i) => i).filter(i => clusters[i].length > 0);
+  return {
+    pivots: Int32Array.from(keep.map(i => centers[i])),
+    children: keep.map(i => buildKMedoidsNode(refDescU8, clusters[i], o, rnd)),
+    points: null
+  };
+}
+
+const kmedoidsBackend = {
+  build(refDescU8, refRows, opts){
+    const index = baseIndex(refDescU8, refRows, opts.targetIds);
+    const o = { ...MATCHER_DEFAULTS.kmedoids, ...opts.kmedoids };
+    if (o.branching < 2) throw new Error(`kmedoids.branching must be at least 2, got ${o.branching}`);
+    const rnd = mulberry32(o.seed);
+    const all = Array.from({ length: refRows }, (_, i) => i);
+    const trees = [];
+    for (let t = 0; t < o.trees; t++) trees.push(buildKMedoidsNode(refDescU8, all, o, rnd));
+    // seen: per-query visit stamps; dists: pivot distances of the node being descended
+    return { ...index, trees, seen: new Uint32Array(refRows), stamp: 0, dists: new Uint16Array(o.branching) };
+  },
+
+  match(index, liveDescU8, liveRows, { maxCandidates = 600, ratio = 0.75, maxHamming = null } = {}){
+    const { refDescU8, trees, seen, dists } = index;
+    const maxD = distanceLimit(index.stats, maxHamming);
+    const matches = [];
+
+    // min-heap of unexplored branches, keyed by pivot distance
+    const heapNodes = [];
+    const heapDist = [];
+    const push = (node, d) => {
+      let i = heapNodes.length;
+      heapNodes.push(node);
+      heapDist.push(d);
+      while (i > 0){
+        const p = (i - 1) >> 1;
+        if (heapDist[p] <= d) break;
+        heapNodes[i] = heapNodes[p]; heapDist[i] = heapDist[p];
+        i = p;
+      }
+      heapNodes[i] = node; heapDist[i] = d;
+    };
+    const pop = () => {
+      const top = heapNodes[0];
+      const node = heapNodes.pop();
+      const d = heapDist.pop();
+      if (heapNodes.length){
+        let i = 0;
+        const n = heapNodes.length;
+        for (;;){
+          let c = 2 * i + 1;
+          if (c >= n) break;
+          if (c + 1 < n && heapDist[c + 1] < heapDist[c]) c++;
+          if (heapDist[c] >= d) break;
+          heapNodes[i] = heapNodes[c]; heapDist[i] = heapDist[c];
+          i = c;
+        }
+        heapNodes[i] = node; heapDist[i] = d;
+      }
+      return top;
+    };
+
+    for (let j = 0; j < liveRows; j++){
+      const liveOff = j * 32;
+      const stamp = ++index.stamp;
+      let bestIdx = -1, bestD = 1e9, secondD = 1e9;
+      let checks = 0;
+      heapNodes.length = 0;
+      heapDist.length = 0;
+
+      const descend = (node) => {
+        while (node.children){
+          let best = 0, bd = 1e9;
+          for (let c = 0; c < node.pivots.length; c++){
+            dists[c] = hamming32(refDescU8, node.pivots[c] * 32, liveDescU8, liveOff);
+            if (dists[c] < bd){ bd = dists[c]; best = c; }
+          }
+          for (let c = 0; c < node.pivots.length; c++){
+            if (c !== best) push(node.children[c], dists[c]);
+          }
+          node = node.children[best];
+        }
+        for (let p = 0; p < node.points.length; p++){
+          const i = node.points[p];
+          if (seen[i] === stamp) continue;
+          seen[i] = stamp;
+          checks++;
+          const d = hamming32(refDescU8, i * 32, liveDescU8, liveOff);
+          if (d < bestD){
+            secondD = bestD;
+            bestD = d;
+            bestIdx = i;
+          } else if (d < secondD){
+            secondD = d;
+          }
+        }
+      };
+
+      for (const root of trees) descend(root);
+      while (heapNodes.length && checks < maxCandidates) descend(pop());
+
+      matches.push(accept(index, j, bestIdx, bestD, secondD, ratio, maxD));
+    }
+    return matches;
+  }
+};
+
+export const MATCHER_BACKENDS = {
+  lsh: lshBackend,
+  brute: bruteBackend,
+  mih: mihBackend,
+  kmedoids: kmedoidsBackend
+};
+
+// ---------------- Public interface ----------------
+// Matcher options from the app settings: matcher.* plus the LSH table parameters (and, when
+// auto-tuning, the tuner's targets and whether it plans for multi-probe; left out otherwise
+// so that changing them does not rebuild the index). match.maxCandidates stays a match-time
+// option: the performance governor (governor.js) lowers it, which must not rebuild or re-tune.
+export function matcherOptions(settings){
+  const { autoTune, targetRecall, memoryMB, ...tables } = settings.lsh;
+  const { useMultiProbe } = settings.match;
+  return {
+    ...settings.matcher,
+    lsh: autoTune ? { ...tables, autoTune, targetRecall, memoryMB, useMultiProbe } : tables
+  };
+}
+
+// Serialised build-time options of the selected backend: a change means the index must be rebuilt.
+export function matcherBuildKey(opts){
+  const backend = opts.backend ?? MATCHER_DEFAULTS.backend;
+  return JSON.stringify([backend, opts[backend] ?? null]);
+}
+
+// opts: { backend, lsh, mih, kmedoids, targetIds, prebuiltLSH }
+// Returns { backend, index, buildMs, buildKey, prebuilt }; index always has refDescU8, refRows,
+// targetIds, stats. prebuilt: the index came from precomputed tables rather than a build.
+export function buildMatcher(refDescU8, refRows, opts = {}){
+  const backend = opts.backend ?? MATCHER_DEFAULTS.backend;
+  const impl = MATCHER_BACKENDS[backend];
+  if (!impl) throw new Error(`Unknown matcher backend "${backend}" (expected ${Object.keys(MATCHER_BACKENDS).join(", ")})`);
+
+  const t0 = performance.now();
+  const index = impl.build(refDescU8, refRows, opts);
+  return {
+    backend,
+    index,
+    buildMs: performance.now() - t0,
+    buildKey: matcherBuildKey(opts),
+    prebuilt: index.prebuilt === true
+  };
+}
+
+// matchOpts: { maxCandidates, ratio, maxHamming, useMultiProbe, crossCheck }
+export function matchDescriptors(matcher, liveDescU8, liveRows, matchOpts = {}){
+  checkLive(liveDescU8, liveRows);
+  const matches = MATCHER_BACKENDS[matcher.backend].match(matcher.index, liveDescU8, liveRows, matchOpts);
+  return matchOpts.crossCheck ? crossCheck(matcher.index, liveDescU8, liveRows, matches) : matches;
+}
+
+// Drops a match when another live row is at least as close to its database row. Exact:
+// every live row against the distinct matched database rows, batched through the index's
+// kernel (brute and lsh have one; the others get one on first use). The match's own row is
+// among the two closest, so it is mutual when the second closest distance is larger.
+function crossCheck(index, liveDescU8, liveRows, matches){
+  const rows = [];
+  const slot = new Map(); // database row -> position in rows
+  for (const m of matches){
+    if (m && !slot.has(m.queryIdx)){
+      slot.set(m.queryIdx, rows.length);
+      rows.push(m.queryIdx);
+    }
+  }
+  if (!rows.length) return matches;
+
+  const kernel = index.kernel ??= createHammingKernel(index.refDescU8, index.refRows);
+  const idx = Int32Array.from(rows);
+  const dist = new Uint16Array(rows.length);
+  const first = new Uint16Array(rows.length).fill(0xFFFF);
+  const second = new Uint16Array(rows.length).fill(0xFFFF);
+  kernel.setQueries(liveDescU8, liveRows);
+  for (let k = 0; k < liveRows; k++){
+    kernel.oneToMany(k, idx, rows.length, dist);
+    for (let r = 0; r < rows.length; r++){
+      const d = dist[r];
+      if (d < first[r]){
+        second[r] = first[r];
+        first[r] = d;
+      } else if (d < second[r]){
+        second[r] = d;
+      }
+    }
+  }
+  return matches.map(m => m && second[slot.get(m.queryIdx)] > m.distance ? m : null);
+}
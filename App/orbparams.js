@@ -0,0 +1,66 @@
+// orbparams.js - ORB parameter validation, compatibility checks and detector creation
+// orbParams travel with every reference (descriptor.js / .orbt) so the live detector
+// can be built with the same settings the reference was generated with.
+
+export const ORB_PARAM_KEYS = [
+  "nfeatures", "scaleFactor", "nlevels", "edgeThreshold", "firstLevel",
+  "WTA_K", "scoreType", "patchSize", "fastThreshold"
+];
+
+// Settings that change what a descriptor means: references that disagree on these
+// cannot be matched against each other or against one live detector.
+const DESCRIPTOR_PARAM_KEYS = ["WTA_K", "patchSize"];
+
+const SCORE_TYPES = ["HARRIS", "FAST"];
+
+// ---------------- Validation ----------------
+export function validateOrbParams(p, source = "orbParams"){
+  if (!p || typeof p !== "object") {
+    throw new Error(`${source}: missing orbParams`);
+  }
+  for (const k of ORB_PARAM_KEYS){
+    if (!(k in p)) throw new Error(`${source}: orbParams.${k} is missing`);
+    if (k !== "scoreType" && !Number.isFinite(p[k])) {
+      throw new Error(`${source}: orbParams.${k} must be a number, got ${JSON.stringify(p[k])}`);
+    }
+  }
+  if (!SCORE_TYPES.includes(p.scoreType)) {
+    throw new Error(`${source}: orbParams.scoreType must be one of ${SCORE_TYPES.join(", ")}, got ${JSON.stringify(p.scoreType)}`);
+  }
+  // WTA_K 3/4 produce descriptors that are not compared with plain Hamming distance
+  if (p.WTA_K !== 2) {
+    throw new Error(`${source}: orbParams.WTA_K=${p.WTA_K} is not supported (Hamming matching needs WTA_K=2)`);
+  }
+  if (p.nfeatures < 1 || p.nlevels < 1 || p.scaleFactor <= 1) {
+    throw new Error(`${source}: orbParams nfeatures/nlevels must be >= 1 and scaleFactor > 1`);
+  }
+  return p;
+}
+
+export function checkOrbParamsCompatible(a, b, source = "orbParams"){
+  for (const k of DESCRIPTOR_PARAM_KEYS){
+    if (a[k] !== b[k]) {
+      throw new Error(`${source}: orbParams.${k}=${b[k]} is incompatible with ${a[k]}`);
+    }
+  }
+}
+
+// ---------------- Detector ----------------
+export function resolveScoreType(s){
+  if (s === "FAST") return cv.ORB_FAST_SCORE;
+  return cv.ORB_HARRIS_SCORE;
+}
+
+export function createORB(p){
+  return new cv.ORB(
+    p.nfeatures,
+    p.scaleFactor,
+    p.nlevels,
+    p.edgeThreshold,
+    p.firstLevel,
+    p.WTA_K,
+    resolveScoreType(p.scoreType),
+    p.patchSize,
+    p.fastThreshold
+  );
+}
@@ -0,0 +1,170 @@
+// orbt.js - Compact binary reference format (.orbt)
+//
+// Layout (all integers little-endian):
+//   0   4  magic "ORBT"
+//   4   2  format version (uint16)
+//   6   2  flags (uint16): bit 0 = per-keypoint repeatability present, others reserved = 0
+//   8   4  image width (uint32)
+//   12  4  image height (uint32)
+//   16  4  keypoint / descriptor count N (uint32)
+//   20  4  descriptor bytes per row (uint32, always 32)
+//   24  4  orbParams JSON byte length L (uint32)
+//   28  L  orbParams as UTF-8 JSON, space-padded to a 4-byte boundary
+//   then   x[N], y[N], angle[N], size[N] (float32), octave[N] (int32)
+//          [+ repeatability[N] (float32) with flag bit 0, see training.js]
+//   then   N * 32 raw descriptor bytes
+//
+// decodeOrbt returns the same shape as DESCRIPTOR in descriptor.js.
+
+import { validateOrbParams } from "./orbparams.js";
+
+export const ORBT_MAGIC = "ORBT";
+export const ORBT_VERSION = 1;
+
+const HEADER_BYTES = 28;
+const DESC_BYTES = 32;
+const KP_FIELD_BYTES = 4 * 5; // x, y, angle, size, octave
+
+const FLAG_REPEATABILITY = 1;
+const KNOWN_FLAGS = FLAG_REPEATABILITY;
+
+function align4(n){
+  return (n + 3) & ~3;
+}
+
+// ---------------- Encode ----------------
+export function encodeOrbt({ image, orbParams, keypoints, descriptors }){
+  validateOrbParams(orbParams);
+  const n = descriptors.rows;
+  if (descriptors.cols !== DESC_BYTES) {
+    throw new Error(`encodeOrbt: expected ${DESC_BYTES}-byte descriptors, got ${descriptors.cols}`);
+  }
+  if (keypoints.length !== n) {
+    throw new Error(`encodeOrbt: ${keypoints.length} keypoints for ${n} descriptors`);
+  }
+  if (descriptors.data.length !== n * DESC_BYTES) {
+    throw new Error(`encodeOrbt: descriptor data length ${descriptors.data.length}, expected ${n * DESC_BYTES}`);
+  }
+
+  // stored only when every keypoint has one (trained references)
+  const withRepeat = n > 0 && keypoints.every(kp => Number.isFinite(kp.repeatability));
+  const kpFields = withRepeat ? KP_FIELD_BYTES + 4 : KP_FIELD_BYTES;
+
+  const paramsBytes = new TextEncoder().encode(JSON.stringify(orbParams));
+  const paramsLen = align4(paramsBytes.length);
+  const kpOff = HEADER_BYTES + paramsLen;
+  const descOff = kpOff + n * kpFields;
+
+  const buf = new ArrayBuffer(descOff + n * DESC_BYTES);
+  const dv = new DataView(buf);
+  const u8 = new Uint8Array(buf);
+
+  for (let i = 0; i < 4; i++) u8[i] = ORBT_MAGIC.charCodeAt(i);
+  dv.setUint16(4, ORBT_VERSION, true);
+  dv.setUint16(6, withRepeat ? FLAG_REPEATABILITY : 0, true);
+  dv.setUint32(8, image.width, true);
+  dv.setUint32(12, image.height, true);
+  dv.setUint32(16, n, true);
+  dv.setUint32(20, DESC_BYTES, true);
+  dv.setUint32(24, paramsLen, true);
+  u8.fill(0x20, HEADER_BYTES, kpOff);
+  u8.set(paramsBytes, HEADER_BYTES);
+
+  for (let i = 0; i < n; i++){
+    const kp = keypoints[i];
+    dv.setFloat32(kpOff + i * 4, kp.x, true);
+    dv.setFloat32(kpOff + (n + i) * 4, kp.y, true);
+    dv.setFloat32(kpOff + (2 * n + i) * 4, kp.angle, true);
+    dv.setFloat32(kpOff + (3 * n + i) * 4, kp.size, true);
+    dv.setInt32(kpOff + (4 * n + i) * 4, kp.octave, true);
+    if (withRepeat) dv.setFloat32(kpOff + (5 * n + i) * 4, kp.repeatability, true);
+  }
+
+  u8.set(descriptors.data, descOff);
+  return buf;
+}
+
+// ---------------- Decode ----------------
+export function decodeOrbt(buf, source = "orbt"){
+  if (!(buf instanceof ArrayBuffer)) {
+    throw new Error(`${source}: expected an ArrayBuffer`);
+  }
+  if (buf.byteLength < HEADER_BYTES) {
+    throw new Error(`${source}: file too short for an .orbt header (${buf.byteLength} bytes)`);
+  }
+
+  const dv = new DataView(buf);
+  const u8 = new Uint8Array(buf);
+
+  const magic = String.fromCharCode(u8[0], u8[1], u8[2], u8[3]);
+  if (magic !== ORBT_MAGIC) {
+    throw new Error(`${source}: not an .orbt file (magic ${JSON.stringify(magic)})`);
+  }
+  const version = dv.getUint16(4, true);
+  if (version !== ORBT_VERSION) {
+    throw new Error(`${source}: unsupported .orbt version ${version} (this build reads ${ORBT_VERSION})`);
+  }
+
+  const flags = dv.getUint16(6, true);
+  if (flags & ~KNOWN_FLAGS) {
+    throw new Error(`${source}: unknown .orbt flags 0x${flags.toString(16)}`);
+  }
+  const withRepeat = (flags & FLAG_REPEATABILITY) !== 0;
+
+  const width = dv.getUint32(8, true);
+  const height = dv.getUint32(12, true);
+  const n = dv.getUint32(16, true);
+  const cols = dv.getUint32(20, true);
+  const paramsLen = dv.getUint32(24, true);
+
+  if (!width || !height) throw new Error(`${source}: invalid image size ${width}x${height}`);
+  if (cols !== DESC_BYTES) throw new Error(`${source}: expected ${DESC_BYTES}-byte descriptors, got ${cols}`);
+  if (paramsLen % 4 !== 0) throw new Error(`${source}: orbParams block is not 4-byte aligned`);
+
+  const kpOff = HEADER_BYTES + paramsLen;
+  const descOff = kpOff + n * (withRepeat ? KP_FIELD_BYTES + 4 : KP_FIELD_BYTES);
+  const expected = descOff + n * DESC_BYTES;
+  if (buf.byteLength !== expected) {
+    throw new Error(`${source}: size ${buf.byteLength} bytes does not match header (expected ${expected})`);
+  }
+
+  let orbParams;
+  try {
+    orbParams = JSON.parse(new TextDecoder().decode(u8.subarray(HEADER_BYTES, kpOff)));
+  } catch (err) {
+    throw new Error(`${source}: orbParams header is not valid JSON (${err.message})`);
+  }
+  validateOrbParams(orbParams, source);
+
+  const keypoints = new Array(n);
+  for (let i = 0; i < n; i++){
+    keypoints[i] = {
+      x: dv.getFloat32(kpOff + i * 4, true),
+      y: dv.getFloat32(kpOff + (n + i) * 4, true),
+      angle: dv.getFloat32(kpOff + (2 * n + i) * 4, true),
+      size: dv.getFloat32(kpOff + (3 * n + i) * 4, true),
+      octave: dv.getInt32(kpOff + (4 * n + i) * 4, true)
+    };
+    if (withRepeat) keypoints[i].repeatability = dv.getFloat32(kpOff + (5 * n + i) * 4, true);
+  }
+
+  return {
+    image: { width, height },
+    orbParams,
+    keypoints,
+    descriptors: {
+      rows: n,
+      cols,
+      data: u8.slice(descOff, expected)
+    }
+  };
+}
+
+// ---------------- Load ----------------
+export async function loadOrbt(url){
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`Failed to load ${url}: HTTP ${res.status}`);
+  }
+  return decodeOrbt(await res.arrayBuffer(), url);
+}
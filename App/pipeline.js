@@ -0,0 +1,539 @@
+// pipeline.js - Vision pipeline: preprocess (stage chain, see preprocess.js), ORB, matching (LSH or another backend), homography, LK tracking, pose
+// Runs inside worker.js; takes RGBA frames and returns per-target corners, camera pose
+// and stage timings.
+// Optional gyro input (see imu.js) seeds optical flow with the rotation-predicted
+// positions and carries briefly lost targets until detection finds them again.
+// Nothing here touches the DOM, so it only needs `cv` and OffscreenCanvas.
+
+import { loadTargetDatabase, groupMatchesByTarget } from "./targets.js";
+import { buildMatcher, matchDescriptors, matcherOptions, matcherBuildKey } from "./matchers.js";
+import { createORB } from "./orbparams.js";
+import { selectInliers, createTrack, updateTrack, TRACK_DEFAULTS } from "./tracker.js";
+import { createBlurEstimator } from "./blur.js";
+import { createPreprocessor, validatePreprocess } from "./preprocess.js";
+import { evaluateHomography, checkHomographyGeometry, homographyConfidence, HOMOGRAPHY_DEFAULTS } from "./homography.js";
+import { cameraIntrinsics, projectionMatrix, estimatePose, rotationHomography, modelViewMatrix } from "./pose.js";
+import { homographyToArray, projectPoints, multiplyHomography } from "./helpers.js";
+
+// settings: see SETTINGS in app.js
+export async function createPipeline(settings){
+  validatePreprocess(settings.preprocess);
+  const targetDb = await loadTargetDatabase(settings.targetsUrl, matcherOptions(settings));
+  const orbParams = targetDb.orbParams;
+  // settings.orb overrides the detection-only parameters (nfeatures, fastThreshold); the
+  // descriptor parameters stay the reference's
+  const detectorParams = (s) => ({
+    ...orbParams,
+    nfeatures: s.orb.nfeatures ?? orbParams.nfeatures,
+    fastThreshold: s.orb.fastThreshold ?? orbParams.fastThreshold
+  });
+  let trackOpts = { ...TRACK_DEFAULTS, ...settings.track };
+  let homographyOpts = { ...HOMOGRAPHY_DEFAULTS, ...settings.homography };
+
+  // targets without a printed size in the manifest get the configured default
+  for (const t of targetDb.targets){
+    if (t.physicalWidth == null){
+      t.physicalWidth = settings.pose.defaultWidthM;
+      t.physicalHeight = t.physicalWidth * t.height / t.width;
+    }
+  }
+
+  // scoreType comes from the reference (HARRIS / FAST), not a hard-coded constant
+  let orbKey = JSON.stringify(detectorParams(settings));
+  let orb = createORB(detectorParams(settings));
+  const emptyMask = new cv.Mat();
+  let roiMask = null; // ORB search region around gyro-predicted targets
+  const roiMaskScaled = new cv.Mat(); // roiMask at the detection size (detectScale, downscale stage)
+  const detectGray8 = new cv.Mat();   // gray8 at detectScale
+  const blurEstimator = createBlurEstimator();
+  const preprocessor = createPreprocessor();
+
+  // frame reader: ImageBitmap / VideoFrame -> RGBA pixels
+  let readCanvas = null;
+  let readCtx = null;
+
+  let frameRGBA = null;
+  let gray8 = null;
+  let prevGray8 = null; // previous frame's gray, for optical flow
+
+  // camera model for the current frame size
+  let K = null;
+  let projection = null;
+
+  // ---------- Tracking state ----------
+  const tracks = new Map(); // target index -> track (see tracker.js)
+  const coasting = new Map(); // target index -> { target, H, pose, confidence, since } (gyro-only)
+  let frameIdx = 0;
+  let lastDetectFrame = -Infinity;
+
+  function ensureMats(w, h){
+    if (frameRGBA && frameRGBA.cols === w && frameRGBA.rows === h) return;
+
+    if (frameRGBA) frameRGBA.delete();
+    if (gray8) gray8.delete();
+    if (prevGray8) prevGray8.delete();
+    if (roiMask) roiMask.delete();
+
+    frameRGBA = new cv.Mat(h, w, cv.CV_8UC4);
+    gray8     = new cv.Mat(h, w, cv.CV_8UC1);
+    prevGray8 = new cv.Mat(h, w, cv.CV_8UC1);
+    roiMask   = new cv.Mat(h, w, cv.CV_8UC1);
+
+    K = cameraIntrinsics(w, h, settings.camera);
+    projection = projectionMatrix(K, settings.pose.near, settings.pose.far);
+
+    readCanvas = new OffscreenCanvas(w, h);
+    readCtx = readCanvas.getContext("2d", { willReadFrequently: true });
+
+    // tracked points belong to the old frame geometry
+    tracks.clear();
+    coasting.clear();
+  }
+
+  // Camera rotated by R (no translation): the target's pose rotates with it.
+  function rotatePose(pose, R){
+    if (!pose) return null;
+    // Rt * pose.R, Rt * pose.t with Rt = R^T
+    const Rp = new Array(9);
+    const t = new Array(3);
+    for (let r = 0; r < 3; r++){
+      for (let c = 0; c < 3; c++){
+        Rp[r * 3 + c] = R[r] * pose.R[c] + R[3 + r] * pose.R[3 + c] + R[6 + r] * pose.R[6 + c];
+      }
+      t[r] = R[r] * pose.t[0] + R[3 + r] * pose.t[1] + R[6 + r] * pose.t[2];
+    }
+    return { ...pose, R: Rp, t, modelView: modelViewMatrix(Rp, t) };
+  }
+
+  // Restrict ORB to the padded bounding box of the predicted quads.
+  // Returns false when nothing of them is inside the frame.
+  function buildRoiMask(quads){
+    const w = roiMask.cols, h = roiMask.rows;
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+    for (const q of quads){
+      const xs = q.map(p => p.x), ys = q.map(p => p.y);
+      const qx0 = Math.min(...xs), qx1 = Math.max(...xs);
+      const qy0 = Math.min(...ys), qy1 = Math.max(...ys);
+      const mx = (qx1 - qx0) * settings.imu.roiMargin;
+      const my = (qy1 - qy0) * settings.imu.roiMargin;
+      x0 = Math.min(x0, qx0 - mx); x1 = Math.max(x1, qx1 + mx);
+      y0 = Math.min(y0, qy0 - my); y1 = Math.max(y1, qy1 + my);
+    }
+    x0 = Math.max(0, Math.floor(x0)); y0 = Math.max(0, Math.floor(y0));
+    x1 = Math.min(w, Math.ceil(x1));  y1 = Math.min(h, Math.ceil(y1));
+    if (!(x1 > x0 && y1 > y0)) return false;
+
+    roiMask.setTo(new cv.Scalar(0));
+    const sub = roiMask.roi(new cv.Rect(x0, y0, x1 - x0, y1 - y0));
+    sub.setTo(new cv.Scalar(255));
+    sub.delete();
+    return true;
+  }
+
+  // settings.preprocess.chain on gray8 (see preprocess.js); stages with `targets` run while
+  // one of them is not tracked. The blur estimate is only made when a stage needs it.
+  // With detectScale < 1 the chain (and ORB) work on a resized copy.
+  function preprocess(exposureRot){
+    const searching = new Set(targetDb.targets.filter(t => !tracks.has(t.index)).map(t => t.id));
+    let src = gray8;
+    if (settings.detectScale < 1){
+      const size = new cv.Size(Math.round(gray8.cols * settings.detectScale), Math.round(gray8.rows * settings.detectScale));
+      cv.resize(gray8, detectGray8, size, 0, 0, cv.INTER_AREA);
+      src = detectGray8;
+    }
+    return preprocessor.run(src, settings.preprocess, {
+      width: gray8.cols,
+      searching,
+      autoBlur: settings.blur.auto,
+      estimateBlur: () => blurEstimator.estimate(gray8, K, exposureRot, settings.blur)
+    });
+  }
+
+  // frame: ImageBitmap or VideoFrame (not closed here; the caller owns it)
+  // imu: { R, t, exposureRot } or null. R: camera rotation since the previous frame
+  // (row-major, see imu.js) or null when the gyro has no data; t: frame capture time (ms);
+  // exposureRot: rotation vector over the exposure (rad) or null, for the blur estimate.
+  function processFrame(frame, width, height, imu = null){
+    ensureMats(width, height);
+
+    const useImu = settings.imu.enabled && imu != null;
+    const Rimu = useImu ? imu.R : null;
+    const Hpred = Rimu ? rotationHomography(K, Rimu) : null;
+
+    const tFrame0 = performance.now();
+
+    // Capture
+    const tCap0 = performance.now();
+    readCtx.drawImage(frame, 0, 0, width, height);
+    frameRGBA.data.set(readCtx.getImageData(0, 0, width, height).data);
+    const tCap1 = performance.now();
+
+    // Gray
+    const tGray0 = performance.now();
+    cv.cvtColor(frameRGBA, gray8, cv.COLOR_RGBA2GRAY);
+    const tGray1 = performance.now();
+
+    // Optical-flow tracking of targets found earlier
+    const targetResults = [];
+    const lostResults = new Map(); // reported only if detection does not find them again
+
+    let poseMs = 0;
+    function poseFor(refPts, livePts, target){
+      const tP0 = performance.now();
+      const pose = estimatePose(refPts, livePts, target, K);
+      poseMs += performance.now() - tP0;
+      return pose;
+    }
+
+    const tFlow0 = performance.now();
+    for (const [targetIndex, track] of tracks){
+      const { target } = track;
+      const prevH = track.H;
+      let r = updateTrack(track, prevGray8, gray8, trackOpts, Hpred);
+      if (r.ok){
+        // flow can drift into the same degenerate shapes detection can produce
+        const geo = checkHomographyGeometry(track.H, target, width, height, homographyOpts);
+        if (!geo.ok){
+          track.H = prevH;
+          r = geo;
+        }
+      }
+      if (!r.ok){
+        tracks.delete(targetIndex);
+        if (Hpred){
+          // flow lost it (fast motion, occlusion): let the gyro carry it for a while.
+          // track.H is still the previous frame's fit, so it is advanced below like
+          // any other coasting target.
+          coasting.set(targetIndex, {
+            target,
+            H: track.H,
+            pose: track.pose ?? null,
+            confidence: track.confidence ?? 0.5,
+            since: imu.t
+          });
+          continue;
+        }
+        lostResults.set(targetIndex, {
+          id: target.id,
+          index: target.index,
+          matches: 0,
+          mode: `lost (${r.reason})`,
+          confidence: 0,
+          corners: null,
+          pose: null
+        });
+        continue;
+      }
+      const points = track.livePts.length / 2;
+      const fit = { inliers: points, inlierRatio: track.inlierRatio, rms: track.rms };
+      track.pose = poseFor(track.refPts, track.livePts, target);
+      track.confidence = homographyConfidence(fit, homographyOpts);
+      targetResults.push({
+        id: target.id,
+        index: target.index,
+        matches: points,
+        mode: "tracked",
+        confidence: track.confidence,
+        corners: projectPoints(track.H, target.corners),
+        pose: track.pose,
+        ...fit
+      });
+    }
+
+    // Gyro-only prediction for targets that flow lost; dropped when the gyro stops or
+    // the prediction is too old to trust
+    const coastResults = new Map();
+    for (const [targetIndex, c] of coasting){
+      const age = useImu ? imu.t - c.since : Infinity;
+      if (!Hpred || age > settings.imu.maxCoastMs){
+        coasting.delete(targetIndex);
+        lostResults.set(targetIndex, {
+          id: c.target.id,
+          index: c.target.index,
+          matches: 0,
+          mode: `lost (${Hpred ? "prediction expired" : "no gyro"})`,
+          confidence: 0,
+          corners: null,
+          pose: null
+        });
+        continue;
+      }
+      c.H = multiplyHomography(Hpred, c.H);
+      c.pose = rotatePose(c.pose, Rimu);
+      coastResults.set(targetIndex, {
+        id: c.target.id,
+        index: c.target.index,
+        matches: 0,
+        mode: "predicted (imu)",
+        confidence: c.confidence * (1 - age / settings.imu.maxCoastMs),
+        corners: projectPoints(c.H, c.target.corners),
+        pose: c.pose
+      });
+    }
+    const tFlow1 = performance.now();
+    // pose is reported as its own stage, not as part of flow / homo
+    const flowMs = tFlow1 - tFlow0 - poseMs;
+    const flowPoseMs = poseMs;
+
+    const needDetect = tracks.size === 0 ||
+      (settings.redetectInterval > 0 && frameIdx - lastDetectFrame >= settings.redetectInterval);
+
+    // with nothing tracked, search only around the predicted targets
+    const useRoi = needDetect && tracks.size === 0 && coastResults.size > 0 &&
+      buildRoiMask([...coastResults.values()].map(r => r.corners));
+
+    let kpCount = 0;
+    let goodMatches = 0;
+    let preMs = 0;
+    let pre = null;
+    let orbMs = 0;
+    let matchMs = 0;
+    let homoMs  = 0;
+
+    if (needDetect){
+      lastDetectFrame = frameIdx;
+
+      // Preprocess (stage chain, may be empty)
+      const tPre0 = performance.now();
+      pre = preprocess(useImu ? imu.exposureRot ?? null : null);
+      const tPre1 = performance.now();
+      preMs = tPre1 - tPre0;
+
+      // detectScale / a downscale stage leave ORB a smaller image: its mask follows,
+      // keypoints are mapped back to frame pixels
+      const proc = pre.out;
+      const sx = width / proc.cols, sy = height / proc.rows;
+      let mask = useRoi ? roiMask : emptyMask;
+      if (useRoi && (proc.cols !== width || proc.rows !== height)){
+        cv.resize(roiMask, roiMaskScaled, new cv.Size(proc.cols, proc.rows), 0, 0, cv.INTER_NEAREST);
+        mask = roiMaskScaled;
+      }
+
+      // ORB
+      const kps = new cv.KeyPointVector();
+      const descU8 = new cv.Mat();
+
+      const tOrb0 = performance.now();
+      orb.detectAndCompute(proc, mask, kps, descU8, false);
+      const tOrb1 = performance.now();
+      orbMs = tOrb1 - tOrb0;
+
+      kpCount = kps.size();
+
+      // Matching + Homography (per target not already tracked)
+      if (!descU8.empty() && descU8.cols === 32){
+        const liveRows = descU8.rows;
+        const liveU8 = new Uint8Array(descU8.data);
+
+        const tM0 = performance.now();
+        const m1 = matchDescriptors(targetDb.matcher, liveU8, liveRows, { ...settings.match, crossCheck: settings.matcher.crossCheck });
+        const tM1 = performance.now();
+        matchMs = tM1 - tM0;
+
+        const groups = groupMatchesByTarget(targetDb, m1, i => {
+          const pt = kps.get(i).pt;
+          return { x: pt.x * sx, y: pt.y * sy };
+        });
+
+        const tH0 = performance.now();
+        for (let g = 0; g < groups.length; g++){
+          const { target, matches, srcPts, dstPts } = groups[g];
+          goodMatches += matches;
+          if (tracks.has(target.index)) continue;
+
+          if (matches < settings.minTargetMatches || g >= settings.maxTargetsPerFrame){
+            targetResults.push({
+              id: target.id,
+              index: target.index,
+              matches,
+              mode: "weak",
+              confidence: 0, // no homography fitted, nothing to base confidence on
+              corners: null,
+              pose: null
+            });
+            continue;
+          }
+
+          const result = {
+            id: target.id,
+            index: target.index,
+            matches,
+            mode: "none",
+            confidence: 0,
+            corners: null,
+            pose: null
+          };
+
+          const srcMat = cv.matFromArray(srcPts.length / 2, 1, cv.CV_32FC2, srcPts);
+          const dstMat = cv.matFromArray(dstPts.length / 2, 1, cv.CV_32FC2, dstPts);
+          const inlierMask = new cv.Mat();
+
+          const H = cv.findHomography(srcMat, dstMat, cv.RANSAC, settings.ransacThresh, inlierMask);
+
+          if (H && !H.empty()){
+            const Harr = homographyToArray(H);
+            const check = evaluateHomography(Harr, srcPts, dstPts, inlierMask, target, width, height, homographyOpts);
+            result.inliers = check.inliers;
+            result.inlierRatio = check.inlierRatio;
+            result.rms = check.rms;
+
+            if (!check.ok){
+              result.mode = `rejected (${check.reason})`;
+            } else {
+              result.mode = "detected";
+              result.confidence = check.confidence;
+              result.corners = check.corners;
+
+              // hand the inliers over to optical flow for the following frames
+              const inliers = selectInliers(srcPts, dstPts, inlierMask, trackOpts.maxPoints);
+              const track = createTrack(target, inliers, Harr, trackOpts);
+              if (track) tracks.set(target.index, track);
+              coasting.delete(target.index);
+
+              result.pose = poseFor(inliers.refPts, inliers.livePts, target);
+              if (track){
+                track.pose = result.pose;
+                track.confidence = result.confidence;
+              }
+            }
+          }
+
+          if (H) H.delete();
+          srcMat.delete();
+          dstMat.delete();
+          inlierMask.delete();
+
+          targetResults.push(result);
+        }
+        const tH1 = performance.now();
+        homoMs = tH1 - tH0 - (poseMs - flowPoseMs);
+      }
+
+      descU8.delete();
+      kps.delete();
+    }
+
+    // a prediction replaces a "weak" / failed detection of the same target
+    for (const [targetIndex, predicted] of coastResults){
+      if (!coasting.has(targetIndex)) continue; // re-detected this frame
+      const i = targetResults.findIndex(t => t.index === targetIndex);
+      if (i >= 0) targetResults[i] = predicted;
+      else targetResults.push(predicted);
+    }
+    for (const [targetIndex, lost] of lostResults){
+      if (!targetResults.some(t => t.index === targetIndex)) targetResults.push(lost);
+    }
+
+    const trackedCount = targetResults.filter(t => t.mode === "tracked").length;
+    let frameMode = !needDetect ? "track" : (trackedCount > 0 ? "track+detect" : "detect");
+    if (useRoi) frameMode += " (imu roi)";
+
+    // keep this frame's gray for the next optical-flow step
+    [prevGray8, gray8] = [gray8, prevGray8];
+    frameIdx++;
+
+    const tFrame1 = performance.now();
+
+    return {
+      targets: targetResults,
+      camera: { K, projection },
+      frameMode,
+      kpCount,
+      goodMatches,
+      blur: pre?.blur ?? null,
+      // per-stage report of this frame's preprocessing (null on tracking-only frames)
+      preprocess: pre ? { stages: pre.stages, blurMs: pre.blurMs, width: pre.out.cols, height: pre.out.rows } : null,
+      timings: {
+        cap: tCap1 - tCap0,
+        gray: tGray1 - tGray0,
+        flow: flowMs,
+        pre: preMs,
+        orb: orbMs,
+        match: matchMs,
+        homo: homoMs,
+        pose: poseMs,
+        total: tFrame1 - tFrame0
+      }
+    };
+  }
+
+  // { backend, prebuilt, buildMs, lsh: { numTables, keyBits, autoTuned } | null, lshiUnused }
+  // lshiUnused: why the LSH index was built although the targets came with .lshi files
+  function indexInfo(){
+    const { backend, prebuilt, buildMs, index } = targetDb.matcher;
+    const lsh = backend === "lsh"
+      ? { numTables: index.params.numTables, keyBits: index.params.keyBits, autoTuned: !!index.tuning }
+      : null;
+    const lshiUnused = lsh && !prebuilt
+      ? targetDb.lshiUnused ?? (targetDb.prebuiltLSH ? "built with other LSH parameters" : null)
+      : null;
+    return { backend, prebuilt, buildMs, lsh, lshiUnused };
+  }
+
+  // Live settings change (see config.js). Most settings are read per frame; derived
+  // options are recomputed here and the matcher index is rebuilt when the backend or its
+  // build parameters change. Everything that can throw (validation, the rebuild, the new
+  // detector) runs before `next` is applied: a rejected change leaves the pipeline as it was.
+  function updateSettings(next){
+    validatePreprocess(next.preprocess);
+    const rebuiltIndex = matcherBuildKey(matcherOptions(next)) !== targetDb.matcher.buildKey;
+
+    let rebuildMs = 0;
+    let matcher = targetDb.matcher;
+    if (rebuiltIndex){
+      const t0 = performance.now();
+      const { refDescU8, refRows, targetIds } = targetDb.matcher.index;
+      matcher = buildMatcher(refDescU8, refRows, {
+        ...matcherOptions(next), targetIds, prebuiltLSH: targetDb.prebuiltLSH
+      });
+      rebuildMs = performance.now() - t0;
+    }
+
+    const key = JSON.stringify(detectorParams(next));
+    if (key !== orbKey){
+      const nextOrb = createORB(detectorParams(next));
+      orb.delete();
+      orb = nextOrb;
+      orbKey = key;
+    }
+
+    targetDb.matcher = matcher;
+    Object.assign(settings, next);
+    trackOpts = { ...TRACK_DEFAULTS, ...settings.track };
+    homographyOpts = { ...HOMOGRAPHY_DEFAULTS, ...settings.homography };
+
+    if (K){
+      K = cameraIntrinsics(K.width, K.height, settings.camera);
+      projection = projectionMatrix(K, settings.pose.near, settings.pose.far);
+    }
+    return { rebuiltIndex, rebuildMs, index: indexInfo() };
+  }
+
+  // Forget all tracking state, so a replay starts exactly like a fresh worker would.
+  function reset(){
+    tracks.clear();
+    coasting.clear();
+    frameIdx = 0;
+    lastDetectFrame = -Infinity;
+  }
+
+  function dispose(){
+    frameRGBA?.delete();
+    gray8?.delete();
+    prevGray8?.delete();
+    roiMask?.delete();
+    roiMaskScaled.delete();
+    detectGray8.delete();
+    preprocessor.dispose();
+    blurEstimator.dispose();
+    emptyMask.delete();
+    orb.delete();
+  }
+
+  return {
+    processFrame, updateSettings, reset, dispose,
+    targetCount: targetDb.targets.length,
+    orbParams, // the reference's, before settings.orb overrides
+    index: indexInfo() // how the initial matcher index was made, for the HUD
+  };
+}
@@ -0,0 +1,217 @@
+// pose.js - 6-DoF camera pose relative to a planar target
+// Target model frame: origin at the target centre, X right, Y up, Z out of the target
+// towards the viewer, units in metres. Camera frame follows OpenCV (x right, y down,
+// z forward); modelView/projection are OpenGL-style column-major 4x4 matrices.
+
+// ---------------- Intrinsics ----------------
+// Supplied fx/fy/cx/cy win; otherwise focal length comes from the horizontal FOV.
+export function cameraIntrinsics(width, height, { fovDeg = 60, fx = null, fy = null, cx = null, cy = null } = {}){
+  const f = (width * 0.5) / Math.tan((fovDeg * Math.PI / 180) * 0.5);
+  return {
+    width,
+    height,
+    fx: fx ?? f,
+    fy: fy ?? fx ?? f,
+    cx: cx ?? width * 0.5,
+    cy: cy ?? height * 0.5
+  };
+}
+
+export function projectionMatrix(K, near = 0.01, far = 100){
+  const { width: w, height: h, fx, fy, cx, cy } = K;
+  return [
+    2 * fx / w, 0, 0, 0,
+    0, 2 * fy / h, 0, 0,
+    (w - 2 * cx) / w, (2 * cy - h) / h, -(far + near) / (far - near), -1,
+    0, 0, -2 * far * near / (far - near), 0
+  ];
+}
+
+// R: row-major 3x3 (model -> OpenCV camera), t: [x,y,z] in metres.
+// Flips y/z so the result can be fed straight to WebGL / three.js.
+export function modelViewMatrix(R, t){
+  return [
+    R[0], -R[3], -R[6], 0,
+    R[1], -R[4], -R[7], 0,
+    R[2], -R[5], -R[8], 0,
+    t[0], -t[1], -t[2], 1
+  ];
+}
+
+// ---------------- Rotation vectors ----------------
+// Rodrigues conversions in plain JS (row-major R), so the main thread can work with
+// poses without OpenCV.
+export function rotationToVector(R){
+  const c = Math.min(1, Math.max(-1, (R[0] + R[4] + R[8] - 1) * 0.5));
+  const theta = Math.acos(c);
+  const sx = R[7] - R[5], sy = R[2] - R[6], sz = R[3] - R[1];
+  const s = Math.hypot(sx, sy, sz); // 2 sin(theta)
+
+  if (s > 1e-6) return [sx / s * theta, sy / s * theta, sz / s * theta];
+  if (c > 0) return [0, 0, 0];
+
+  // theta ~ pi: R ~ 2uu^T - I, take the axis from the diagonal and signs from off-diagonals
+  let x = Math.sqrt(Math.max(0, (R[0] + 1) * 0.5));
+  let y = Math.sqrt(Math.max(0, (R[4] + 1) * 0.5));
+  let z = Math.sqrt(Math.max(0, (R[8] + 1) * 0.5));
+  if (x > 1e-6){
+    if (R[1] < 0) y = -y;
+    if (R[2] < 0) z = -z;
+  } else if (R[5] < 0){
+    z = -z;
+  }
+  return [x * Math.PI, y * Math.PI, z * Math.PI];
+}
+
+export function vectorToRotation(r){
+  const theta = Math.hypot(r[0], r[1], r[2]);
+  if (theta < 1e-12) return [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+  const x = r[0] / theta, y = r[1] / theta, z = r[2] / theta;
+  const c = Math.cos(theta), s = Math.sin(theta), C = 1 - c;
+  return [
+    c + x * x * C,     x * y * C - z * s, x * z * C + y * s,
+    y * x * C + z * s, c + y * y * C,     y * z * C - x * s,
+    z * x * C - y * s, z * y * C + x * s, c + z * z * C
+  ];
+}
+
+// ---------------- Rotation-only image motion ----------------
+// Homography induced by a pure camera rotation R (row-major, new camera frame expressed
+// in the old one): x_new ~ K R^T K^-1 x_old. Valid for any scene depth.
+export function rotationHomography(K, R){
+  const { fx, fy, cx, cy } = K;
+  // K R^T
+  const A = [
+    fx * R[0] + cx * R[2], fx * R[3] + cx * R[5], fx * R[6] + cx * R[8],
+    fy * R[1] + cy * R[2], fy * R[4] + cy * R[5], fy * R[7] + cy * R[8],
+    R[2],                  R[5],                  R[8]
+  ];
+  // (K R^T) K^-1, with K^-1 = [1/fx, 0, -cx/fx; 0, 1/fy, -cy/fy; 0, 0, 1]
+  const out = new Array(9);
+  for (let r = 0; r < 3; r++){
+    const a0 = A[r * 3], a1 = A[r * 3 + 1], a2 = A[r * 3 + 2];
+    out[r * 3]     = a0 / fx;
+    out[r * 3 + 1] = a1 / fy;
+    out[r * 3 + 2] = a2 - a0 * cx / fx - a1 * cy / fy;
+  }
+  return out;
+}
+
+// ---------------- Projection ----------------
+export function projectModelPoint(K, pose, X, Y, Z){
+  const { R, t } = pose;
+  const xc = R[0] * X + R[1] * Y + R[2] * Z + t[0];
+  const yc = R[3] * X + R[4] * Y + R[5] * Z + t[1];
+  const zc = R[6] * X + R[7] * Y + R[8] * Z + t[2];
+  return { x: K.fx * xc / zc + K.cx, y: K.fy * yc / zc + K.cy, z: zc };
+}
+
+// reference-image pixel -> model-frame metres (Z = 0 on the target plane)
+function refToModel(target, u, v){
+  const s = target.physicalWidth / target.width;
+  return [(u - target.width * 0.5) * s, -(v - target.height * 0.5) * s, 0];
+}
+
+// ---------------- Estimation ----------------
+// refPts / livePts: flat inlier arrays (reference pixels / frame pixels).
+// Returns { R, t, modelView, reprojRms, targetSize } or null when the solve fails.
+export function estimatePose(refPts, livePts, target, K){
+  const n = refPts.length / 2;
+  if (n < 4) return null;
+
+  const obj = new Float32Array(n * 3);
+  for (let i = 0; i < n; i++){
+    obj.set(refToModel(target, refPts[i * 2], refPts[i * 2 + 1]), i * 3);
+  }
+
+  const objMat = cv.matFromArray(n, 1, cv.CV_32FC3, obj);
+  const imgMat = cv.matFromArray(n, 1, cv.CV_32FC2, livePts);
+  const camMat = cv.matFromArray(3, 3, cv.CV_64F, [K.fx, 0, K.cx, 0, K.fy, K.cy, 0, 0, 1]);
+  const dist = new cv.Mat();
+  const rvec = new cv.Mat();
+  const tvec = new cv.Mat();
+  const Rmat = new cv.Mat();
+
+  let pose = null;
+  // IPPE is the planar-target solver: exact for Z = 0 points, no initial guess needed
+  const ok = cv.solvePnP(objMat, imgMat, camMat, dist, rvec, tvec, false, cv.SOLVEPNP_IPPE);
+  if (ok){
+    cv.Rodrigues(rvec, Rmat);
+    const R = Array.from(Rmat.data64F);
+    const t = Array.from(tvec.data64F);
+
+    // target behind the camera means a mirrored / degenerate solution
+    if (t[2] > 0){
+      pose = {
+        R,
+        t,
+        modelView: modelViewMatrix(R, t),
+        reprojRms: 0,
+        targetSize: { width: target.physicalWidth, height: target.physicalHeight }
+      };
+
+      let sumSq = 0;
+      for (let i = 0; i < n; i++){
+        const p = projectModelPoint(K, pose, obj[i * 3], obj[i * 3 + 1], 0);
+        const dx = p.x - livePts[i * 2];
+        const dy = p.y - livePts[i * 2 + 1];
+        sumSq += dx * dx + dy * dy;
+      }
+      pose.reprojRms = Math.sqrt(sumSq / n);
+    }
+  }
+
+  objMat.delete();
+  imgMat.delete();
+  camMat.delete();
+  dist.delete();
+  rvec.delete();
+  tvec.delete();
+  Rmat.delete();
+
+  return pose;
+}
+
+// ---------------- Debug drawing ----------------
+// Axes (X red, Y green, Z blue) from the target centre plus a wireframe cube standing
+// on the target, half the target's shorter side in size.
+export function drawPoseDebug(ctx, K, pose){
+  const side = Math.min(pose.targetSize.width, pose.targetSize.height) * 0.5;
+  const h = side * 0.5;
+  const P = (X, Y, Z) => projectModelPoint(K, pose, X, Y, Z);
+
+  // skip drawing anything that ends up behind the camera
+  const cube = [
+    P(-h, -h, 0), P(h, -h, 0), P(h, h, 0), P(-h, h, 0),
+    P(-h, -h, side), P(h, -h, side), P(h, h, side), P(-h, h, side)
+  ];
+  if (cube.some(p => p.z <= 0)) return;
+
+  ctx.save();
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.85)";
+  ctx.beginPath();
+  const edges = [[0,1],[1,2],[2,3],[3,0],[4,5],[5,6],[6,7],[7,4],[0,4],[1,5],[2,6],[3,7]];
+  for (const [a, b] of edges){
+    ctx.moveTo(cube[a].x, cube[a].y);
+    ctx.lineTo(cube[b].x, cube[b].y);
+  }
+  ctx.stroke();
+
+  const o = P(0, 0, 0);
+  const axes = [
+    [P(side, 0, 0), "rgb(255, 60, 60)"],
+    [P(0, side, 0), "rgb(60, 255, 60)"],
+    [P(0, 0, side), "rgb(60, 120, 255)"]
+  ];
+  ctx.lineWidth = 4;
+  for (const [p, color] of axes){
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(o.x, o.y);
+    ctx.lineTo(p.x, p.y);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
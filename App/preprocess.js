@@ -0,0 +1,258 @@
+// preprocess.js - Composable preprocessing of the gray frame before ORB (pipeline.js)
+// settings.preprocess.chain lists the stages to run, in order (each type at most once).
+// Every stage declares its parameters (default + panel range, config.js builds the
+// settings fields from them) and owns the Mats it writes, reused from frame to frame: a
+// stage's output stays valid until its next run. Per stage, two conditions:
+//   when     "always" | "blurred" | "sharp": the frame's blur estimate (blur.js), made
+//            only when some stage asks for it; with blur.auto off there is none and
+//            the stage always runs
+//   targets  null, or target ids: run only while one of them is being searched for,
+//            i.e. not tracked by optical flow
+// Lengths (rl.lenPx, the blur estimate) are in frame pixels; the input may already be
+// smaller (detectScale), and after a downscale stage the rest of the chain works at the
+// smaller size. The caller maps keypoints back.
+
+import { applyUnsharpMaskGray, createRichardsonLucy } from "./helpers.js";
+
+export const PREPROCESS_CONDITIONS = ["always", "blurred", "sharp"];
+
+// ---------------- Stages ----------------
+// params: { <name>: { value (default), type ("number" | "int" | "enum"), min, max, step, options } }
+// create() -> { run(src, params, frame) -> output Mat, dispose() }
+// frame: { blur() -> estimate (blur.js) or null (blur.auto off), scale: src width / frame width }
+export const PREPROCESS_STAGES = {
+  // contrast-limited adaptive histogram equalisation: evens out lighting
+  clahe: {
+    when: "always",
+    params: {
+      clipLimit: { value: 2, type: "number", min: 0.5, max: 40, step: 0.5 },
+      tiles:     { value: 8, type: "int", min: 1, max: 32 }   // tiles x tiles grid
+    },
+    create(){
+      const out = new cv.Mat();
+      let clahe = null, key = null;
+      return {
+        run(src, p){
+          const k = `${p.clipLimit}:${p.tiles}`;
+          if (k !== key){
+            clahe?.delete();
+            clahe = new cv.CLAHE(p.clipLimit, new cv.Size(p.tiles, p.tiles));
+            key = k;
+          }
+          clahe.apply(src, out);
+          return out;
+        },
+        dispose(){ clahe?.delete(); out.delete(); }
+      };
+    }
+  },
+
+  // sensor noise: gaussian (sigma), median (ksize) or bilateral (ksize, sigmaColor, sigma)
+  denoise: {
+    when: "always",
+    params: {
+      method:     { value: "gaussian", type: "enum", options: ["gaussian", "median", "bilateral"] },
+      sigma:      { value: 1, type: "number", min: 0.3, max: 10, step: 0.1 },
+      ksize:      { value: 5, type: "int", min: 3, max: 9, step: 2 },
+      sigmaColor: { value: 25, type: "number", min: 1, max: 150, step: 1 }
+    },
+    create(){
+      const out = new cv.Mat();
+      return {
+        run(src, p){
+          if (p.method === "median"){
+            cv.medianBlur(src, out, p.ksize | 1);
+          } else if (p.method === "bilateral"){
+            cv.bilateralFilter(src, out, p.ksize | 1, p.sigmaColor, p.sigma, cv.BORDER_DEFAULT);
+          } else {
+            cv.GaussianBlur(src, out, new cv.Size(0, 0), p.sigma, p.sigma, cv.BORDER_DEFAULT);
+          }
+          return out;
+        },
+        dispose(){ out.delete(); }
+      };
+    }
+  },
+
+  unsharp: {
+    when: "blurred",
+    params: {
+      sigma:  { value: 1.2, type: "number", min: 0.3, max: 5, step: 0.1 },
+      amount: { value: 1.2, type: "number", min: 0, max: 3, step: 0.1 }   // 0.6..2.0 usually
+    },
+    create(){
+      const out = new cv.Mat();
+      const blur = new cv.Mat();
+      return {
+        run(src, p){
+          applyUnsharpMaskGray(src, out, p.sigma, p.amount, blur);
+          return out;
+        },
+        dispose(){ out.delete(); blur.delete(); }
+      };
+    }
+  },
+
+  // Richardson–Lucy with a motion-blur line PSF: the frame's blur estimate when blur.auto
+  // is on (see blur.js), otherwise lenPx / angleDeg. Slower than unsharp.
+  rl: {
+    when: "blurred",
+    params: {
+      iters:    { value: 4, type: "int", min: 1, max: 12 },          // 3..6 (higher = slower)
+      lenPx:    { value: 9, type: "int", min: 3, max: 31 },          // 5..15 (depends on how strong blur is)
+      angleDeg: { value: 0, type: "number", min: -90, max: 90, step: 1 }
+    },
+    create(){
+      const out = new cv.Mat();
+      const rl = createRichardsonLucy();
+      return {
+        run(src, p, frame){
+          const b = frame.blur();
+          const lenPx = (b ? b.lenPx : p.lenPx) * frame.scale;
+          rl.run(src, out, lenPx, b ? b.angleDeg : p.angleDeg, p.iters);
+          return out;
+        },
+        dispose(){ out.delete(); rl.dispose(); }
+      };
+    }
+  },
+
+  gamma: {
+    when: "always",
+    params: {
+      gamma: { value: 1, type: "number", min: 0.2, max: 5, step: 0.05 }   // < 1 brightens shadows
+    },
+    create(){
+      let out = null;
+      let lut = null, lutGamma = null;
+      return {
+        run(src, p){
+          if (p.gamma !== lutGamma){
+            lut = new Uint8Array(256);
+            for (let v = 0; v < 256; v++) lut[v] = Math.round(255 * Math.pow(v / 255, p.gamma));
+            lutGamma = p.gamma;
+          }
+          if (!out || out.rows !== src.rows || out.cols !== src.cols){
+            out?.delete();
+            out = new cv.Mat(src.rows, src.cols, cv.CV_8UC1);
+          }
+          const s = src.data, d = out.data;
+          for (let i = 0; i < d.length; i++) d[i] = lut[s[i]];
+          return out;
+        },
+        dispose(){ out?.delete(); }
+      };
+    }
+  },
+
+  // fewer pixels for ORB and the stages after it
+  downscale: {
+    when: "always",
+    params: {
+      scale: { value: 0.5, type: "number", min: 0.25, max: 1, step: 0.05 }
+    },
+    create(){
+      const out = new cv.Mat();
+      return {
+        run(src, p){
+          if (p.scale >= 1) return src;
+          const size = new cv.Size(Math.max(1, Math.round(src.cols * p.scale)), Math.max(1, Math.round(src.rows * p.scale)));
+          cv.resize(src, out, size, 0, 0, cv.INTER_AREA);
+          return out;
+        },
+        dispose(){ out.delete(); }
+      };
+    }
+  }
+};
+
+// Settings defaults: { chain, <type>: { when, targets, ...params } }
+export const PREPROCESS_DEFAULTS = {
+  chain: ["unsharp"],
+  ...Object.fromEntries(Object.entries(PREPROCESS_STAGES).map(([type, stage]) => [type, {
+    when: stage.when,
+    targets: null,
+    ...Object.fromEntries(Object.entries(stage.params).map(([k, d]) => [k, d.value]))
+  }]))
+};
+
+// Config files set the chain freely; check it before a frame runs into it
+export function validatePreprocess(opts, source = "preprocess"){
+  if (!Array.isArray(opts.chain)) throw new Error(`${source}.chain must be a list of stage names`);
+  const seen = new Set();
+  for (const type of opts.chain){
+    if (!PREPROCESS_STAGES[type]) {
+      throw new Error(`${source}.chain: unknown stage "${type}" (one of ${Object.keys(PREPROCESS_STAGES).join(", ")})`);
+    }
+    if (seen.has(type)) throw new Error(`${source}.chain: "${type}" appears twice`);
+    seen.add(type);
+    const p = opts[type];
+    if (!PREPROCESS_CONDITIONS.includes(p.when)) {
+      throw new Error(`${source}.${type}.when must be one of ${PREPROCESS_CONDITIONS.join(", ")}, got ${JSON.stringify(p.when)}`);
+    }
+    if (p.targets != null && !Array.isArray(p.targets)) throw new Error(`${source}.${type}.targets must be null or a list of target ids`);
+  }
+  return opts;
+}
+
+// ---------------- Chain ----------------
+// Stage instances are created on first use and kept until dispose(), so toggling a stage
+// in the chain does not reallocate its Mats.
+export function createPreprocessor(){
+  const stages = new Map(); // type -> instance
+
+  function skipReason(p, blur, searching){
+    if (p.targets && !p.targets.some(id => searching.has(id))) return "targets tracked";
+    const b = p.when !== "always" ? blur() : null;
+    if (b && p.when === "blurred" && b.sharp) return "sharp";
+    if (b && p.when === "sharp" && !b.sharp) return "blurred";
+    return null;
+  }
+
+  // src: gray image (not modified); opts: settings.preprocess
+  // frame: { width (frame width, px), estimateBlur() -> blur.js estimate, autoBlur (blur.auto),
+  //          searching: Set of target ids }
+  // -> { out (src itself when no stage ran), blur (null when not estimated), blurMs,
+  //      stages: [{ type, ms, skipped (reason or null) }] }
+  function run(src, opts, frame){
+    let estimate = null;
+    let blurMs = 0;
+    const blur = () => {
+      if (!estimate && frame.autoBlur){
+        const t0 = performance.now();
+        estimate = frame.estimateBlur();
+        blurMs = performance.now() - t0;
+      }
+      return estimate;
+    };
+
+    let img = src;
+    const report = [];
+    for (const type of opts.chain){
+      const p = opts[type];
+      const skipped = skipReason(p, blur, frame.searching);
+      if (skipped){
+        report.push({ type, ms: 0, skipped });
+        continue;
+      }
+      let stage = stages.get(type);
+      if (!stage){
+        stage = PREPROCESS_STAGES[type].create();
+        stages.set(type, stage);
+      }
+      const t0 = performance.now();
+      const blurMs0 = blurMs;
+      img = stage.run(img, p, { blur, scale: img.cols / frame.width });
+      // a blur estimate made inside the stage is reported on its own
+      report.push({ type, ms: performance.now() - t0 - (blurMs - blurMs0), skipped: null });
+    }
+    return { out: img, blur: estimate, blurMs, stages: report };
+  }
+
+  function dispose(){
+    for (const stage of stages.values()) stage.dispose();
+    stages.clear();
+  }
+
+  return { run, dispose };
+}
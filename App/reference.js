@@ -0,0 +1,161 @@
+// reference.js - Reference generation shared by Gen_desciptor.html and Tests/gen_reference.js
+// Both paths go through these functions (and encodeOrbt / encodeLSHIndex), so for the same
+// RGBA pixels and ORB parameters they write byte-identical descriptor.js / .orbt / .lshi files.
+
+import { createORB, validateOrbParams } from "./orbparams.js";
+import { buildLSHIndex, LSH_DEFAULTS } from "./lsh.js";
+import { encodeLSHIndex } from "./lshindex.js";
+
+// -------- ORB PARAMETERS (LOCK THESE) --------
+// Defaults for new references; an ORB parameter file (JSON, any subset of these keys)
+// overrides them. They travel with the reference and configure the live detector.
+export const REFERENCE_ORB_PARAMS = {
+  nfeatures: 10000,       // Maximum number of keypoints to retain.
+                          // Higher = more matches & robustness, but slower.
+
+  scaleFactor: 1.1,       // Image pyramid scale factor between levels.
+                          // Smaller (e.g. 1.1) = better scale invariance, slower.
+                          // Larger (e.g. 1.3) = faster, worse for scale changes.
+
+  nlevels: 32,            // Number of pyramid levels.
+                          // More levels = better detection at different scales.
+
+  edgeThreshold: 10,      // Minimum distance (in pixels) from image borders.
+                          // Prevents unstable keypoints near edges.
+
+  firstLevel: 0,          // Pyramid level to start detection from.
+                          // 0 = use original image resolution.
+
+  WTA_K: 2,               // Number of points used in each BRIEF test.
+                          // 2 = standard ORB (binary descriptor, Hamming).
+                          // 3 or 4 = more distinctive, but slower & incompatible
+                          // with standard Hamming-based matching.
+
+  scoreType: "HARRIS",    // "HARRIS" | "FAST" — stored as-is in orbParams.
+                          // Method used to rank keypoints.
+                          // HARRIS = more stable & accurate than FAST score.
+                          // FAST_SCORE = faster, less stable.
+
+  patchSize: 31,          // Size of the patch used for orientation & descriptor.
+                          // Larger = more robust orientation, slightly slower.
+
+  fastThreshold: 10       // Threshold for FAST corner detector.
+                          // Lower = more keypoints (noisier).
+                          // Higher = fewer, stronger, more reliable keypoints.
+};
+
+// Defaults overridden by a parsed parameter file; unknown keys are an error (typos)
+export function resolveOrbParams(overrides = {}, source = "ORB parameters"){
+  for (const k of Object.keys(overrides)){
+    if (!(k in REFERENCE_ORB_PARAMS)) throw new Error(`${source}: unknown ORB parameter "${k}"`);
+  }
+  return validateOrbParams({ ...REFERENCE_ORB_PARAMS, ...overrides }, source);
+}
+
+// ---------------- Detection ----------------
+// RGBA image (cv.imread of a canvas, or cv.matFromImageData) -> new CV_8UC1 Mat (caller deletes)
+export function referenceGray(rgba){
+  const gray = new cv.Mat();
+  cv.cvtColor(rgba, gray, cv.COLOR_RGBA2GRAY);
+  return gray;
+}
+
+// Keypoints + descriptors of a grayscale reference image, in the DESCRIPTOR shape
+export function detectReference(gray, orbParams = REFERENCE_ORB_PARAMS){
+  const orb = createORB(orbParams);
+  const kps = new cv.KeyPointVector();
+  const desc = new cv.Mat();
+  const mask = new cv.Mat();
+  orb.detectAndCompute(gray, mask, kps, desc, false);
+
+  // ---- serialize keypoints ----
+  const keypoints = [];
+  for (let i = 0; i < kps.size(); i++) {
+    const kp = kps.get(i);
+    keypoints.push({
+      x: kp.pt.x,
+      y: kp.pt.y,
+      angle: kp.angle,
+      size: kp.size,
+      octave: kp.octave
+    });
+  }
+
+  const ref = {
+    image: {
+      width: gray.cols,
+      height: gray.rows
+    },
+    orbParams: { ...orbParams },
+    keypoints,
+    descriptors: {
+      rows: desc.rows,
+      cols: desc.cols,
+      data: new Uint8Array(desc.data)
+    }
+  };
+
+  kps.delete();
+  desc.delete();
+  mask.delete();
+  orb.delete();
+
+  return ref;
+}
+
+// ---------------- Serialization ----------------
+// descriptor.js module text
+export function referenceToModule(ref){
+  const { image, orbParams: p, keypoints, descriptors } = ref;
+
+  // ---- serialize descriptors ----
+  const descriptorData = Array.from(descriptors.data);
+
+  return `
+export const DESCRIPTOR = {
+  image: {
+    width: ${image.width},
+    height: ${image.height}
+  },
+  orbParams: {
+    nfeatures: ${p.nfeatures},
+    scaleFactor: ${p.scaleFactor},
+    nlevels: ${p.nlevels},
+    edgeThreshold: ${p.edgeThreshold},
+    firstLevel: ${p.firstLevel},
+    WTA_K: ${p.WTA_K},
+    scoreType: "${p.scoreType}",
+    patchSize: ${p.patchSize},
+    fastThreshold: ${p.fastThreshold}
+  },
+  keypoints: ${JSON.stringify(keypoints)},
+  descriptors: {
+    rows: ${descriptors.rows},
+    cols: ${descriptors.cols},
+    data: new Uint8Array(${JSON.stringify(descriptorData)})
+  }
+};
+`.trim();
+}
+
+// Precomputed LSH tables (.lshi) for the default lsh.* settings, to sit next to the
+// reference (manifest "index" field, see targets.js). JS kernel: the file does not depend
+// on WebAssembly support, but the tables are the same either way.
+export function encodeReferenceIndex(ref){
+  const { data, rows } = ref.descriptors;
+  return encodeLSHIndex(buildLSHIndex(data, rows, { ...LSH_DEFAULTS, useWasm: false }));
+}
+
+// ---------------- Summary ----------------
+// Occupied cells of a grid x grid partition of the image (as featureSpreadGrid in Tests/main.js)
+export function referenceCoverage(ref, grid = 8){
+  const { width, height } = ref.image;
+  const used = new Set();
+  for (const kp of ref.keypoints){
+    const gx = Math.min(grid - 1, Math.max(0, Math.floor((kp.x / width) * grid)));
+    const gy = Math.min(grid - 1, Math.max(0, Math.floor((kp.y / height) * grid)));
+    used.add(gy * grid + gx);
+  }
+  const total = grid * grid;
+  return { occupied: used.size, total, ratio: used.size / total };
+}
@@ -0,0 +1,280 @@
+// session.js - Record / replay of tracker input and a per-frame result log
+// Recording (main thread, live camera):
+//   "frames" - every frame sent to the worker, encoded as an image, with its capture time
+//              and the IMU payload it was sent with -> one .json session file
+//   "video"  - the raw camera stream through MediaRecorder -> .webm (no timestamps / IMU)
+// Replay: a recorded session, any local video, or an image sequence, fed frame by frame
+// (next frame only after the previous result) so every build sees identical input.
+// The run log is JSON lines: a header with source + settings, then one line per frame.
+
+import { download } from "./helpers.js";
+
+export const SESSION_VERSION = 1;
+
+export const SESSION_DEFAULTS = {
+  imageType: "image/jpeg", // "image/png" for lossless sessions (much larger)
+  imageQuality: 0.92,
+  replayFps: 30            // video / image-sequence sampling rate and replay pacing (0 = as fast as possible)
+};
+
+// ---------------- Frame recording ----------------
+export function createFrameRecorder(opts = SESSION_DEFAULTS){
+  const frames = [];   // { t, imu, blob: Promise<Blob> }
+  let canvas = null;
+  let ctx = null;
+  let size = null;
+
+  return {
+    // source: anything drawImage accepts (the <video> element while recording live)
+    capture(source, width, height, t, imu){
+      if (!canvas || canvas.width !== width || canvas.height !== height){
+        canvas = new OffscreenCanvas(width, height);
+        ctx = canvas.getContext("2d");
+      }
+      size ??= { width, height };
+      ctx.drawImage(source, 0, 0, width, height);
+      frames.push({ t, imu, blob: canvas.convertToBlob({ type: opts.imageType, quality: opts.imageQuality }) });
+    },
+
+    get count(){ return frames.length; },
+
+    async finish(meta = {}){
+      const out = [];
+      for (const f of frames){
+        out.push({ t: f.t, imu: f.imu, image: await blobToDataURL(await f.blob) });
+      }
+      const session = {
+        format: "orb-session",
+        version: SESSION_VERSION,
+        recordedAt: new Date().toISOString(),
+        width: size?.width ?? 0,
+        height: size?.height ?? 0,
+        ...meta,
+        frames: out
+      };
+      return new Blob([JSON.stringify(session)], { type: "application/json" });
+    }
+  };
+}
+
+function blobToDataURL(blob){
+  return new Promise((resolve, reject) => {
+    const r = new FileReader();
+    r.onload = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+    r.readAsDataURL(blob);
+  });
+}
+
+// ---------------- Video recording ----------------
+export function createVideoRecorder(stream){
+  const type = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm", "video/mp4"]
+    .find(t => MediaRecorder.isTypeSupported(t));
+  if (!type) throw new Error("MediaRecorder supports none of webm / mp4 here");
+
+  const chunks = [];
+  const rec = new MediaRecorder(stream, { mimeType: type });
+  rec.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+  rec.start(1000);
+
+  return {
+    type,
+    stop(){
+      return new Promise(resolve => {
+        rec.onstop = () => resolve(new Blob(chunks, { type }));
+        rec.stop();
+      });
+    }
+  };
+}
+
+// ---------------- Replay sources ----------------
+// All sources: { name, kind, frameCount, next() -> { frame: ImageBitmap, t, imu } | null, close() }
+// t is in ms; recorded sessions keep their capture times, the rest use i * 1000 / fps.
+
+async function openSessionSource(file){
+  let session;
+  try {
+    session = JSON.parse(await file.text());
+  } catch (err) {
+    throw new Error(`${file.name}: not a JSON session (${err.message})`);
+  }
+  if (session.format !== "orb-session") throw new Error(`${file.name}: not an orb-session file`);
+  if (session.version !== SESSION_VERSION){
+    throw new Error(`${file.name}: unsupported session version ${session.version} (expected ${SESSION_VERSION})`);
+  }
+
+  let i = 0;
+  return {
+    name: file.name,
+    kind: "session",
+    frameCount: session.frames.length,
+    async next(){
+      if (i >= session.frames.length) return null;
+      const f = session.frames[i++];
+      const blob = await (await fetch(f.image)).blob();
+      return { frame: await createImageBitmap(blob), t: f.t, imu: f.imu ?? null };
+    },
+    close(){}
+  };
+}
+
+async function openVideoSource(file, fps){
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = "auto";
+  const url = URL.createObjectURL(file);
+  video.src = url;
+  await new Promise((resolve, reject) => {
+    video.onloadedmetadata = resolve;
+    video.onerror = () => reject(new Error(`${file.name}: cannot decode this video`));
+  });
+
+  const step = 1 / (fps || SESSION_DEFAULTS.replayFps);
+  const frameCount = Math.floor(video.duration / step) + 1;
+  let i = 0;
+
+  return {
+    name: file.name,
+    kind: "video",
+    frameCount,
+    async next(){
+      if (i >= frameCount) return null;
+      const time = i * step;
+      // seek to each sample time instead of playing, so no frame depends on decode speed
+      await new Promise(resolve => {
+        video.onseeked = resolve;
+        video.currentTime = time;
+      });
+      i++;
+      return { frame: await createImageBitmap(video), t: time * 1000, imu: null };
+    },
+    close(){
+      video.removeAttribute("src");
+      video.load();
+      URL.revokeObjectURL(url);
+    }
+  };
+}
+
+function openImageSequenceSource(files, fps){
+  // natural sort, so frame_2.png comes before frame_10.png
+  const sorted = [...files].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  const dt = 1000 / (fps || SESSION_DEFAULTS.replayFps);
+  let i = 0;
+  return {
+    name: `${sorted[0].name} .. (${sorted.length} images)`,
+    kind: "images",
+    frameCount: sorted.length,
+    async next(){
+      if (i >= sorted.length) return null;
+      const f = sorted[i];
+      const frame = await createImageBitmap(f);
+      return { frame, t: (i++) * dt, imu: null };
+    },
+    close(){}
+  };
+}
+
+// files: FileList / File[] from an <input type="file" multiple>
+export async function openReplaySource(files, { fps = SESSION_DEFAULTS.replayFps } = {}){
+  const list = [...files];
+  if (!list.length) throw new Error("No files selected");
+  if (list.length === 1 && (list[0].type === "application/json" || list[0].name.endsWith(".json"))){
+    return openSessionSource(list[0]);
+  }
+  if (list.length === 1 && list[0].type.startsWith("video/")) return openVideoSource(list[0], fps);
+  if (list.every(f => f.type.startsWith("image/"))) return openImageSequenceSource(list, fps);
+  throw new Error("Select one session .json, one video, or a set of images");
+}
+
+// ---------------- Run log ----------------
+// index counts frames from the start of the log. Timings differ run to run; everything
+// else should match line for line for identical builds on the same input.
+export function createRunLog(meta){
+  const lines = [JSON.stringify({ type: "header", createdAt: new Date().toISOString(), ...meta })];
+
+  const round = (v, d = 2) => v == null ? null : +v.toFixed(d);
+
+  return {
+    add(index, t, msg){
+      lines.push(JSON.stringify({
+        type: "frame",
+        index,
+        t: round(t, 3),
+        frameMode: msg.frameMode ?? null,
+        kpCount: msg.kpCount ?? null,
+        goodMatches: msg.goodMatches ?? null,
+        targets: (msg.targets ?? []).map(r => ({
+          id: r.id,
+          mode: r.mode,
+          matches: r.matches,
+          inliers: r.inliers ?? null,
+          inlierRatio: round(r.inlierRatio, 4),
+          rms: round(r.rms, 3),
+          confidence: round(r.confidence, 4),
+          corners: r.corners ? r.corners.map(c => [round(c.x), round(c.y)]) : null
+        })),
+        timings: msg.timings ? Object.fromEntries(Object.entries(msg.timings).map(([k, v]) => [k, round(v)])) : null
+      }));
+    },
+    get frames(){ return lines.length - 1; },
+    toJSONL(){ return lines.join("\n") + "\n"; },
+    download(name){ download(this.toJSONL(), name, "application/x-ndjson"); }
+  };
+}
+
+// ---------------- Controls ----------------
+// Small bar below the settings button. handlers: { onRecord(mode), onStopRecord(),
+// onReplay(files), onStopReplay(), onDownloadLog() }
+export function createSessionControls(handlers){
+  const root = document.createElement("div");
+  root.className = "session";
+
+  const mode = document.createElement("select");
+  for (const m of ["frames", "video"]){
+    const o = document.createElement("option");
+    o.value = m;
+    o.textContent = `record ${m}`;
+    mode.appendChild(o);
+  }
+
+  const recBtn = document.createElement("button");
+  recBtn.textContent = "Record";
+  let recording = false;
+  recBtn.addEventListener("click", async () => {
+    recording = !recording;
+    recBtn.textContent = recording ? "Stop rec" : "Record";
+    mode.disabled = recording;
+    if (recording) handlers.onRecord(mode.value);
+    else await handlers.onStopRecord();
+  });
+
+  const file = document.createElement("input");
+  file.type = "file";
+  file.multiple = true;
+  file.accept = ".json,application/json,video/*,image/*";
+  file.hidden = true;
+  file.addEventListener("change", () => {
+    if (file.files.length) handlers.onReplay(file.files);
+    file.value = "";
+  });
+
+  const replayBtn = document.createElement("button");
+  replayBtn.textContent = "Replay…";
+  replayBtn.addEventListener("click", () => file.click());
+
+  const stopReplayBtn = document.createElement("button");
+  stopReplayBtn.textContent = "Stop replay";
+  stopReplayBtn.addEventListener("click", () => handlers.onStopReplay());
+
+  const logBtn = document.createElement("button");
+  logBtn.textContent = "Log";
+  logBtn.title = "download the per-frame run log (JSON lines)";
+  logBtn.addEventListener("click", () => handlers.onDownloadLog());
+
+  root.append(mode, recBtn, replayBtn, stopReplayBtn, logBtn, file);
+  document.body.appendChild(root);
+  return root;
+}
@@ -0,0 +1,141 @@
+// targets.js - Target database: many reference descriptor sets behind one matcher index
+// Each target keeps its own ID, image size and keypoints; descriptors are concatenated
+// so a single lookup (LSH or another backend, see matchers.js) covers the whole catalogue.
+
+import { buildMatcher } from "./matchers.js";
+import { loadOrbt } from "./orbt.js";
+import { loadLSHIndex, checkLSHIndexDescriptors, mergeLSHIndexes } from "./lshindex.js";
+import { validateOrbParams, checkOrbParamsCompatible } from "./orbparams.js";
+
+// ---------------- Loading ----------------
+// Manifest format: { "targets": [ { "id": "poster-01", "src": "./poster-01.orbt", "widthM": 0.42 }, ... ] }
+// `src` is resolved relative to the manifest URL; .orbt files are fetched, anything
+// else is imported as a descriptor.js-style module. `widthM` (optional) is the printed
+// width in metres, used for pose estimation. `index` (optional) is the target's
+// precomputed .lshi file (see lshindex.js); when every target has one and they hash the
+// same bit positions (one target, or bitSelection "random"), the LSH backend loads them
+// instead of building its tables.
+export async function loadTargetDatabase(manifestUrl, matcherOpts = {}){
+  const res = await fetch(manifestUrl);
+  if (!res.ok) {
+    throw new Error(`Failed to load target manifest ${manifestUrl}: HTTP ${res.status}`);
+  }
+  const manifest = await res.json();
+  if (!Array.isArray(manifest.targets) || manifest.targets.length === 0) {
+    throw new Error(`Target manifest ${manifestUrl} has no targets`);
+  }
+
+  const baseUrl = new URL(manifestUrl, location.href);
+  const entries = [];
+  for (const t of manifest.targets){
+    if (!t.id || !t.src) throw new Error("Every manifest target needs an id and a src");
+    entries.push({
+      id: t.id,
+      widthM: t.widthM ?? null,
+      descriptor: await loadDescriptor(new URL(t.src, baseUrl).href),
+      lshIndex: t.index ? await loadLSHIndex(new URL(t.index, baseUrl).href) : null
+    });
+  }
+
+  return buildTargetDatabase(entries, matcherOpts);
+}
+
+async function loadDescriptor(url){
+  if (new URL(url).pathname.endsWith(".orbt")) return loadOrbt(url);
+
+  const mod = await import(url);
+  if (!mod.DESCRIPTOR) throw new Error(`${url} does not export DESCRIPTOR`);
+  return mod.DESCRIPTOR;
+}
+
+// ---------------- Building ----------------
+// entries: [{ id, descriptor: DESCRIPTOR, widthM?, lshIndex? }]; matcherOpts as in buildMatcher
+export function buildTargetDatabase(entries, matcherOpts = {}){
+  const seenIds = new Set();
+  const orbParams = entries[0].descriptor.orbParams;
+
+  let totalRows = 0;
+  for (const { id, descriptor, lshIndex = null } of entries){
+    if (seenIds.has(id)) throw new Error(`Duplicate target id "${id}"`);
+    seenIds.add(id);
+
+    const d = descriptor.descriptors;
+    if (d.cols !== 32) throw new Error(`Target "${id}": expected 32-byte descriptors, got ${d.cols}`);
+    if (descriptor.keypoints.length !== d.rows) {
+      throw new Error(`Target "${id}": ${descriptor.keypoints.length} keypoints for ${d.rows} descriptors`);
+    }
+    validateOrbParams(descriptor.orbParams, `Target "${id}"`);
+    if (lshIndex) checkLSHIndexDescriptors(lshIndex, d.data, `Target "${id}" index`);
+    checkOrbParamsCompatible(orbParams, descriptor.orbParams, `Target "${id}"`);
+    totalRows += d.rows;
+  }
+
+  const refDescU8 = new Uint8Array(totalRows * 32);
+  const targetIds = new Uint16Array(totalRows);
+  const targets = [];
+
+  let refOffset = 0;
+  entries.forEach(({ id, descriptor, widthM = null }, index) => {
+    const { rows, data } = descriptor.descriptors;
+    refDescU8.set(data, refOffset * 32);
+    targetIds.fill(index, refOffset, refOffset + rows);
+
+    const width = descriptor.image.width;
+    const height = descriptor.image.height;
+    targets.push({
+      id,
+      index,
+      width,
+      height,
+      keypoints: descriptor.keypoints,
+      rows,
+      refOffset,
+      corners: [0, 0, width, 0, width, height, 0, height],
+      // physical size in metres (null = unknown, pose code falls back to a default)
+      physicalWidth: widthM,
+      physicalHeight: widthM == null ? null : widthM * height / width
+    });
+    refOffset += rows;
+  });
+
+  // per-target tables, offset to the concatenated rows. They only merge when every target
+  // hashes the same bit positions, which entropy-selected bits (chosen from each target's
+  // own descriptors) do not; lshiUnused says why the files could not be used, if any.
+  const withIndex = entries.filter(e => e.lshIndex).length;
+  const prebuiltLSH = withIndex === entries.length
+    ? mergeLSHIndexes(entries.map((e, i) => ({ index: e.lshIndex, rowOffset: targets[i].refOffset })))
+    : null;
+  const lshiUnused = withIndex === 0 || prebuiltLSH ? null
+    : withIndex < entries.length ? `${entries.length - withIndex} of ${entries.length} targets have none`
+    : "the targets' tables use different bit positions";
+
+  const matcher = buildMatcher(refDescU8, totalRows, { ...matcherOpts, targetIds, prebuiltLSH });
+  return { targets, orbParams, refRows: totalRows, matcher, prebuiltLSH, lshiUnused };
+}
+
+// ---------------- Match grouping ----------------
+// Splits matches (queryIdx = database row, trainIdx = live keypoint) into per-target
+// point lists. Returns groups sorted by match count, strongest target first.
+export function groupMatchesByTarget(db, matches, livePointAt){
+  const groups = new Map();
+
+  for (let j = 0; j < matches.length; j++){
+    const m = matches[j];
+    if (!m) continue;
+
+    let g = groups.get(m.targetId);
+    if (!g){
+      g = { target: db.targets[m.targetId], matches: 0, srcPts: [], dstPts: [] };
+      groups.set(m.targetId, g);
+    }
+
+    const kpRef = g.target.keypoints[m.queryIdx - g.target.refOffset];
+    const kpCur = livePointAt(m.trainIdx);
+
+    g.matches++;
+    g.srcPts.push(kpRef.x, kpRef.y);
+    g.dstPts.push(kpCur.x, kpCur.y);
+  }
+
+  return [...groups.values()].sort((a, b) => b.matches - a.matches);
+}
@@ -0,0 +1,263 @@
+// trackability.js - Will this reference track? Analysis for the descriptor generator
+// From a reference (detected with the orbParams it will be exported with) and its grey
+// pixels:
+//   heatmap          feature counts on a fine grid (heatmapCells along the longer side)
+//   occupancy        occupied cells of a grid x grid partition (featureSpreadGrid in
+//                    Tests/main.js) plus evenness, the normalised entropy of the cell counts
+//   selfSimilarity   fraction of descriptors whose nearest other reference descriptor is
+//                    within the ratio-test margin: closer than expectedMatchDist / ratio, so
+//                    a live match at the typical distance would fail the ratio test against
+//                    it (repetitive patterns)
+//   contrast         grey-level mean / std / 2-98 percentile range, and the fraction of grid
+//                    cells whose mean gradient reaches textureThreshold
+// Each becomes a 0..1 score; rating = 100 x their weighted sum; warnings say what is wrong
+// and where. analyseTrackability's report is plain JSON; drawTrackability annotates it
+// onto a canvas that already shows the image.
+
+import { referenceCoverage } from "./reference.js";
+import { nearestNeighbourDistances } from "./training.js";
+import { drawHUD } from "./helpers.js";
+
+export const TRACKABILITY_DEFAULTS = {
+  grid: 8,                // occupancy / texture grid (grid x grid cells)
+  heatmapCells: 32,       // heatmap cells along the longer image side
+  ratio: 0.8,             // ratio test of the matcher
+  expectedMatchDist: 24,  // typical Hamming distance of a correct live match (bits)
+  textureThreshold: 6,    // mean |dx| + |dy| (grey levels / px) for a cell to count as textured
+  minFeatures: 500,       // fewer features than this scores < 1 and warns
+  goodRange: 128,         // 2-98 percentile grey range that scores 1
+  weights: { features: 0.15, coverage: 0.2, evenness: 0.1, uniqueness: 0.25, contrast: 0.1, texture: 0.2 }
+};
+
+// ---------------- Measurements ----------------
+function heatmapOf(keypoints, width, height, cells, flags = null){
+  const size = Math.max(width, height) / cells;
+  const cols = Math.max(1, Math.ceil(width / size)), rows = Math.max(1, Math.ceil(height / size));
+  const counts = new Array(cols * rows).fill(0);
+  keypoints.forEach((kp, i) => {
+    if (flags && !flags[i]) return;
+    const cx = Math.min(cols - 1, Math.max(0, Math.floor(kp.x / size)));
+    const cy = Math.min(rows - 1, Math.max(0, Math.floor(kp.y / size)));
+    counts[cy * cols + cx]++;
+  });
+  return { cols, rows, cellPx: size, counts };
+}
+
+function gridCounts(keypoints, width, height, grid){
+  const counts = new Array(grid * grid).fill(0);
+  for (const kp of keypoints){
+    const gx = Math.min(grid - 1, Math.max(0, Math.floor((kp.x / width) * grid)));
+    const gy = Math.min(grid - 1, Math.max(0, Math.floor((kp.y / height) * grid)));
+    counts[gy * grid + gx]++;
+  }
+  return counts;
+}
+
+// gray: Uint8Array, width x height
+function contrastOf(gray, width, height, grid, textureThreshold){
+  const hist = new Uint32Array(256);
+  let sum = 0, sumSq = 0;
+  for (let i = 0; i < gray.length; i++){
+    hist[gray[i]]++;
+    sum += gray[i];
+    sumSq += gray[i] * gray[i];
+  }
+  const n = gray.length;
+  const mean = sum / n;
+  const std = Math.sqrt(Math.max(0, sumSq / n - mean * mean));
+  const percentile = (q) => {
+    let acc = 0;
+    for (let v = 0; v < 256; v++){
+      acc += hist[v];
+      if (acc >= q * n) return v;
+    }
+    return 255;
+  };
+  const p2 = percentile(0.02), p98 = percentile(0.98);
+
+  // mean |dx| + |dy| per grid cell
+  const gradSum = new Float64Array(grid * grid);
+  const pixels = new Uint32Array(grid * grid);
+  for (let y = 0; y < height - 1; y++){
+    const gy = Math.min(grid - 1, Math.floor((y / height) * grid));
+    for (let x = 0; x < width - 1; x++){
+      const i = y * width + x;
+      const g = Math.abs(gray[i + 1] - gray[i]) + Math.abs(gray[i + width] - gray[i]);
+      const c = gy * grid + Math.min(grid - 1, Math.floor((x / width) * grid));
+      gradSum[c] += g;
+      pixels[c]++;
+    }
+  }
+  const cellGradient = Array.from(gradSum, (s, c) => pixels[c] ? s / pixels[c] : 0);
+  const textured = cellGradient.filter(g => g >= textureThreshold).length;
+
+  return {
+    mean, std, p2, p98, range: p98 - p2,
+    meanGradient: gradSum.reduce((a, b) => a + b, 0) / Math.max(1, pixels.reduce((a, b) => a + b, 0)),
+    cellGradient,
+    texturedCells: textured / (grid * grid)
+  };
+}
+
+// Where the flagged cells of a grid x grid partition are, as up to 9 region names
+function regionsOf(flagged, grid){
+  const names = [["top-left", "top", "top-right"], ["left", "centre", "right"], ["bottom-left", "bottom", "bottom-right"]];
+  const hit = Array.from({ length: 9 }, () => ({ flagged: 0, cells: 0 }));
+  for (let gy = 0; gy < grid; gy++){
+    for (let gx = 0; gx < grid; gx++){
+      const r = Math.min(2, Math.floor(gy * 3 / grid)) * 3 + Math.min(2, Math.floor(gx * 3 / grid));
+      hit[r].cells++;
+      if (flagged[gy * grid + gx]) hit[r].flagged++;
+    }
+  }
+  return hit.map((h, r) => h.flagged * 2 >= h.cells ? names[Math.floor(r / 3)][r % 3] : null).filter(Boolean);
+}
+
+// ---------------- Analysis ----------------
+// ref: DESCRIPTOR shape; gray: Uint8Array of the width x height reference image.
+// Returns { report (JSON-ready), nearest: Uint16Array nearest-other-descriptor distance per
+// row, selfSimilar: Uint8Array flag per row }.
+export function analyseTrackability(ref, gray, opts = {}){
+  const o = { ...TRACKABILITY_DEFAULTS, ...opts, weights: { ...TRACKABILITY_DEFAULTS.weights, ...opts.weights } };
+  const { width, height } = ref.image;
+  const { data, rows } = ref.descriptors;
+  if (gray.length !== width * height) {
+    throw new Error(`analyseTrackability: ${gray.length} grey pixels for a ${width}x${height} reference`);
+  }
+
+  const nearest = rows ? nearestNeighbourDistances(data, rows) : new Uint16Array(0);
+  const similarDist = o.expectedMatchDist / o.ratio;
+  const selfSimilar = Uint8Array.from(nearest, d => d <= similarDist ? 1 : 0);
+  const selfSimilarFraction = rows ? selfSimilar.reduce((a, b) => a + b, 0) / rows : 0;
+
+  const coverage = referenceCoverage(ref, o.grid);
+  const cellCounts = gridCounts(ref.keypoints, width, height, o.grid);
+  let entropy = 0;
+  for (const c of cellCounts){
+    if (c) entropy -= (c / rows) * Math.log(c / rows);
+  }
+  const evenness = rows ? entropy / Math.log(o.grid * o.grid) : 0;
+  const contrast = contrastOf(gray, width, height, o.grid, o.textureThreshold);
+
+  const scores = {
+    features: Math.min(1, rows / o.minFeatures),
+    coverage: coverage.ratio,
+    evenness,
+    uniqueness: 1 - selfSimilarFraction,
+    contrast: Math.min(1, contrast.range / o.goodRange),
+    texture: contrast.texturedCells
+  };
+  const weightSum = Object.values(o.weights).reduce((a, b) => a + b, 0);
+  let rating = 0;
+  for (const [k, w] of Object.entries(o.weights)) rating += w * (scores[k] ?? 0);
+  rating = Math.round(100 * rating / weightSum);
+
+  // ---- warnings ----
+  const warnings = [];
+  const pct = (v) => `${(v * 100).toFixed(0)}%`;
+  if (rows < o.minFeatures) {
+    warnings.push(`Only ${rows} features (aim for ${o.minFeatures}+): add detail, print larger or lower fastThreshold.`);
+  }
+  if (coverage.ratio < 0.75) {
+    const empty = regionsOf(cellCounts.map(c => c === 0), o.grid);
+    warnings.push(`${coverage.total - coverage.occupied} of ${coverage.total} grid cells have no features` +
+      (empty.length ? ` (mostly ${empty.join(", ")})` : "") + ": the target is lost when only those parts are in view.");
+  }
+  if (rows && evenness < 0.7) {
+    const sorted = [...cellCounts].sort((a, b) => b - a);
+    const top = Math.max(1, Math.round(sorted.length / 10));
+    const share = sorted.slice(0, top).reduce((a, b) => a + b, 0) / rows;
+    warnings.push(`Features are clustered: ${pct(share)} of them sit in the densest ${top} of ${sorted.length} cells.`);
+  }
+  if (selfSimilarFraction > 0.2) {
+    const repeated = regionsOf(gridCounts(ref.keypoints.filter((_, i) => selfSimilar[i]), width, height, o.grid)
+      .map((c, i) => cellCounts[i] && c * 2 >= cellCounts[i]), o.grid);
+    warnings.push(`${pct(selfSimilarFraction)} of descriptors have a near-duplicate within ${similarDist.toFixed(0)} bits` +
+      (repeated.length ? ` (mostly ${repeated.join(", ")})` : "") + ": repetitive pattern, matches there fail the ratio test.");
+  }
+  if (contrast.range < o.goodRange * 0.75) {
+    warnings.push(`Low contrast: the 2-98% grey range is ${contrast.range} levels (aim for ${o.goodRange}+).`);
+  }
+  if (contrast.texturedCells < 0.6) {
+    const flat = regionsOf(contrast.cellGradient.map(g => g < o.textureThreshold), o.grid);
+    warnings.push(`${pct(1 - contrast.texturedCells)} of the image has little texture` +
+      (flat.length ? ` (${flat.join(", ")})` : "") + ": plain areas give no features.");
+  }
+
+  return {
+    report: {
+      image: { width, height },
+      orbParams: { ...ref.orbParams },
+      features: rows,
+      rating,
+      scores,
+      warnings,
+      occupancy: { grid: o.grid, ...coverage, evenness, cellCounts },
+      heatmap: heatmapOf(ref.keypoints, width, height, o.heatmapCells),
+      selfSimilarity: {
+        fraction: selfSimilarFraction,
+        thresholdBits: similarDist,
+        meanNearestDist: rows ? nearest.reduce((a, b) => a + b, 0) / rows : 0,
+        heatmap: heatmapOf(ref.keypoints, width, height, o.heatmapCells, selfSimilar)
+      },
+      contrast,
+      options: o
+    },
+    nearest,
+    selfSimilar
+  };
+}
+
+// ---------------- Annotation ----------------
+// Draws over a canvas that already shows the reference image at its own size: density
+// heatmap, empty grid cells crossed out, keypoints (green, red = self-similar) and the
+// rating with its warnings.
+export function drawTrackability(ctx, ref, { report, selfSimilar }){
+  const { heatmap, occupancy } = report;
+  const { width, height } = report.image;
+  const max = Math.max(1, ...heatmap.counts);
+
+  ctx.save();
+  for (let cy = 0; cy < heatmap.rows; cy++){
+    for (let cx = 0; cx < heatmap.cols; cx++){
+      const v = heatmap.counts[cy * heatmap.cols + cx] / max;
+      if (v <= 0) continue;
+      ctx.fillStyle = `rgba(255, 140, 0, ${(0.5 * v).toFixed(3)})`;
+      ctx.fillRect(cx * heatmap.cellPx, cy * heatmap.cellPx, Math.ceil(heatmap.cellPx), Math.ceil(heatmap.cellPx));
+    }
+  }
+
+  const cw = width / occupancy.grid, ch = height / occupancy.grid;
+  ctx.lineWidth = Math.max(1, Math.min(width, height) / 600);
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.35)";
+  for (let g = 1; g < occupancy.grid; g++){
+    ctx.beginPath();
+    ctx.moveTo(g * cw, 0); ctx.lineTo(g * cw, height);
+    ctx.moveTo(0, g * ch); ctx.lineTo(width, g * ch);
+    ctx.stroke();
+  }
+  ctx.strokeStyle = "rgba(255, 0, 0, 0.7)";
+  occupancy.cellCounts.forEach((c, i) => {
+    if (c) return;
+    const x = (i % occupancy.grid) * cw, y = Math.floor(i / occupancy.grid) * ch;
+    ctx.beginPath();
+    ctx.moveTo(x, y); ctx.lineTo(x + cw, y + ch);
+    ctx.moveTo(x + cw, y); ctx.lineTo(x, y + ch);
+    ctx.stroke();
+  });
+
+  const r = Math.max(1.5, Math.min(width, height) / 400);
+  ref.keypoints.forEach((kp, i) => {
+    ctx.fillStyle = selfSimilar[i] ? "rgba(255, 40, 40, 0.9)" : "rgba(0, 255, 120, 0.9)";
+    ctx.fillRect(kp.x - r, kp.y - r, 2 * r, 2 * r);
+  });
+  ctx.restore();
+
+  const s = report.scores;
+  drawHUD(ctx, ctx.canvas, [
+    `trackability ${report.rating}/100  (${report.features} features)`,
+    `coverage ${(s.coverage * 100).toFixed(0)}%  evenness ${(s.evenness * 100).toFixed(0)}%  ` +
+      `unique ${(s.uniqueness * 100).toFixed(0)}%  contrast ${(s.contrast * 100).toFixed(0)}%  texture ${(s.texture * 100).toFixed(0)}%`,
+    ...report.warnings.map(w => `! ${w}`)
+  ]);
+}
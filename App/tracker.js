@@ -0,0 +1,168 @@
+// tracker.js - Frame-to-frame tracking between full ORB detections
+// Follows the RANSAC inliers of a detection into the next frame with pyramidal
+// Lucas–Kanade optical flow and refits the reference->frame homography from them.
+// The homography is always fitted against the reference points (never chained),
+// so error does not accumulate beyond the drift of the tracked points themselves.
+
+import { homographyToArray, projectPoint } from "./helpers.js";
+
+export const TRACK_DEFAULTS = {
+  winSize: 21,        // LK search window (px)
+  maxLevel: 3,        // pyramid levels above the base image
+  maxIters: 20,
+  eps: 0.03,
+  fbMaxErr: 1.0,      // forward-backward consistency limit (px)
+  minPoints: 12,      // fewer survivors -> lost, fall back to detection
+  maxPoints: 200,     // inliers handed to LK (evenly subsampled); LK cost is linear in this
+  maxReprojRms: 3.0,  // inlier reprojection RMS limit (px)
+  ransacThresh: 3.0
+};
+
+// ---------------- Inlier selection ----------------
+// srcPts / dstPts: flat reference / live point arrays used for a homography fit,
+// inlierMask: the 8U mask written by findHomography. At most maxPoints pairs are
+// kept, evenly subsampled so they still cover the whole inlier set.
+export function selectInliers(srcPts, dstPts, inlierMask, maxPoints = Infinity){
+  const inliers = [];
+  for (let i = 0; i < inlierMask.rows; i++){
+    if (inlierMask.data[i]) inliers.push(i);
+  }
+
+  const step = Math.max(1, inliers.length / maxPoints);
+  const refPts = [];
+  const livePts = [];
+  for (let k = 0; k < inliers.length; k += step){
+    const i = inliers[Math.floor(k)];
+    refPts.push(srcPts[i * 2], srcPts[i * 2 + 1]);
+    livePts.push(dstPts[i * 2], dstPts[i * 2 + 1]);
+  }
+  return { refPts: Float32Array.from(refPts), livePts: Float32Array.from(livePts) };
+}
+
+// ---------------- Track creation ----------------
+// inliers: { refPts, livePts } from selectInliers (already capped to opts.maxPoints)
+export function createTrack(target, inliers, H, opts = TRACK_DEFAULTS){
+  if (inliers.refPts.length / 2 < opts.minPoints) return null;
+
+  return {
+    target,
+    refPts: inliers.refPts,
+    livePts: inliers.livePts,
+    H,
+    rms: 0,
+    inlierRatio: 1,
+    frames: 0,
+    pose: null // latest pose for these points, kept by the pipeline
+  };
+}
+
+// ---------------- Per-frame update ----------------
+// Returns { ok, reason } and updates track.{refPts, livePts, H, rms, inlierRatio} in place
+// on success. inlierRatio: points kept after LK + RANSAC / points tracked into this frame.
+// Hpred (optional): predicted previous->current frame homography (e.g. from the gyro);
+// LK then starts from the predicted positions instead of the old ones, which keeps
+// fast rotations inside the search window.
+export function updateTrack(track, prevGray, currGray, opts = TRACK_DEFAULTS, Hpred = null){
+  const n = track.livePts.length / 2;
+
+  const prevPts = cv.matFromArray(n, 1, cv.CV_32FC2, track.livePts);
+  let nextPts;
+  let flags = 0;
+  if (Hpred){
+    const guess = new Float32Array(n * 2);
+    for (let i = 0; i < n; i++){
+      const p = projectPoint(Hpred, track.livePts[i * 2], track.livePts[i * 2 + 1]);
+      guess[i * 2] = p.x;
+      guess[i * 2 + 1] = p.y;
+    }
+    nextPts = cv.matFromArray(n, 1, cv.CV_32FC2, guess);
+    flags = cv.OPTFLOW_USE_INITIAL_FLOW;
+  } else {
+    nextPts = new cv.Mat();
+  }
+  const backPts = new cv.Mat();
+  const status = new cv.Mat();
+  const backStatus = new cv.Mat();
+  const err = new cv.Mat();
+
+  const winSize = new cv.Size(opts.winSize, opts.winSize);
+  const criteria = new cv.TermCriteria(cv.TermCriteria_EPS | cv.TermCriteria_COUNT, opts.maxIters, opts.eps);
+
+  // forward, then backward to reject points that do not come back where they started
+  cv.calcOpticalFlowPyrLK(prevGray, currGray, prevPts, nextPts, status, err, winSize, opts.maxLevel, criteria, flags);
+  cv.calcOpticalFlowPyrLK(currGray, prevGray, nextPts, backPts, backStatus, err, winSize, opts.maxLevel, criteria);
+
+  const fbMax2 = opts.fbMaxErr * opts.fbMaxErr;
+  const refPts = [];
+  const livePts = [];
+  for (let i = 0; i < n; i++){
+    if (!status.data[i] || !backStatus.data[i]) continue;
+    const dx = backPts.data32F[i * 2] - track.livePts[i * 2];
+    const dy = backPts.data32F[i * 2 + 1] - track.livePts[i * 2 + 1];
+    if (dx * dx + dy * dy > fbMax2) continue;
+    refPts.push(track.refPts[i * 2], track.refPts[i * 2 + 1]);
+    livePts.push(nextPts.data32F[i * 2], nextPts.data32F[i * 2 + 1]);
+  }
+
+  prevPts.delete();
+  nextPts.delete();
+  backPts.delete();
+  status.delete();
+  backStatus.delete();
+  err.delete();
+
+  const survivors = refPts.length / 2;
+  if (survivors < opts.minPoints){
+    return { ok: false, reason: `points ${survivors}<${opts.minPoints}` };
+  }
+
+  const srcMat = cv.matFromArray(survivors, 1, cv.CV_32FC2, refPts);
+  const dstMat = cv.matFromArray(survivors, 1, cv.CV_32FC2, livePts);
+  const mask = new cv.Mat();
+  const Hmat = cv.findHomography(srcMat, dstMat, cv.RANSAC, opts.ransacThresh, mask);
+
+  let result;
+  if (!Hmat || Hmat.empty()){
+    result = { ok: false, reason: "homography failed" };
+  } else {
+    const H = homographyToArray(Hmat);
+
+    // keep RANSAC inliers only and measure how well H explains them
+    const keptRef = [];
+    const keptLive = [];
+    let sumSq = 0;
+    for (let i = 0; i < survivors; i++){
+      if (!mask.data[i]) continue;
+      const rx = refPts[i * 2], ry = refPts[i * 2 + 1];
+      const lx = livePts[i * 2], ly = livePts[i * 2 + 1];
+      const p = projectPoint(H, rx, ry);
+      sumSq += (p.x - lx) * (p.x - lx) + (p.y - ly) * (p.y - ly);
+      keptRef.push(rx, ry);
+      keptLive.push(lx, ly);
+    }
+
+    const kept = keptRef.length / 2;
+    const rms = kept > 0 ? Math.sqrt(sumSq / kept) : Infinity;
+
+    if (kept < opts.minPoints){
+      result = { ok: false, reason: `inliers ${kept}<${opts.minPoints}` };
+    } else if (rms > opts.maxReprojRms){
+      result = { ok: false, reason: `reproj ${rms.toFixed(1)}px>${opts.maxReprojRms}` };
+    } else {
+      track.refPts = Float32Array.from(keptRef);
+      track.livePts = Float32Array.from(keptLive);
+      track.H = H;
+      track.rms = rms;
+      track.inlierRatio = kept / n;
+      track.frames++;
+      result = { ok: true, reason: null };
+    }
+  }
+
+  if (Hmat) Hmat.delete();
+  srcMat.delete();
+  dstMat.delete();
+  mask.delete();
+
+  return result;
+}
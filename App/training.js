@@ -0,0 +1,326 @@
+// training.js - Reference feature selection from synthetic views (Gen_desciptor.html)
+// The reference image is warped through random homographies (rotation, scale, perspective
+// tilt) and degraded (blur, noise, gain / bias / gamma); ORB runs on every view and the
+// view's descriptors are matched against the full reference like a live frame. Per
+// reference feature, over the views its projection lands in (away from the border):
+//   detected  some view keypoint lies within the match radius of the projection
+//   matched   such a keypoint was matched to this feature
+// repeatability = matched / visible views. Features are ranked by repeatability blended
+// with distinctiveness (distance to the nearest other reference descriptor) and kept under
+// a per-cell quota of a grid over the image, so coverage stays even.
+
+import { homographyFromCorners, projectPoint, defaultMaxHamming } from "./helpers.js";
+import { createHammingKernel } from "./hamming.js";
+import { buildMatcher, matchDescriptors } from "./matchers.js";
+import { createORB } from "./orbparams.js";
+
+export const TRAINING_DEFAULTS = {
+  views: 40,              // synthetic views rendered
+  seed: 1,
+  // geometry
+  maxRotationDeg: 60,     // in-plane rotation, uniform in +-max
+  scale: [0.4, 1.1],      // view size relative to the reference, uniform in range
+  perspective: 0.12,      // random corner displacement, fraction of the shorter (scaled) side
+  // photometry
+  maxBlurSigma: 2.0,      // Gaussian blur sigma, uniform in 0..max (none below 0.3)
+  maxNoiseStd: 8,         // additive Gaussian noise in grey levels, uniform in 0..max
+  gain: [0.6, 1.4],       // v' = 255 * (v / 255)^gamma * gain + bias
+  bias: [-30, 30],
+  gamma: [0.7, 1.5],
+  // scoring
+  backend: "brute",       // matchers.js backend for view -> reference matching (exact by default)
+  ratio: 0.8,
+  matchRadius: 4,         // px in the view, times the feature's pyramid scale there (at least 1)
+  distinctWeight: 0.25,   // score = (1 - w) * repeatability + w * distinctiveness
+  // selection
+  maxFeatures: 2000,
+  minRepeatability: 0.1,  // features matched in a smaller fraction of their views are dropped
+  grid: [8, 8]            // cells across x / y; each keeps up to maxFeatures / cells first
+};
+
+function mulberry32(seed){
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ---------------- Synthetic views ----------------
+// [{ H (reference -> view, row-major 9-array), scale, blurSigma, noiseStd, gain, bias,
+//    gamma, seed }]; views have the reference's size. Each is a similarity about the image
+// centre (shifted by up to the slack a smaller view leaves) with the corners then moved
+// at random for the perspective tilt. Deterministic for a given seed.
+export function makeSyntheticViews(width, height, opts = {}){
+  const o = { ...TRAINING_DEFAULTS, ...opts };
+  const rnd = mulberry32(o.seed);
+  const uniform = ([lo, hi]) => lo + (hi - lo) * rnd();
+  const signed = (max) => (2 * rnd() - 1) * max;
+
+  const cx = width / 2, cy = height / 2;
+  const corners = [0, 0, width, 0, width, height, 0, height];
+  const views = [];
+  for (let v = 0; v < o.views; v++){
+    const scale = uniform(o.scale);
+    const angle = signed(o.maxRotationDeg) * Math.PI / 180;
+    const c = Math.cos(angle) * scale, s = Math.sin(angle) * scale;
+    const tx = cx + signed(Math.max(0, 1 - scale) * cx);
+    const ty = cy + signed(Math.max(0, 1 - scale) * cy);
+    const tilt = o.perspective * Math.min(width, height) * scale;
+
+    const dst = [];
+    for (let i = 0; i < 8; i += 2){
+      const x = corners[i] - cx, y = corners[i + 1] - cy;
+      dst.push(tx + c * x - s * y + signed(tilt), ty + s * x + c * y + signed(tilt));
+    }
+    views.push({
+      H: homographyFromCorners(corners, dst),
+      scale,
+      blurSigma: rnd() * o.maxBlurSigma,
+      noiseStd: rnd() * o.maxNoiseStd,
+      gain: uniform(o.gain),
+      bias: uniform(o.bias),
+      gamma: uniform(o.gamma),
+      seed: (rnd() * 4294967296) >>> 0
+    });
+  }
+  return views;
+}
+
+// Gain / bias / gamma through a lookup table, then seeded Gaussian noise; u8 in place
+export function applyLighting(u8, { gain, bias, gamma, noiseStd, seed }){
+  const lut = new Float32Array(256);
+  for (let v = 0; v < 256; v++) lut[v] = 255 * Math.pow(v / 255, gamma) * gain + bias;
+  const rnd = mulberry32(seed);
+  for (let i = 0; i < u8.length; i++){
+    let x = lut[u8[i]];
+    if (noiseStd > 0){
+      // Box-Muller
+      x += noiseStd * Math.sqrt(-2 * Math.log(1 - rnd())) * Math.cos(2 * Math.PI * rnd());
+    }
+    u8[i] = x <= 0 ? 0 : x >= 255 ? 255 : Math.round(x);
+  }
+}
+
+// gray (CV_8UC1 reference) -> dst, one synthetic view; outside the warped reference is black
+export function renderView(gray, view, dst){
+  const H = cv.matFromArray(3, 3, cv.CV_64F, view.H);
+  cv.warpPerspective(gray, dst, H, new cv.Size(gray.cols, gray.rows),
+    cv.INTER_LINEAR, cv.BORDER_CONSTANT, new cv.Scalar(0));
+  H.delete();
+  if (view.blurSigma >= 0.3){
+    cv.GaussianBlur(dst, dst, new cv.Size(0, 0), view.blurSigma, view.blurSigma, cv.BORDER_DEFAULT);
+  }
+  applyLighting(dst.data, view);
+}
+
+// ---------------- Scoring ----------------
+// Adds one view to counts { visible, detected, matched } (Uint32Array per reference row).
+// viewPts: flat [x0,y0,...] of the view's keypoints; matches: matchers.js records
+// (queryIdx = reference row, trainIdx = view keypoint). margin: border (px) where ORB
+// finds nothing, so projections there do not count as visible.
+export function scoreView(counts, refKeypoints, view, viewPts, matches, { width, height, margin, matchRadius, scaleFactor }){
+  const n = refKeypoints.length;
+  const proj = new Float64Array(n * 2);
+  const radius = new Float64Array(n);
+  const visible = new Uint8Array(n);
+
+  // view keypoints bucketed on a grid of matchRadius cells
+  const cell = Math.max(1, matchRadius);
+  const gw = Math.ceil(width / cell) + 1, gh = Math.ceil(height / cell) + 1;
+  const buckets = new Map();
+  for (let k = 0; k < viewPts.length / 2; k++){
+    const gx = Math.floor(viewPts[2 * k] / cell), gy = Math.floor(viewPts[2 * k + 1] / cell);
+    if (gx < 0 || gy < 0 || gx >= gw || gy >= gh) continue;
+    const key = gy * gw + gx;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(k);
+  }
+
+  for (let i = 0; i < n; i++){
+    const kp = refKeypoints[i];
+    const p = projectPoint(view.H, kp.x, kp.y);
+    proj[2 * i] = p.x;
+    proj[2 * i + 1] = p.y;
+    if (!(p.x >= margin && p.y >= margin && p.x < width - margin && p.y < height - margin)) continue;
+    visible[i] = 1;
+    counts.visible[i]++;
+
+    const r = matchRadius * Math.max(1, view.scale * Math.pow(scaleFactor, kp.octave));
+    radius[i] = r;
+    const reach = Math.ceil(r / cell);
+    const cx = Math.floor(p.x / cell), cy = Math.floor(p.y / cell);
+    search:
+    for (let gy = Math.max(0, cy - reach); gy <= Math.min(gh - 1, cy + reach); gy++){
+      for (let gx = Math.max(0, cx - reach); gx <= Math.min(gw - 1, cx + reach); gx++){
+        for (const k of buckets.get(gy * gw + gx) ?? []){
+          if (Math.hypot(viewPts[2 * k] - p.x, viewPts[2 * k + 1] - p.y) <= r){
+            counts.detected[i]++;
+            break search;
+          }
+        }
+      }
+    }
+  }
+
+  // several view keypoints may match one feature: it counts once per view
+  const counted = new Uint8Array(n);
+  for (const m of matches){
+    if (!m) continue;
+    const i = m.queryIdx, k = m.trainIdx;
+    if (!visible[i] || counted[i]) continue;
+    if (Math.hypot(viewPts[2 * k] - proj[2 * i], viewPts[2 * k + 1] - proj[2 * i + 1]) <= radius[i]){
+      counted[i] = 1;
+      counts.matched[i]++;
+    }
+  }
+}
+
+// Hamming distance from every row to its nearest other row (Uint16Array; 256 for a single row)
+export function nearestNeighbourDistances(descU8, rows){
+  const kernel = createHammingKernel(descU8, rows);
+  kernel.setQueries(descU8, rows);
+  const out = new Uint16Array(rows);
+  const nn = new Uint16Array(rows);
+  for (let j = 0; j < rows; j++){
+    kernel.oneToAll(j, out);
+    let best = 256;
+    for (let i = 0; i < rows; i++) if (i !== j && out[i] < best) best = out[i];
+    nn[j] = best;
+  }
+  return nn;
+}
+
+// ---------------- Selection ----------------
+// Rows to keep (ascending): features with repeatability >= minRepeatability, best score
+// first, at most maxFeatures / cells per grid cell; capacity left by sparse cells then goes
+// to the best remaining features anywhere.
+export function selectFeatures(keypoints, { score, repeatability }, { width, height, ...opts }){
+  const o = { ...TRAINING_DEFAULTS, ...opts };
+  const [gx, gy] = o.grid;
+  const quota = Math.floor(o.maxFeatures / (gx * gy));
+
+  const order = [];
+  for (let i = 0; i < keypoints.length; i++) if (repeatability[i] >= o.minRepeatability) order.push(i);
+  order.sort((a, b) => score[b] - score[a] || a - b);
+
+  const perCell = new Uint32Array(gx * gy);
+  const kept = [], rest = [];
+  for (const i of order){
+    const cx = Math.min(gx - 1, Math.max(0, Math.floor(keypoints[i].x * gx / width)));
+    const cy = Math.min(gy - 1, Math.max(0, Math.floor(keypoints[i].y * gy / height)));
+    if (perCell[cy * gx + cx] < quota){
+      perCell[cy * gx + cx]++;
+      kept.push(i);
+    } else {
+      rest.push(i);
+    }
+  }
+  for (const i of rest){
+    if (kept.length >= o.maxFeatures) break;
+    kept.push(i);
+  }
+  return kept.sort((a, b) => a - b);
+}
+
+// The reference restricted to `rows`, each keypoint carrying its repeatability
+export function subsetReference(ref, rows, repeatability){
+  const data = new Uint8Array(rows.length * 32);
+  rows.forEach((r, k) => data.set(ref.descriptors.data.subarray(r * 32, r * 32 + 32), k * 32));
+  return {
+    image: { ...ref.image },
+    orbParams: { ...ref.orbParams },
+    keypoints: rows.map(r => ({ ...ref.keypoints[r], repeatability: repeatability[r] })),
+    descriptors: { rows: rows.length, cols: 32, data }
+  };
+}
+
+// ---------------- Training ----------------
+// gray: the reference image (CV_8UC1) that ref was detected on. Renders opts.views views,
+// yielding to the event loop after each so a page can repaint; onProgress({ view, views,
+// keypoints, matches }) per view. Returns { reference, report } where report holds
+// { views, input, kept, meanRepeatability (kept), detectionRate, matchRate (all, per
+// visible view), ms }.
+export async function trainReference(gray, ref, opts = {}, onProgress = null){
+  const o = { ...TRAINING_DEFAULTS, ...opts };
+  const { width, height } = ref.image;
+  const { data, rows } = ref.descriptors;
+  if (gray.cols !== width || gray.rows !== height) {
+    throw new Error(`trainReference: image is ${gray.cols}x${gray.rows}, reference was detected on ${width}x${height}`);
+  }
+
+  const t0 = performance.now();
+  const views = makeSyntheticViews(width, height, o);
+  const matcher = buildMatcher(data, rows, { backend: o.backend });
+  const counts = { visible: new Uint32Array(rows), detected: new Uint32Array(rows), matched: new Uint32Array(rows) };
+  const scoreOpts = {
+    width, height,
+    margin: ref.orbParams.edgeThreshold,
+    matchRadius: o.matchRadius,
+    scaleFactor: ref.orbParams.scaleFactor
+  };
+  const matchOpts = { ratio: o.ratio, maxHamming: null, maxCandidates: 800, useMultiProbe: true };
+
+  const orb = createORB(ref.orbParams);
+  const view = new cv.Mat();
+  const mask = new cv.Mat();
+  const kps = new cv.KeyPointVector();
+  const desc = new cv.Mat();
+  try {
+    for (let v = 0; v < views.length; v++){
+      renderView(gray, views[v], view);
+      orb.detectAndCompute(view, mask, kps, desc, false);
+
+      const n = kps.size();
+      const pts = new Float32Array(n * 2);
+      for (let k = 0; k < n; k++){
+        const { pt } = kps.get(k);
+        pts[2 * k] = pt.x;
+        pts[2 * k + 1] = pt.y;
+      }
+      const matches = n && desc.rows ? matchDescriptors(matcher, new Uint8Array(desc.data), desc.rows, matchOpts) : [];
+      scoreView(counts, ref.keypoints, views[v], pts, matches, scoreOpts);
+
+      onProgress?.({ view: v + 1, views: views.length, keypoints: n, matches: matches.filter(Boolean).length });
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  } finally {
+    orb.delete();
+    view.delete();
+    mask.delete();
+    kps.delete();
+    desc.delete();
+  }
+
+  // distinctiveness 1 = no other reference descriptor within the match distance limit
+  const nn = nearestNeighbourDistances(data, rows);
+  const limit = defaultMaxHamming(matcher.index.stats);
+  const repeatability = new Float64Array(rows);
+  const score = new Float64Array(rows);
+  let visibleViews = 0, detected = 0, matched = 0;
+  for (let i = 0; i < rows; i++){
+    repeatability[i] = counts.visible[i] ? counts.matched[i] / counts.visible[i] : 0;
+    score[i] = (1 - o.distinctWeight) * repeatability[i] + o.distinctWeight * Math.min(1, nn[i] / limit);
+    visibleViews += counts.visible[i];
+    detected += counts.detected[i];
+    matched += counts.matched[i];
+  }
+
+  const kept = selectFeatures(ref.keypoints, { score, repeatability }, { ...o, width, height });
+  const reference = subsetReference(ref, kept, repeatability);
+  return {
+    reference,
+    report: {
+      views: views.length,
+      input: rows,
+      kept: kept.length,
+      meanRepeatability: kept.reduce((s, i) => s + repeatability[i], 0) / Math.max(1, kept.length),
+      detectionRate: visibleViews ? detected / visibleViews : 0,
+      matchRate: visibleViews ? matched / visibleViews : 0,
+      ms: performance.now() - t0
+    }
+  };
+}
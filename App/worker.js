@@ -0,0 +1,71 @@
+// worker.js - Vision worker: OpenCV, target database, descriptor matching and tracking off the main thread
+// Classic (non-module) worker so opencv.js can be loaded with importScripts;
+// the pipeline's ES modules are pulled in with dynamic import().
+//
+// main -> worker: { type: "init", settings }
+//                 { type: "settings", settings, reason }   live change: reason "panel" or "governor" (echoed back)
+//                 { type: "reset" }                 drop all tracks (start of a replay, see session.js)
+//                 { type: "frame", frameId, frame, width, height, imu }   frame: ImageBitmap | VideoFrame (transferred)
+//                                                                          imu: { R, t, exposureRot } | null (see imu.js)
+// worker -> main: { type: "ready", targetCount, index, orbParams }    index: { backend, prebuilt, buildMs, lsh, lshiUnused } (see pipeline.js)
+//                 { type: "result", frameId, frame, width, height, ...pipeline result }  frame transferred back
+//                 { type: "settings", reason, rebuiltIndex, rebuildMs, index }
+//                 { type: "reset" }
+//                 { type: "error", message, reason }   reason: set when a settings message was rejected (the old settings stay)
+
+const OPENCV_URL = "https://docs.opencv.org/4.x/opencv.js";
+
+importScripts(OPENCV_URL);
+
+let pipeline = null;
+
+// ---------- OpenCV ready ----------
+function waitCV(){
+  return new Promise(res=>{
+    const t = setInterval(()=>{
+      if (self.cv && cv.Mat){
+        clearInterval(t);
+        res();
+      }
+    }, 50);
+  });
+}
+
+async function init(settings){
+  await waitCV();
+  const { createPipeline } = await import("./pipeline.js");
+  pipeline = await createPipeline(settings);
+  self.postMessage({ type: "ready", targetCount: pipeline.targetCount, index: pipeline.index, orbParams: pipeline.orbParams });
+}
+
+function onFrame({ frameId, frame, width, height, imu }){
+  // the main thread never sends a new frame before this reply, so nothing queues up here
+  let result;
+  try {
+    result = pipeline.processFrame(frame, width, height, imu ?? null);
+  } catch (err) {
+    self.postMessage({ type: "error", message: err?.message || String(err) });
+    result = null;
+  }
+  self.postMessage({ type: "result", frameId, frame, width, height, ...result }, [frame]);
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === "init"){
+    init(msg.settings).catch(err => {
+      self.postMessage({ type: "error", message: err?.message || String(err) });
+    });
+  } else if (msg.type === "frame"){
+    onFrame(msg);
+  } else if (msg.type === "reset" && pipeline){
+    pipeline.reset();
+    self.postMessage({ type: "reset" });
+  } else if (msg.type === "settings" && pipeline){
+    try {
+      self.postMessage({ type: "settings", reason: msg.reason, ...pipeline.updateSettings(msg.settings) });
+    } catch (err) {
+      self.postMessage({ type: "error", message: err?.message || String(err), reason: msg.reason });
+    }
+  }
+};
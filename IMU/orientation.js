@@ -0,0 +1,350 @@
+// orientation.js - Device orientation estimate from gyro + accelerometer (+ optional heading)
+// Madgwick (gradient descent) or Mahony (PI complementary) filter on a unit quaternion,
+// plus gravity-compensated linear acceleration in the world frame.
+//
+// Frames follow the W3C DeviceOrientation spec:
+//   device: x right, y up (towards the top of the screen), z out of the screen
+//   world:  x East, y North, z Up
+// The quaternion q = [w, x, y, z] rotates device vectors into the world: v_w = q v_d q*.
+//
+// The filter core is plain math (no DOM) so it can be fed recorded samples;
+// createMotionFusion() wires it to devicemotion / deviceorientation events.
+
+export const ORIENTATION_DEFAULTS = {
+  algorithm: "madgwick", // "madgwick" | "mahony"
+  beta: 0.1,             // Madgwick gain (rad/s); higher = faster tilt correction, more accel noise
+  kp: 1.0,               // Mahony proportional gain
+  ki: 0.0,               // Mahony integral gain (gyro bias estimation); 0 = off
+  headingGain: 0.2,      // fraction of the compass heading error corrected per second (0 = gyro-only yaw)
+  accelRejectG: 0.25,    // skip tilt correction while |a| differs from 1 g by more than this (in g)
+  maxDt: 0.1,            // larger gaps (tab switches) are clamped to this (s)
+  gravity: 9.80665
+};
+
+const DEG2RAD = Math.PI / 180;
+
+// ---------------- Quaternion helpers ----------------
+export function quatMultiply(a, b){
+  return [
+    a[0] * b[0] - a[1] * b[1] - a[2] * b[2] - a[3] * b[3],
+    a[0] * b[1] + a[1] * b[0] + a[2] * b[3] - a[3] * b[2],
+    a[0] * b[2] - a[1] * b[3] + a[2] * b[0] + a[3] * b[1],
+    a[0] * b[3] + a[1] * b[2] - a[2] * b[1] + a[3] * b[0]
+  ];
+}
+
+export function quatConjugate(q){
+  return [q[0], -q[1], -q[2], -q[3]];
+}
+
+export function quatNormalize(q){
+  const n = Math.hypot(q[0], q[1], q[2], q[3]);
+  return n > 0 ? [q[0] / n, q[1] / n, q[2] / n, q[3] / n] : [1, 0, 0, 0];
+}
+
+// rotate vector v by q (q v q*)
+export function quatRotate(q, v){
+  const [w, x, y, z] = q;
+  // t = 2 (q.xyz × v)
+  const tx = 2 * (y * v[2] - z * v[1]);
+  const ty = 2 * (z * v[0] - x * v[2]);
+  const tz = 2 * (x * v[1] - y * v[0]);
+  return [
+    v[0] + w * tx + (y * tz - z * ty),
+    v[1] + w * ty + (z * tx - x * tz),
+    v[2] + w * tz + (x * ty - y * tx)
+  ];
+}
+
+export function quatFromAxisAngle(axis, angle){
+  const s = Math.sin(angle * 0.5);
+  return [Math.cos(angle * 0.5), axis[0] * s, axis[1] * s, axis[2] * s];
+}
+
+// row-major 3x3, device -> world
+export function quatToMatrix(q){
+  const [w, x, y, z] = q;
+  return [
+    1 - 2 * (y * y + z * z), 2 * (x * y - w * z),     2 * (x * z + w * y),
+    2 * (x * y + w * z),     1 - 2 * (x * x + z * z), 2 * (y * z - w * x),
+    2 * (x * z - w * y),     2 * (y * z + w * x),     1 - 2 * (x * x + y * y)
+  ];
+}
+
+// W3C deviceorientation angles (deg, intrinsic Z-X'-Y'') -> quaternion
+export function quatFromDeviceOrientation(alpha, beta, gamma){
+  const x = beta * DEG2RAD * 0.5, y = gamma * DEG2RAD * 0.5, z = alpha * DEG2RAD * 0.5;
+  const cX = Math.cos(x), cY = Math.cos(y), cZ = Math.cos(z);
+  const sX = Math.sin(x), sY = Math.sin(y), sZ = Math.sin(z);
+  return [
+    cX * cY * cZ - sX * sY * sZ,
+    sX * cY * cZ - cX * sY * sZ,
+    cX * sY * cZ + sX * cY * sZ,
+    cX * cY * sZ + sX * sY * cZ
+  ];
+}
+
+// quaternion -> W3C alpha/beta/gamma (deg), the inverse of quatFromDeviceOrientation
+export function quatToDeviceOrientation(q){
+  const m = quatToMatrix(q);
+  const beta = Math.asin(Math.max(-1, Math.min(1, m[7])));
+  let alpha, gamma;
+  if (Math.abs(m[7]) < 0.99999){
+    alpha = Math.atan2(-m[1], m[4]);
+    gamma = Math.atan2(-m[6], m[8]);
+  } else {
+    // gimbal lock (screen vertical, top up/down): fold everything into alpha
+    alpha = Math.atan2(m[3], m[0]);
+    gamma = 0;
+  }
+  return {
+    alpha: ((alpha / DEG2RAD) + 360) % 360,
+    beta: beta / DEG2RAD,
+    gamma: gamma / DEG2RAD
+  };
+}
+
+// Rotation about world Up that best aligns the horizontal directions of the device
+// x and y axes under qFrom with those under qTo (weighted by how horizontal they are,
+// so it stays defined in every attitude). Returns the angle in radians.
+function headingError(qFrom, qTo){
+  let cross = 0, dot = 0;
+  for (const axis of [[1, 0, 0], [0, 1, 0]]){
+    const a = quatRotate(qFrom, axis);
+    const b = quatRotate(qTo, axis);
+    cross += a[0] * b[1] - a[1] * b[0];
+    dot += a[0] * b[0] + a[1] * b[1];
+  }
+  return Math.atan2(cross, dot);
+}
+
+// tilt-only orientation from a resting accelerometer reading (heading arbitrary)
+function quatFromGravity(a){
+  const n = Math.hypot(a[0], a[1], a[2]);
+  if (n === 0) return [1, 0, 0, 0];
+  const ax = a[0] / n, ay = a[1] / n, az = a[2] / n;
+  // shortest arc taking the measured "up" (device frame) to world Up
+  if (az < -0.999999) return [0, 1, 0, 0];
+  return quatNormalize([1 + az, ay, -ax, 0]);
+}
+
+// ---------------- Filter core ----------------
+// update(gyro, accel, dt): gyro [x,y,z] rad/s, accel [x,y,z] m/s² including gravity
+// (null if unavailable), both in device axes; dt in seconds.
+export function createOrientationFilter(opts = {}){
+  const o = { ...ORIENTATION_DEFAULTS, ...opts };
+  if (o.algorithm !== "madgwick" && o.algorithm !== "mahony"){
+    throw new Error(`Unknown orientation algorithm "${o.algorithm}" (expected "madgwick" or "mahony")`);
+  }
+
+  let q = [1, 0, 0, 0];
+  let initialized = false;
+  let bias = [0, 0, 0]; // Mahony integral term (rad/s)
+
+  function accelUsable(a){
+    if (!a) return false;
+    const n = Math.hypot(a[0], a[1], a[2]) / o.gravity;
+    return n > 0 && Math.abs(n - 1) <= o.accelRejectG;
+  }
+
+  // estimated direction of world Up in device axes
+  function upInDevice(){
+    const [w, x, y, z] = q;
+    return [2 * (x * z - w * y), 2 * (w * x + y * z), w * w - x * x - y * y + z * z];
+  }
+
+  function madgwickStep(g, a, dt){
+    const [q0, q1, q2, q3] = q;
+    // rate of change from the gyro
+    let qDot = quatMultiply(q, [0, g[0], g[1], g[2]]).map(v => v * 0.5);
+
+    if (a){
+      const n = Math.hypot(a[0], a[1], a[2]);
+      const ax = a[0] / n, ay = a[1] / n, az = a[2] / n;
+      // objective f = (estimated up in device frame) - measured, and its gradient J^T f
+      const v = upInDevice();
+      const fx = v[0] - ax, fy = v[1] - ay, fz = v[2] - az;
+      let s0 = -2 * q2 * fx + 2 * q1 * fy;
+      let s1 =  2 * q3 * fx + 2 * q0 * fy - 4 * q1 * fz;
+      let s2 = -2 * q0 * fx + 2 * q3 * fy - 4 * q2 * fz;
+      let s3 =  2 * q1 * fx + 2 * q2 * fy;
+      const sn = Math.hypot(s0, s1, s2, s3);
+      if (sn > 0){
+        s0 /= sn; s1 /= sn; s2 /= sn; s3 /= sn;
+        qDot = [qDot[0] - o.beta * s0, qDot[1] - o.beta * s1, qDot[2] - o.beta * s2, qDot[3] - o.beta * s3];
+      }
+    }
+
+    q = quatNormalize(q.map((v, i) => v + qDot[i] * dt));
+  }
+
+  function mahonyStep(g, a, dt){
+    let gx = g[0], gy = g[1], gz = g[2];
+
+    if (a){
+      const n = Math.hypot(a[0], a[1], a[2]);
+      const ax = a[0] / n, ay = a[1] / n, az = a[2] / n;
+      // error = measured × estimated up: the rotation that would bring them together
+      const v = upInDevice();
+      const ex = ay * v[2] - az * v[1];
+      const ey = az * v[0] - ax * v[2];
+      const ez = ax * v[1] - ay * v[0];
+      if (o.ki > 0){
+        bias = [bias[0] + o.ki * ex * dt, bias[1] + o.ki * ey * dt, bias[2] + o.ki * ez * dt];
+      }
+      gx += o.kp * ex + bias[0];
+      gy += o.kp * ey + bias[1];
+      gz += o.kp * ez + bias[2];
+    } else {
+      gx += bias[0]; gy += bias[1]; gz += bias[2];
+    }
+
+    const qDot = quatMultiply(q, [0, gx, gy, gz]);
+    q = quatNormalize(q.map((v, i) => v + 0.5 * qDot[i] * dt));
+  }
+
+  return {
+    update(gyro, accel, dt){
+      if (!initialized){
+        // start from the measured tilt instead of converging from identity
+        if (accelUsable(accel)){
+          q = quatFromGravity(accel);
+          initialized = true;
+        }
+        return q;
+      }
+      const step = Math.min(Math.max(dt, 0), o.maxDt);
+      if (step === 0) return q;
+      const a = accelUsable(accel) ? accel : null;
+      if (o.algorithm === "madgwick") madgwickStep(gyro, a, step);
+      else mahonyStep(gyro, a, step);
+      return q;
+    },
+
+    // Pull the heading (rotation about world Up) towards a reference orientation, e.g.
+    // quatFromDeviceOrientation() of an absolute deviceorientation event. Tilt is left
+    // to the accelerometer. dt: time since the previous correction (s).
+    correctHeading(qRef, dt){
+      if (!initialized || o.headingGain <= 0) return q;
+      const err = headingError(q, qRef);
+      const k = Math.min(1, o.headingGain * Math.min(Math.max(dt, 0), o.maxDt));
+      q = quatNormalize(quatMultiply(quatFromAxisAngle([0, 0, 1], err * k), q));
+      return q;
+    },
+
+    // Gravity-compensated acceleration in world axes (m/s²), from an
+    // accelerationIncludingGravity reading in device axes.
+    linearAcceleration(accel){
+      const w = quatRotate(q, accel);
+      return [w[0], w[1], w[2] - o.gravity];
+    },
+
+    reset(){
+      q = [1, 0, 0, 0];
+      bias = [0, 0, 0];
+      initialized = false;
+    },
+
+    get quaternion(){ return q.slice(); },
+    get initialized(){ return initialized; },
+    get gyroBias(){ return bias.slice(); },
+    options: o
+  };
+}
+
+// ---------------- Browser wiring ----------------
+// iOS 13+ gates both events behind a user-gesture permission prompt.
+export async function requestSensorPermission(){
+  const DME = window.DeviceMotionEvent;
+  const DOE = window.DeviceOrientationEvent;
+  if (DME && typeof DME.requestPermission === "function"){
+    if (await DME.requestPermission() !== "granted") throw new Error("DeviceMotion permission not granted.");
+  }
+  let orientation = true;
+  if (DOE && typeof DOE.requestPermission === "function"){
+    // not fatal: the filter runs without a heading reference
+    orientation = await DOE.requestPermission() === "granted";
+  }
+  return { motion: true, orientation };
+}
+
+// Subscribes to devicemotion (gyro + accel) and, when it is absolute, deviceorientation
+// (heading). Each motion event advances the filter; onUpdate(state) gets
+// { q, linearAccel, gyro, accel, heading, dt, t }.
+export function createMotionFusion(opts = {}, onUpdate = null){
+  const filter = createOrientationFilter(opts);
+  let lastMotionT = null;
+  let lastHeadingT = null;
+  let heading = null; // { q, absolute, t }
+  let listening = false;
+
+  function onMotion(e){
+    const rr = e.rotationRate;
+    const ag = e.accelerationIncludingGravity;
+    if (!rr || rr.alpha == null) return;
+
+    // rotationRate: alpha about z, beta about x, gamma about y (deg/s)
+    const gyro = [(rr.beta ?? 0) * DEG2RAD, (rr.gamma ?? 0) * DEG2RAD, (rr.alpha ?? 0) * DEG2RAD];
+    const accel = ag && ag.x != null ? [ag.x, ag.y, ag.z] : null;
+
+    const t = e.timeStamp / 1000;
+    // prefer the sensor's own interval (ms per spec; some browsers report seconds)
+    let dt = lastMotionT == null ? 0 : t - lastMotionT;
+    if (lastMotionT != null && e.interval > 0) dt = e.interval > 1 ? e.interval / 1000 : e.interval;
+    lastMotionT = t;
+
+    filter.update(gyro, accel, dt);
+
+    if (heading && lastHeadingT != null){
+      filter.correctHeading(heading.q, t - lastHeadingT);
+    }
+    lastHeadingT = t;
+
+    onUpdate?.({
+      q: filter.quaternion,
+      linearAccel: accel ? filter.linearAcceleration(accel) : null,
+      gyro,
+      accel,
+      heading: heading ? quatToDeviceOrientation(heading.q).alpha : null,
+      dt,
+      t
+    });
+  }
+
+  function onOrientation(e){
+    if (e.alpha == null) return;
+    // iOS: alpha is relative to the start heading, the compass heading comes separately
+    let alpha = e.alpha;
+    let absolute = e.absolute === true || e.type === "deviceorientationabsolute";
+    if (typeof e.webkitCompassHeading === "number" && e.webkitCompassHeading >= 0){
+      alpha = 360 - e.webkitCompassHeading;
+      absolute = true;
+    }
+    if (!absolute) return; // a relative alpha adds nothing the gyro does not know
+    heading = { q: quatFromDeviceOrientation(alpha, e.beta ?? 0, e.gamma ?? 0), absolute, t: e.timeStamp };
+  }
+
+  const orientationEvent = "ondeviceorientationabsolute" in window ? "deviceorientationabsolute" : "deviceorientation";
+
+  return {
+    start(){
+      if (listening) return;
+      window.addEventListener("devicemotion", onMotion, { passive: true });
+      window.addEventListener(orientationEvent, onOrientation, { passive: true });
+      listening = true;
+    },
+    stop(){
+      if (!listening) return;
+      window.removeEventListener("devicemotion", onMotion);
+      window.removeEventListener(orientationEvent, onOrientation);
+      listening = false;
+    },
+    reset(){
+      filter.reset();
+      lastMotionT = null;
+      lastHeadingT = null;
+    },
+    get hasHeading(){ return heading != null; },
+    filter
+  };
+}
@@ -0,0 +1,79 @@
+// charts.js - Minimal canvas line charts for the benchmark page (main.js)
+// series: [{ label, color, dash ([] = solid), points: [[x, y], ...] }]
+
+const PAD = { left: 56, right: 12, top: 28, bottom: 40 };
+
+// ~5 round tick values covering [lo, hi]
+function ticks(lo, hi){
+  const span = hi - lo || 1;
+  const raw = span / 5;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].map(m => m * mag).find(s => s >= raw);
+  const out = [];
+  for (let v = Math.ceil(lo / step) * step; v <= hi + step * 1e-9; v += step) out.push(Number(v.toPrecision(12)));
+  return out;
+}
+
+export function drawLineChart(canvas, series, { title = "", xLabel = "", yLabel = "" } = {}){
+  const ctx = canvas.getContext("2d");
+  const { width: W, height: H } = canvas;
+  ctx.clearRect(0, 0, W, H);
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, W, H);
+
+  const pts = series.flatMap(s => s.points).filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y));
+  ctx.fillStyle = "#000";
+  ctx.font = "13px system-ui, Arial";
+  ctx.fillText(title, PAD.left, 18);
+  if (!pts.length){
+    ctx.fillText("no data", PAD.left, PAD.top + 20);
+    return;
+  }
+
+  let [x0, x1] = [Math.min(...pts.map(p => p[0])), Math.max(...pts.map(p => p[0]))];
+  let [y0, y1] = [Math.min(0, ...pts.map(p => p[1])), Math.max(...pts.map(p => p[1]))];
+  if (x0 === x1) { x0 -= 1; x1 += 1; }
+  if (y0 === y1) y1 += 1;
+  const px = (x) => PAD.left + (x - x0) / (x1 - x0) * (W - PAD.left - PAD.right);
+  const py = (y) => H - PAD.bottom - (y - y0) / (y1 - y0) * (H - PAD.top - PAD.bottom);
+
+  // grid + axis labels
+  ctx.font = "11px system-ui, Arial";
+  ctx.strokeStyle = "#e5e5e5";
+  ctx.lineWidth = 1;
+  ctx.textAlign = "right";
+  for (const y of ticks(y0, y1)){
+    ctx.beginPath(); ctx.moveTo(PAD.left, py(y)); ctx.lineTo(W - PAD.right, py(y)); ctx.stroke();
+    ctx.fillText(String(y), PAD.left - 4, py(y) + 4);
+  }
+  ctx.textAlign = "center";
+  for (const x of ticks(x0, x1)){
+    ctx.beginPath(); ctx.moveTo(px(x), PAD.top); ctx.lineTo(px(x), H - PAD.bottom); ctx.stroke();
+    ctx.fillText(String(x), px(x), H - PAD.bottom + 14);
+  }
+  ctx.fillText(xLabel, (PAD.left + W - PAD.right) / 2, H - 6);
+  ctx.save();
+  ctx.translate(12, (PAD.top + H - PAD.bottom) / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.fillText(yLabel, 0, 0);
+  ctx.restore();
+  ctx.textAlign = "left";
+
+  // series, sorted by x
+  series.forEach((s, i) => {
+    const sp = s.points.filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y)).sort((a, b) => a[0] - b[0]);
+    ctx.strokeStyle = ctx.fillStyle = s.color;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash(s.dash ?? []);
+    ctx.beginPath();
+    sp.forEach(([x, y], j) => (j ? ctx.lineTo(px(x), py(y)) : ctx.moveTo(px(x), py(y))));
+    ctx.stroke();
+    ctx.setLineDash([]);
+    for (const [x, y] of sp) ctx.fillRect(px(x) - 2, py(y) - 2, 4, 4);
+
+    // legend, top right
+    const ly = PAD.top + 4 + i * 14;
+    ctx.fillRect(W - PAD.right - 150, ly - 4, 10, 3);
+    ctx.fillText(s.label, W - PAD.right - 136, ly);
+  });
+}
@@ -1,56 +1,75 @@
 // config.js
 
-const COMMON = {
-  scaleFactor: 1.2,
-  nlevels: 8,
-  edgeThreshold: 10,
-  firstLevel: 0,
-  WTA_K: 2,
-  patchSize: 31,
-  fastThreshold: 12
+// ORB parameter sweep, expanded into benchmark presets by sweep.js. Per parameter: a
+// single value, a list of values or an inclusive range { from, to, step }, e.g.
+//   scaleFactor: [1.1, 1.2, 1.3], fastThreshold: { from: 5, to: 30, step: 5 }
+// mode "grid" runs every combination, "random" `samples` distinct ones drawn with `seed`.
+// Combinations failing a constraint are skipped (counted in the log).
+// Preset names hold the score type and every varying parameter, plus any fixed one that
+// differs from `named` (the values older presets had): results under other parameters
+// never share a name with earlier runs in a baseline comparison (results.js).
+// edgeThreshold was 10 before the sweep; that fails the constraint below for every preset,
+// so it is 31 now and the presets are named harris_250_et31 etc.
+export const SWEEP = {
+  mode: "grid",
+  samples: 60,
+  seed: 1,
+  named: { scaleFactor: 1.2, nlevels: 8, edgeThreshold: 10, firstLevel: 0, WTA_K: 2, patchSize: 31, fastThreshold: 12 },
+  params: {
+    nfeatures: { from: 250, to: 5000, step: 250 },
+    scaleFactor: 1.2,
+    nlevels: 8,
+    edgeThreshold: 31,
+    firstLevel: 0,
+    WTA_K: 2,
+    scoreType: ["HARRIS", "FAST"],
+    patchSize: 31,
+    fastThreshold: 12
+  },
+  constraints: [
+    // keypoints closer to the border than the patch get descriptors of mirrored padding
+    { name: "edgeThreshold >= patchSize", test: p => p.edgeThreshold >= p.patchSize }
+  ]
 };
 
-// Generate [250, 500, 750, ..., 5000]
-const NFEATURES = Array.from(
-  { length: Math.floor(5000 / 250) },
-  (_, i) => (i + 1) * 250
-);
-
-export const PRESETS = [
-  // HARRIS_SCORE presets
-  ...NFEATURES.map(n => ({
-    name: `harris_${n}`,
-    params: [
-      n,
-      COMMON.scaleFactor,
-      COMMON.nlevels,
-      COMMON.edgeThreshold,
-      COMMON.firstLevel,
-      COMMON.WTA_K,
-      "HARRIS",
-      COMMON.patchSize,
-      COMMON.fastThreshold
-    ]
-  })),
-
-  // FAST_SCORE presets
-  ...NFEATURES.map(n => ({
-    name: `fast_${n}`,
-    params: [
-      n,
-      COMMON.scaleFactor,
-      COMMON.nlevels,
-      COMMON.edgeThreshold,
-      COMMON.firstLevel,
-      COMMON.WTA_K,
-      "FAST",
-      COMMON.patchSize,
-      COMMON.fastThreshold
-    ]
-  }))
-];
-
 // Benchmark settings
 export const RUNS = 8;     // measured runs per preset
 export const WARMUP = 1;   // warmup runs (not counted)
 export const GRID = 8;     // 8x8 grid = 64 cells
+
+// Matching benchmark (optional second mode, see main.js): the test image is the reference,
+// live frames are known warps of it. Per transform (unset = identity):
+//   rotation (deg) and scale about the image centre, tilt = fraction the top edge narrows
+//   (perspective), blurLen / blurAngle = motion blur (px / deg), noiseStd (grey levels),
+//   gain / bias = brightness (v' = v * gain + bias)
+export const MATCH_TRANSFORMS = [
+  { name: "identity" },
+  { name: "rot30", rotation: 30 },
+  { name: "rot90", rotation: 90 },
+  { name: "scale0.5", scale: 0.5 },
+  { name: "scale0.75_rot15", scale: 0.75, rotation: 15 },
+  { name: "tilt0.3", tilt: 0.3 },
+  { name: "tilt0.5_scale0.7", tilt: 0.5, scale: 0.7 },
+  { name: "motion9", blurLen: 9, blurAngle: 20 },
+  { name: "motion15_scale0.8", blurLen: 15, blurAngle: 70, scale: 0.8 },
+  { name: "noise10", noiseStd: 10 },
+  { name: "dark", gain: 0.5, bias: -20 },
+  { name: "bright", gain: 1.3, bias: 40 },
+  { name: "combined", rotation: -20, scale: 0.6, tilt: 0.3, blurLen: 7, blurAngle: 45, noiseStd: 6, gain: 0.8 }
+];
+
+export const MATCH = {
+  ratio: 0.8,              // lshMatchRatio settings (App defaults)
+  maxCandidates: 800,
+  useMultiProbe: true,
+  ransacThresh: 3.0,       // findHomography RANSAC threshold (px)
+  minInliers: 12,          // success: at least this many inliers ...
+  maxCornerErrorPx: 10     // ... and mean corner error against the true homography within this
+};
+
+// Baseline comparison: how much worse a preset may get before it is flagged as a regression
+export const COMPARE = {
+  maxSlowdown: 0.10,       // avg_ms above baseline by more than this fraction
+  maxOccupancyDrop: 0.02,  // grid_occupancy_ratio below baseline by more than this
+  maxSuccessDrop: 0.05     // match_success_rate below baseline by more than this (matching runs)
+};
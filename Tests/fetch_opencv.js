@@ -0,0 +1,98 @@
+// fetch_opencv.js - The pinned opencv.js build for the Node tools (gen_reference.js)
+//   node --experimental-detect-module Tests/fetch_opencv.js [--out Tests/vendor/opencv.js]
+// Downloads the npm package below from the registry, checks the tarball against its
+// published integrity hash and the extracted opencv.js against OPENCV_BUILD.sha256, and
+// writes it to Tests/vendor/ (git-ignored). gen_reference.js does this itself when the file
+// is missing. Builds differ in what they bind: the @techstark 4.5-4.10 builds cannot
+// construct cv.ORB with a score type ("unbound types: N2cv3ORB9ScoreTypeE"), 4.12 can.
+// The Tests/fixtures references were made with this build, and App/Gen_desciptor.html loads
+// it from `cdn` with the `sri` hash (checked by gen_reference.js --check), so the page's
+// downloads can be compared byte for byte.
+
+import { createHash } from "node:crypto";
+import { gunzipSync } from "node:zlib";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const OPENCV_BUILD = {
+  package: "@techstark/opencv-js",
+  version: "4.12.0-release.1",
+  tarball: "https://registry.npmjs.org/@techstark/opencv-js/-/opencv-js-4.12.0-release.1.tgz",
+  integrity: "sha512-LtTaph9v/HqLPXEg3m1xs2h7QJh10pUpuDT0nj8g77lelWnTwwQrehtd+fXElLOdrkqc4Fea6Z/sJBvEJLYPfw==",
+  entry: "package/dist/opencv.js",
+  sha256: "bd0c3e6448043de04f6a64a12cb7b759f78c3ab8f7c35c9f2e0f71c88bb17103",
+  // the same file for browsers, with its subresource integrity hash
+  cdn: "https://cdn.jsdelivr.net/npm/@techstark/opencv-js@4.12.0-release.1/dist/opencv.js",
+  sri: "sha384-i8A4fJEsRcMFMyEEDNri/2MR12DhkFLlUF+9oxUrxs6prIcRj7YtWAQ1OJ+iE0C7"
+};
+
+export const DEFAULT_OPENCV_PATH = fileURLToPath(new URL("./vendor/opencv.js", import.meta.url));
+
+export function sha256Hex(bytes){
+  return createHash("sha256").update(bytes).digest("hex");
+}
+
+// ---------------- Tar ----------------
+// One regular file out of a (ustar) tar archive, null when it is not there
+function tarEntry(tar, wanted){
+  const text = (off, len) => {
+    const s = tar.subarray(off, off + len);
+    const end = s.indexOf(0);
+    return Buffer.from(end < 0 ? s : s.subarray(0, end)).toString("utf8");
+  };
+  for (let off = 0; off + 512 <= tar.length;){
+    const name = text(off, 100);
+    if (!name) break; // end-of-archive blocks
+    const prefix = text(off + 345, 155);
+    const size = parseInt(text(off + 124, 12).trim() || "0", 8);
+    const type = String.fromCharCode(tar[off + 156]);
+    const full = prefix ? `${prefix}/${name}` : name;
+    if ((type === "0" || type === "\0") && full === wanted) return tar.subarray(off + 512, off + 512 + size);
+    off += 512 + Math.ceil(size / 512) * 512;
+  }
+  return null;
+}
+
+// ---------------- Download ----------------
+export async function fetchOpenCV(out = DEFAULT_OPENCV_PATH, log = console.log){
+  const b = OPENCV_BUILD;
+  log(`Downloading ${b.package}@${b.version} ...`);
+  const res = await fetch(b.tarball);
+  if (!res.ok) throw new Error(`${b.tarball}: HTTP ${res.status}`);
+  const tgz = new Uint8Array(await res.arrayBuffer());
+
+  const [algo, expected] = b.integrity.split("-");
+  const digest = createHash(algo).update(tgz).digest("base64");
+  if (digest !== expected) throw new Error(`${b.tarball}: ${algo} ${digest} does not match the pinned integrity ${b.integrity}`);
+
+  const file = tarEntry(gunzipSync(tgz), b.entry);
+  if (!file) throw new Error(`${b.tarball}: no ${b.entry} in the package`);
+  const sha = sha256Hex(file);
+  if (sha !== b.sha256) throw new Error(`${b.entry}: sha256 ${sha} does not match the pinned ${b.sha256}`);
+  const sri = `sha384-${createHash("sha384").update(file).digest("base64")}`;
+  if (sri !== b.sri) throw new Error(`${b.entry}: ${sri} does not match the pinned page integrity ${b.sri}`);
+
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, file);
+  log(`opencv.js ${b.version} (${file.length} bytes, sha256 ${sha}) written to ${out}`);
+  return out;
+}
+
+// ---------------- CLI ----------------
+async function main(){
+  const argv = process.argv.slice(2);
+  let out = DEFAULT_OPENCV_PATH;
+  if (argv.length){
+    if (argv[0] !== "--out" || argv.length !== 2) throw new Error("usage: fetch_opencv.js [--out file]");
+    out = path.resolve(argv[1]);
+  }
+  await fetchOpenCV(out);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)){
+  main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,226 @@
+// gen_reference.js - Headless reference generator: one reference per image in a directory
+// Runs the browser generator's code (App/reference.js, App/training.js) under Node on a
+// pinned opencv.js WASM build (fetch_opencv.js):
+//   node --experimental-detect-module Tests/gen_reference.js --images dir [--params orb.json]
+//          [--out references] [--format orbt|module] [--index true|false] [--manifest targets.json]
+//          [--train false|true] [--views 40] [--max-features 2000] [--analyse false|true]
+//          [--check dir] [--opencv file]
+// opencv.js is downloaded (and checksummed) to Tests/vendor/opencv.js on first use;
+// --opencv runs another build instead, with a warning. --params is a JSON object with any
+// of the ORB parameters in App/reference.js (same file as the generator page's parameter input).
+// Writes <name>.orbt (or <name>.js with --format module) and <name>.lshi per image, and
+// optionally a targets.json manifest listing them; --analyse true adds the generator's
+// trackability report (App/trackability.js) as <name>.trackability.json. For the same image and parameters
+// every file is byte-identical to what Gen_desciptor.html downloads (images: see
+// imagefile.js); --check compares each output with the same-named file in a directory of
+// browser downloads (descriptor.orbt/.lshi renamed after the image) and exits with code 1
+// on any difference. It first makes sure the page and this run both use the pinned build.
+// Tests/fixtures has a small image with the expected outputs of the default run:
+//   node --experimental-detect-module Tests/gen_reference.js --images Tests/fixtures \
+//          --out /tmp/fixture-out --check Tests/fixtures
+
+import { decodeImageFile } from "./imagefile.js";
+import { encodeOrbt } from "../App/orbt.js";
+import {
+  REFERENCE_ORB_PARAMS, resolveOrbParams, referenceGray, detectReference,
+  referenceToModule, encodeReferenceIndex, referenceCoverage
+} from "../App/reference.js";
+import { trainReference, TRAINING_DEFAULTS } from "../App/training.js";
+import { analyseTrackability } from "../App/trackability.js";
+import { OPENCV_BUILD, DEFAULT_OPENCV_PATH, fetchOpenCV, sha256Hex } from "./fetch_opencv.js";
+
+const IMAGE_EXTENSIONS = /\.(png|pgm|ppm)$/i;
+const OPENCV_INIT_TIMEOUT_MS = 60000;
+
+// ---------------- OpenCV ----------------
+// Loads the UMD opencv.js build and installs it as the global `cv` the App modules use.
+// 4.x builds export either the module (ready at onRuntimeInitialized) or a promise of it.
+// file: null = the pinned build, fetched when it is not there yet. Returns whether the file
+// is the pinned build.
+async function loadOpenCV(file){
+  const fs = await import("node:fs");
+  const { createRequire } = await import("node:module");
+  if (file == null){
+    file = DEFAULT_OPENCV_PATH;
+    if (!fs.existsSync(file)) await fetchOpenCV(file);
+  } else if (!fs.existsSync(file)) {
+    throw new Error(`opencv.js not found at ${file} (leave out --opencv for the pinned build)`);
+  }
+  const pinned = sha256Hex(fs.readFileSync(file)) === OPENCV_BUILD.sha256;
+  if (!pinned) {
+    console.warn(`warning: ${file} is not the pinned opencv.js ${OPENCV_BUILD.version}; outputs may not match Tests/fixtures or other machines`);
+  }
+
+  let cv = createRequire(import.meta.url)(file);
+  if (cv instanceof Promise) cv = await cv;
+  if (!cv.Mat){
+    let timer;
+    await Promise.race([
+      new Promise(resolve => { cv.onRuntimeInitialized = resolve; }),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${file}: OpenCV did not initialise within ${OPENCV_INIT_TIMEOUT_MS / 1000} s`)), OPENCV_INIT_TIMEOUT_MS);
+      })
+    ]).finally(() => clearTimeout(timer));
+  }
+  globalThis.cv = cv;
+  return pinned;
+}
+
+// Throws unless the generator page loads the pinned build (its <script> src and integrity);
+// otherwise its downloads come from another OpenCV and --check would compare nothing useful.
+async function checkGeneratorPage(){
+  const fs = await import("node:fs");
+  const page = new URL("../App/Gen_desciptor.html", import.meta.url);
+  const html = fs.readFileSync(page, "utf8");
+  const tag = html.match(/<script[^>]*\bsrc="[^"]*opencv[^"]*"[^>]*>/)?.[0];
+  if (!tag) throw new Error(`${page.pathname}: no opencv.js <script> tag`);
+  const attr = name => tag.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+  if (attr("src") !== OPENCV_BUILD.cdn || attr("integrity") !== OPENCV_BUILD.sri) {
+    throw new Error(`${page.pathname}: the page does not load the pinned opencv.js ${OPENCV_BUILD.version} ` +
+      `(src ${OPENCV_BUILD.cdn}, integrity ${OPENCV_BUILD.sri})`);
+  }
+}
+
+// ---------------- Generation ----------------
+// One image file -> { ref, detected, report (training, or null), trackability (or null), opaque }
+// The trackability report describes the detected features, before any training.
+async function generate(bytes, name, orbParams, training, analyse){
+  const img = decodeImageFile(bytes, name);
+  const rgba = cv.matFromImageData(img);
+  const gray = referenceGray(rgba);
+  try {
+    const ref = detectReference(gray, orbParams);
+    const detected = ref.descriptors.rows;
+    const trackability = analyse ? analyseTrackability(ref, new Uint8Array(gray.data)).report : null;
+    if (!training || detected === 0) return { ref, detected, report: null, trackability, opaque: img.opaque };
+    const { reference, report } = await trainReference(gray, ref, training);
+    return { ref: reference, detected, report, trackability, opaque: img.opaque };
+  } finally {
+    rgba.delete();
+    gray.delete();
+  }
+}
+
+// ---------------- CLI ----------------
+function parseArgs(argv){
+  const args = {};
+  for (let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    if (!a.startsWith("--")) throw new Error(`Unexpected argument "${a}"`);
+    const key = a.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    const next = argv[i + 1];
+    if (next == null || next.startsWith("--")) throw new Error(`${a} needs a value`);
+    args[key] = next;
+    i++;
+  }
+  return args;
+}
+
+function parseBool(args, key, fallback){
+  if (args[key] == null) return fallback;
+  if (args[key] !== "true" && args[key] !== "false") throw new Error(`--${key}: expected true or false, got "${args[key]}"`);
+  return args[key] === "true";
+}
+
+function parseCount(args, key, fallback){
+  if (args[key] == null) return fallback;
+  const v = Number(args[key]);
+  if (!Number.isInteger(v) || v <= 0) throw new Error(`--${key}: expected a positive integer, got "${args[key]}"`);
+  return v;
+}
+
+async function main(){
+  const fs = await import("node:fs");
+  const path = await import("node:path");
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.images) throw new Error("--images <dir> is required");
+  const format = args.format ?? "orbt";
+  if (format !== "orbt" && format !== "module") throw new Error(`--format: expected orbt or module, got "${format}"`);
+  const withIndex = parseBool(args, "index", true);
+  const analyse = parseBool(args, "analyse", false);
+  const training = parseBool(args, "train", false) ? {
+    views: parseCount(args, "views", TRAINING_DEFAULTS.views),
+    maxFeatures: parseCount(args, "maxFeatures", TRAINING_DEFAULTS.maxFeatures)
+  } : null;
+  const orbParams = args.params
+    ? resolveOrbParams(JSON.parse(fs.readFileSync(args.params, "utf8")), args.params)
+    : REFERENCE_ORB_PARAMS;
+
+  const files = fs.readdirSync(args.images).filter(f => IMAGE_EXTENSIONS.test(f)).sort();
+  if (files.length === 0) throw new Error(`${args.images}: no .png, .pgm or .ppm images`);
+  if (args.check) await checkGeneratorPage();
+  const pinned = await loadOpenCV(args.opencv ? path.resolve(args.opencv) : null);
+  if (args.check && !pinned) throw new Error("--check needs the pinned opencv.js build (leave out --opencv)");
+  const outDir = args.out ?? "references";
+  fs.mkdirSync(outDir, { recursive: true });
+
+  console.log(`${files.length} image(s), ORB ${JSON.stringify(orbParams)}${training ? `, training on ${training.views} views` : ""}\n`);
+  console.log("image                          size        features      kept   coverage   output bytes      ms  check");
+  const targets = [];
+  let different = 0, skipped = 0, totalKept = 0;
+  for (const file of files){
+    const t0 = performance.now();
+    const id = path.parse(file).name;
+    const bytesIn = new Uint8Array(fs.readFileSync(path.join(args.images, file)));
+    const { ref, detected, report, trackability, opaque } = await generate(bytesIn, file, orbParams, training, analyse);
+    if (trackability) {
+      fs.writeFileSync(path.join(outDir, `${id}.trackability.json`), JSON.stringify(trackability, null, 2) + "\n");
+    }
+    if (ref.descriptors.rows === 0){
+      console.log(`${file.padEnd(30)} ${detected ? `none of ${detected} features kept by training` : "no features"}, skipped`);
+      skipped++;
+      continue;
+    }
+
+    const src = `${id}.${format === "module" ? "js" : "orbt"}`;
+    const outputs = [[src, format === "module" ? Buffer.from(referenceToModule(ref)) : new Uint8Array(encodeOrbt(ref))]];
+    if (withIndex) outputs.push([`${id}.lshi`, new Uint8Array(encodeReferenceIndex(ref))]);
+
+    let check = "";
+    for (const [name, bytes] of outputs){
+      fs.writeFileSync(path.join(outDir, name), bytes);
+      if (!args.check) continue;
+      const other = path.join(args.check, name);
+      const same = fs.existsSync(other) && Buffer.compare(fs.readFileSync(other), Buffer.from(bytes)) === 0;
+      if (!same) different++;
+      check += `${check ? " " : ""}${path.extname(name).slice(1)}:${!fs.existsSync(other) ? "missing" : same ? "same" : "DIFFERENT"}`;
+    }
+    targets.push({ id, src: `./${src}`, ...(withIndex ? { index: `./${id}.lshi` } : {}) });
+
+    const { occupied, total, ratio } = referenceCoverage(ref);
+    const bytes = outputs.reduce((n, [, b]) => n + b.length, 0);
+    totalKept += ref.descriptors.rows;
+    console.log(
+      `${file.padEnd(30)} ${`${ref.image.width}x${ref.image.height}`.padEnd(11)} ${String(detected).padStart(8)} ` +
+      `${String(ref.descriptors.rows).padStart(9)}  ${`${occupied}/${total}`.padStart(5)} ${(ratio * 100).toFixed(0).padStart(3)}% ` +
+      `${String(bytes).padStart(13)} ${(performance.now() - t0).toFixed(0).padStart(7)}  ${check}`
+    );
+    if (trackability) {
+      console.log(`${"".padEnd(30)} trackability ${trackability.rating}/100` +
+        trackability.warnings.map(w => `\n${"".padEnd(30)} - ${w}`).join(""));
+    }
+    if (report) {
+      console.log(`${"".padEnd(30)} mean repeatability ${(report.meanRepeatability * 100).toFixed(1)}% of kept features`);
+    }
+    if (!opaque) {
+      console.log(`${"".padEnd(30)} warning: transparent pixels; browsers premultiply alpha, so their output may differ`);
+    }
+  }
+
+  if (args.manifest){
+    const file = path.join(outDir, args.manifest);
+    fs.writeFileSync(file, JSON.stringify({ targets }, null, 2) + "\n");
+    console.log(`\nManifest with ${targets.length} target(s) written to ${file}`);
+  }
+  console.log(`\n${targets.length} reference(s), ${totalKept} features in ${outDir}${skipped ? `, ${skipped} image(s) without features` : ""}`);
+  if (different){
+    console.error(`${different} output(s) differ from ${args.check}`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
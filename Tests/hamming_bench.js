@@ -0,0 +1,281 @@
+// hamming_bench.js - Micro-benchmark for the Hamming kernels and LSH key tables in App/hamming.js
+// Compares them with the byte-table hamming32 / bit-loop lshHash in App/helpers.js and
+// checks that every result is identical (exit code 1 otherwise):
+//   node --experimental-detect-module Tests/hamming_bench.js [--queries 500] [--candidates 800] [--reps 5]
+// Data: the reference descriptors in App/descriptor.js; queries are random rows of it with
+// a few bits flipped. The lshMatchRatio row runs the kernel + tables against a copy of
+// the previous byte-wise matching loop on the same index.
+
+import { hamming32, lshHash, defaultMaxHamming } from "../App/helpers.js";
+import {
+  asU32, hammingU32, hammingOneToMany, hammingOneToAll,
+  makeHashTables, lshHashLUT, createHammingKernel, hasWasmSimd
+} from "../App/hamming.js";
+import { buildLSHIndex, lshMatchRatio } from "../App/lsh.js";
+
+function mulberry32(seed){
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Best of `reps` runs (ms)
+function time(reps, fn){
+  fn(); // warm-up
+  let best = Infinity;
+  for (let r = 0; r < reps; r++){
+    const t0 = performance.now();
+    fn();
+    best = Math.min(best, performance.now() - t0);
+  }
+  return best;
+}
+
+function sameArrays(a, b, n = a.length){
+  for (let i = 0; i < n; i++) if (a[i] !== b[i]) return false;
+  return true;
+}
+
+// Map<key, rows[]> per table, the bucket layout before the CSR tables
+function bucketMaps(index){
+  return index.tables.map(({ keys, offsets, rows }) => {
+    const buckets = new Map();
+    for (let b = 0; b < keys.length; b++) buckets.set(keys[b], Array.from(rows.subarray(offsets[b], offsets[b + 1])));
+    return buckets;
+  });
+}
+
+// The matching loop as it was before the kernel: lshHash per table, hamming32 per candidate,
+// Map buckets (from bucketMaps)
+function referenceMatch(index, maps, liveDescU8, liveRows, { maxCandidates, ratio, maxHamming, useMultiProbe }){
+  const { refDescU8, refRows, tables, stats, targetIds } = index;
+  const maxD = maxHamming ?? defaultMaxHamming(stats);
+  const seen = new Uint8Array(refRows);
+  const matches = [];
+  const add = (buckets, h, cands) => {
+    const arr = buckets.get(h);
+    if (!arr) return;
+    for (const i of arr){
+      if (cands.length >= maxCandidates) break;
+      if (seen[i]) continue;
+      seen[i] = 1;
+      cands.push(i);
+    }
+  };
+  for (let j = 0; j < liveRows; j++){
+    const off = j * 32;
+    const cands = [];
+    for (let t = 0; t < tables.length; t++){
+      const { bitPos } = tables[t];
+      const buckets = maps[t];
+      const h = lshHash(liveDescU8, off, bitPos);
+      add(buckets, h, cands);
+      if (useMultiProbe && cands.length < maxCandidates && bitPos.length <= 20){
+        for (let b = 0; b < Math.min(3, bitPos.length); b++){
+          add(buckets, h ^ (1 << b), cands);
+          if (cands.length >= maxCandidates) break;
+        }
+      }
+      if (cands.length >= maxCandidates) break;
+    }
+    for (const i of cands) seen[i] = 0;
+    let bestIdx = -1, bestD = 1e9, secondIdx = -1, secondD = 1e9;
+    for (const i of cands){
+      const d = hamming32(refDescU8, i * 32, liveDescU8, off);
+      if (d < bestD){ secondD = bestD; secondIdx = bestIdx; bestD = d; bestIdx = i; }
+      else if (d < secondD){ secondD = d; secondIdx = i; }
+    }
+    const ok = bestIdx >= 0 && secondD < 1e9 && secondIdx !== bestIdx && bestD < ratio * secondD && bestD <= maxD;
+    matches.push(ok ? { queryIdx: bestIdx, trainIdx: j, distance: bestD, targetId: targetIds[bestIdx] } : null);
+  }
+  return matches;
+}
+
+function parseArgs(argv){
+  const args = { queries: 500, candidates: 800, reps: 5 };
+  for (let i = 0; i < argv.length; i += 2){
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in args)) throw new Error(`Unknown option ${argv[i]}`);
+    const v = Number(argv[i + 1]);
+    if (!Number.isInteger(v) || v <= 0) throw new Error(`${argv[i]}: expected a positive integer, got "${argv[i + 1]}"`);
+    args[key] = v;
+  }
+  return args;
+}
+
+async function main(){
+  const { queries, candidates, reps } = parseArgs(process.argv.slice(2));
+  const { DESCRIPTOR } = await import("../App/descriptor.js");
+  const ref = DESCRIPTOR.descriptors.data;
+  const refRows = DESCRIPTOR.descriptors.rows;
+
+  const rnd = mulberry32(7);
+  const live = new Uint8Array(queries * 32);
+  for (let j = 0; j < queries; j++){
+    const src = (rnd() * refRows) | 0;
+    live.set(ref.subarray(src * 32, src * 32 + 32), j * 32);
+    for (let f = 0; f < 20; f++){
+      const bit = (rnd() * 256) | 0;
+      live[j * 32 + (bit >> 3)] ^= 1 << (bit & 7);
+    }
+  }
+  const idx = Int32Array.from({ length: candidates }, () => (rnd() * refRows) | 0);
+
+  const R = asU32(ref);
+  const Q = asU32(live);
+  const jsKernel = createHammingKernel(ref, refRows, { useWasm: false });
+  const wasmKernel = createHammingKernel(ref, refRows);
+  jsKernel.setQueries(live, queries);
+  wasmKernel.setQueries(live, queries);
+
+  const results = [];
+  let failures = 0;
+  const report = (name, baseMs, ms, same) => {
+    results.push({ name, baseMs, ms, speedup: baseMs / ms, same });
+    if (!same) failures++;
+  };
+
+  console.log(`descriptors: ${refRows} reference, ${queries} queries, ${candidates} candidates/query, best of ${reps}`);
+  console.log(`WebAssembly SIMD: ${hasWasmSimd() ? "available" : "unavailable (JS fallback)"}\n`);
+
+  // ---- one vs N candidates ----
+  {
+    const base = new Uint16Array(queries * candidates);
+    const js = new Uint16Array(queries * candidates);
+    const wasm = new Uint16Array(queries * candidates);
+    const out = new Uint16Array(candidates);
+
+    const tBase = time(reps, () => {
+      for (let j = 0; j < queries; j++){
+        for (let k = 0; k < candidates; k++) base[j * candidates + k] = hamming32(ref, idx[k] * 32, live, j * 32);
+      }
+    });
+    const tPair = time(reps, () => {
+      for (let j = 0; j < queries; j++){
+        for (let k = 0; k < candidates; k++) js[j * candidates + k] = hammingU32(R, idx[k], Q, j);
+      }
+    });
+    report("pairwise hammingU32", tBase, tPair, sameArrays(base, js));
+
+    const tBatch = time(reps, () => {
+      for (let j = 0; j < queries; j++){
+        hammingOneToMany(Q, j, R, idx, candidates, out);
+        js.set(out, j * candidates);
+      }
+    });
+    report("one-to-many JS (SWAR)", tBase, tBatch, sameArrays(base, js));
+
+    const tWasm = time(reps, () => {
+      for (let j = 0; j < queries; j++){
+        wasmKernel.oneToMany(j, idx, candidates, out);
+        wasm.set(out, j * candidates);
+      }
+    });
+    report(`one-to-many kernel (${wasmKernel.kind})`, tBase, tWasm, sameArrays(base, wasm));
+  }
+
+  // ---- one vs all reference rows ----
+  {
+    const n = Math.min(queries, 100);
+    const base = new Uint16Array(refRows);
+    const out = new Uint16Array(refRows);
+    let same = true, sameWasm = true;
+
+    const tBase = time(reps, () => {
+      for (let j = 0; j < n; j++){
+        for (let i = 0; i < refRows; i++) base[i] = hamming32(ref, i * 32, live, j * 32);
+      }
+    });
+    const tJs = time(reps, () => {
+      for (let j = 0; j < n; j++) hammingOneToAll(Q, j, R, refRows, out);
+    });
+    const tWasm = time(reps, () => {
+      for (let j = 0; j < n; j++) wasmKernel.oneToAll(j, out);
+    });
+    for (let j = 0; j < n; j++){
+      for (let i = 0; i < refRows; i++) base[i] = hamming32(ref, i * 32, live, j * 32);
+      jsKernel.oneToAll(j, out);
+      same &&= sameArrays(base, out);
+      wasmKernel.oneToAll(j, out);
+      sameWasm &&= sameArrays(base, out);
+    }
+    report(`one-to-all JS (SWAR), ${n} queries`, tBase, tJs, same);
+    report(`one-to-all kernel (${wasmKernel.kind})`, tBase, tWasm, sameWasm);
+  }
+
+  // ---- LSH keys ----
+  {
+    const index = buildLSHIndex(ref, refRows, { numTables: 10, keyBits: 18, bitSelection: "random" });
+    // keys for every query x table, `passes` times over (single passes are too short to time);
+    // one loop per hash function so neither call site goes polymorphic
+    const passes = 20;
+    const hashBits = (sets, out) => () => {
+      for (let p = 0; p < passes; p++){
+        for (let j = 0; j < queries; j++){
+          for (let t = 0; t < sets.length; t++) out[j * sets.length + t] = lshHash(live, j * 32, sets[t]);
+        }
+      }
+    };
+    const hashTables = (sets, out) => () => {
+      for (let p = 0; p < passes; p++){
+        for (let j = 0; j < queries; j++){
+          for (let t = 0; t < sets.length; t++) out[j * sets.length + t] = lshHashLUT(live, j * 32, sets[t]);
+        }
+      }
+    };
+    const base = new Uint32Array(queries * 10);
+    const lut = new Uint32Array(queries * 10);
+
+    const bitPos = index.tables.map(t => t.bitPos);
+    const tBase = time(reps, hashBits(bitPos, base));
+    const tLut = time(reps, hashTables(index.tables.map(t => t.hashTables), lut));
+    report(`LSH keys x${passes}, makeBitPositions(18)`, tBase, tLut, sameArrays(base, lut));
+
+    // the default configuration: entropy-selected bits, a few bytes carry two or three
+    const entropy = buildLSHIndex(ref, refRows, { numTables: 10, keyBits: 18, bitSelection: "entropy" });
+    const entropyBits = entropy.tables.map(t => t.bitPos);
+    const tEntBase = time(reps, hashBits(entropyBits, base));
+    const tEnt = time(reps, hashTables(entropy.tables.map(t => t.hashTables), lut));
+    report(`LSH keys x${passes}, entropy bits(18)`, tEntBase, tEnt, sameArrays(base, lut));
+
+    // ---- full match ----
+    const opts = { maxCandidates: candidates, ratio: 0.8, maxHamming: null, useMultiProbe: true };
+    let a, b;
+    const maps = bucketMaps(index);
+    const tRef = time(reps, () => { a = referenceMatch(index, maps, live, queries, opts); });
+    const tNew = time(reps, () => { b = lshMatchRatio(index, live, queries, opts); });
+    const same = a.length === b.length && a.every((m, j) =>
+      (m === null && b[j] === null) || (m && b[j] && m.queryIdx === b[j].queryIdx && m.distance === b[j].distance));
+    report(`lshMatchRatio (${index.kernel.kind})`, tRef, tNew, same);
+
+    // makeBitPositions takes one bit per byte for keyBits <= 32 (precomputed shifts); the
+    // per-byte lookup tables are used once bytes carry two key bits or more on average.
+    const dense = Array.from({ length: 10 }, (_, t) =>
+      Array.from({ length: 24 }, (_, i) => ((t * 3 + (i % 8) * 4) % 32) * 8 + (i >> 3) * 2 + (t & 1)));
+    const tDenseBase = time(reps, hashBits(dense, base));
+    const tDense = time(reps, hashTables(dense.map(makeHashTables), lut));
+    report(`LSH keys x${passes}, 24 bits in 8 bytes`, tDenseBase, tDense, sameArrays(base, lut));
+  }
+
+  console.log("benchmark                                   before ms   after ms   speedup  identical");
+  for (const r of results){
+    console.log(
+      `${r.name.padEnd(42)} ${r.baseMs.toFixed(2).padStart(10)} ${r.ms.toFixed(2).padStart(10)} ` +
+      `${(r.speedup.toFixed(2) + "x").padStart(9)}  ${r.same ? "yes" : "NO"}`
+    );
+  }
+  if (failures){
+    console.error(`\n${failures} benchmark(s) produced different results`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
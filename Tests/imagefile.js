@@ -0,0 +1,153 @@
+// imagefile.js - Dependency-free image decoding for the Node tools (gen_reference.js)
+// decodeImageFile(bytes, name) -> { width, height, data: Uint8ClampedArray RGBA, opaque }
+// the ImageData shape cv.matFromImageData takes, i.e. what cv.imread gives in a browser.
+// Supported: PNG (8-bit grey / grey+alpha / RGB / RGBA, palette at 1-8 bits, not
+// interlaced) and binary PGM / PPM (P5 / P6, maxval 255). Lossless formats only: browsers
+// decode these to the same pixels (without colour management, i.e. no iCCP / gAMA
+// chunks), JPEG decoders do not agree byte for byte.
+
+import { inflateSync } from "node:zlib";
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+export function decodeImageFile(bytes, name = "image"){
+  if (PNG_SIGNATURE.every((b, i) => bytes[i] === b)) return decodePNG(bytes, name);
+  if (bytes[0] === 0x50 && (bytes[1] === 0x35 || bytes[1] === 0x36)) return decodePNM(bytes, name);
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+    throw new Error(`${name}: JPEG is not supported (decoders differ between browsers and Node); convert it to PNG`);
+  }
+  throw new Error(`${name}: not a PNG, PGM or PPM file`);
+}
+
+// ---------------- PNG ----------------
+function decodePNG(bytes, name){
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let width = 0, height = 0, bitDepth = 0, colorType = 0, palette = null, alpha = null;
+  const idat = [];
+
+  for (let off = 8; off + 8 <= bytes.length;){
+    const len = dv.getUint32(off);
+    const type = String.fromCharCode(...bytes.subarray(off + 4, off + 8));
+    const start = off + 8;
+    const body = bytes.subarray(start, start + len);
+    if (body.length !== len) throw new Error(`${name}: truncated PNG chunk ${type}`);
+    off = start + len + 4; // + CRC
+
+    if (type === "IHDR"){
+      width = dv.getUint32(start);
+      height = dv.getUint32(start + 4);
+      [bitDepth, colorType] = [body[8], body[9]];
+      if (body[12] !== 0) throw new Error(`${name}: interlaced PNG is not supported`);
+    } else if (type === "PLTE"){
+      palette = body;
+    } else if (type === "tRNS"){
+      alpha = body;
+    } else if (type === "IDAT"){
+      idat.push(body);
+    } else if (type === "IEND"){
+      break;
+    }
+  }
+  if (!width || !height) throw new Error(`${name}: PNG without IHDR`);
+
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (!channels) throw new Error(`${name}: unknown PNG colour type ${colorType}`);
+  if (colorType === 3 ? ![1, 2, 4, 8].includes(bitDepth) : bitDepth !== 8) {
+    throw new Error(`${name}: ${bitDepth}-bit PNG (colour type ${colorType}) is not supported`);
+  }
+  if (colorType === 3 && !palette) throw new Error(`${name}: palette PNG without PLTE`);
+
+  const raw = inflateSync(Buffer.concat(idat));
+  const stride = Math.ceil(width * channels * bitDepth / 8);
+  const bpp = Math.max(1, channels * bitDepth / 8);
+  if (raw.length < height * (stride + 1)) throw new Error(`${name}: PNG image data is truncated`);
+
+  // undo the per-scanline filters
+  const lines = new Uint8Array(height * stride);
+  for (let y = 0; y < height; y++){
+    const filter = raw[y * (stride + 1)];
+    const src = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const cur = lines.subarray(y * stride, (y + 1) * stride);
+    const prev = y ? lines.subarray((y - 1) * stride, y * stride) : new Uint8Array(stride);
+    for (let i = 0; i < stride; i++){
+      const a = i >= bpp ? cur[i - bpp] : 0, b = prev[i], c = i >= bpp ? prev[i - bpp] : 0;
+      let p;
+      switch (filter){
+        case 0: p = 0; break;
+        case 1: p = a; break;
+        case 2: p = b; break;
+        case 3: p = (a + b) >> 1; break;
+        case 4: {
+          const pa = Math.abs(b - c), pb = Math.abs(a - c), pc = Math.abs(a + b - 2 * c);
+          p = pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+          break;
+        }
+        default: throw new Error(`${name}: unknown PNG filter ${filter} on line ${y}`);
+      }
+      cur[i] = src[i] + p;
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  let opaque = true;
+  for (let y = 0; y < height; y++){
+    const line = lines.subarray(y * stride, (y + 1) * stride);
+    for (let x = 0; x < width; x++){
+      const o = (y * width + x) * 4;
+      let r, g, b, a = 255;
+      if (colorType === 3){
+        const bit = x * bitDepth;
+        const idx = (line[bit >> 3] >> (8 - bitDepth - (bit & 7))) & ((1 << bitDepth) - 1);
+        [r, g, b] = [palette[idx * 3], palette[idx * 3 + 1], palette[idx * 3 + 2]];
+        if (alpha && idx < alpha.length) a = alpha[idx];
+      } else {
+        const p = x * channels;
+        if (channels <= 2){
+          r = g = b = line[p];
+          if (channels === 2) a = line[p + 1];
+          else if (alpha && alpha.length >= 2 && line[p] === alpha[1]) a = 0;
+        } else {
+          [r, g, b] = [line[p], line[p + 1], line[p + 2]];
+          if (channels === 4) a = line[p + 3];
+          else if (alpha && alpha.length >= 6 && r === alpha[1] && g === alpha[3] && b === alpha[5]) a = 0;
+        }
+      }
+      data[o] = r; data[o + 1] = g; data[o + 2] = b; data[o + 3] = a;
+      if (a !== 255) opaque = false;
+    }
+  }
+  return { width, height, data, opaque };
+}
+
+// ---------------- PGM / PPM ----------------
+function decodePNM(bytes, name){
+  const channels = bytes[1] === 0x35 ? 1 : 3;
+  // header: magic, width, height, maxval separated by whitespace (# comments allowed)
+  const fields = [];
+  let off = 2;
+  while (fields.length < 3){
+    while (off < bytes.length && /\s/.test(String.fromCharCode(bytes[off]))) off++;
+    if (bytes[off] === 0x23){
+      while (off < bytes.length && bytes[off] !== 0x0A) off++;
+      continue;
+    }
+    let s = "";
+    while (off < bytes.length && /\d/.test(String.fromCharCode(bytes[off]))) s += String.fromCharCode(bytes[off++]);
+    if (!s) throw new Error(`${name}: malformed PNM header`);
+    fields.push(Number(s));
+  }
+  off++; // single whitespace before the raster
+  const [width, height, maxval] = fields;
+  if (maxval !== 255) throw new Error(`${name}: PNM maxval ${maxval} is not supported (expected 255)`);
+  if (bytes.length - off < width * height * channels) throw new Error(`${name}: PNM raster is truncated`);
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++){
+    const p = off + i * channels;
+    data[i * 4] = bytes[p];
+    data[i * 4 + 1] = bytes[channels === 3 ? p + 1 : p];
+    data[i * 4 + 2] = bytes[channels === 3 ? p + 2 : p];
+    data[i * 4 + 3] = 255;
+  }
+  return { width, height, data, opaque: true };
+}
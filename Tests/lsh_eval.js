@@ -0,0 +1,306 @@
+// lsh_eval.js - LSH recall / precision against exact brute-force matching
+// Runs under Node on plain Uint8Arrays (no browser, no OpenCV); the repo has no package.json,
+// so Node 20 needs --experimental-detect-module to load these .js files as ES modules:
+//   node --experimental-detect-module Tests/lsh_eval.js [--dataset reference|synthetic|both] [--queries 1000]
+//          [--max-flips 40] [--distractors 0.2] [--ratio 0.8] [--seed 1]
+//          [--sweep sweep.json] [--out results.json|results.csv]
+// Datasets: "reference" indexes the descriptors in App/descriptor.js, "synthetic" the same
+// number of uniformly random descriptors. Queries are dataset rows with 0..maxFlips random
+// bits flipped (ground truth = the source row) plus random distractors that should not match.
+// Every sweep entry is scored against the exhaustive hamming32 search on the same queries:
+//   recallAt1       LSH nearest candidate is as close as the true nearest neighbour
+//   ratioAgreement  LSH and brute force make the same ratio-test decision (same row or both reject)
+//   precision       accepted LSH matches that brute force accepts with the same row
+//   ratioRecall     brute-force accepted matches that LSH also returns
+//   truthRecall     perturbed queries matched to their source row
+//   distractorRate  distractors accepted (lower is better)
+//   predictedRecall lshparams.js model of truthRecall (predictLSH with measured collisions)
+
+import { hamming32, defaultMaxHamming } from "../App/helpers.js";
+import { buildLSHIndex, lshMatchRatio } from "../App/lsh.js";
+import { predictLSH, measureCollisions } from "../App/lshparams.js";
+
+export const LSH_EVAL_DEFAULTS = {
+  queries: 1000,
+  maxFlips: 40,        // bits flipped per perturbed query: uniform 0..maxFlips
+  distractors: 0.2,    // fraction of queries that are random descriptors
+  ratio: 0.8,          // ratio test used by both searches (App default)
+  maxHamming: null,    // null: lshMatchRatio's adaptive limit
+  seed: 1
+};
+
+// Every combination is evaluated; index builds are shared per (numTables, keyBits, seedBase, bitSelection).
+export const LSH_SWEEP = {
+  numTables: [4, 8, 10, 16],
+  keyBits: [12, 16, 18, 22],
+  seedBase: [1337],
+  bitSelection: ["entropy", "random"],
+  maxCandidates: [200, 800],
+  useMultiProbe: [false, true]
+};
+
+// ---------------- Data ----------------
+function mulberry32(seed){
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomDescriptors(rows, seed = 1){
+  const rnd = mulberry32(seed);
+  const out = new Uint8Array(rows * 32);
+  for (let i = 0; i < out.length; i++) out[i] = (rnd() * 256) | 0;
+  return out;
+}
+
+// Returns { descU8, rows, truth } with truth[j] = source row, or -1 for a distractor.
+export function makeQueries(refDescU8, refRows, {
+  queries = LSH_EVAL_DEFAULTS.queries,
+  maxFlips = LSH_EVAL_DEFAULTS.maxFlips,
+  distractors = LSH_EVAL_DEFAULTS.distractors,
+  seed = LSH_EVAL_DEFAULTS.seed
+} = {}){
+  const rnd = mulberry32(seed * 7919 + 17);
+  const descU8 = new Uint8Array(queries * 32);
+  const truth = new Int32Array(queries);
+
+  for (let j = 0; j < queries; j++){
+    const off = j * 32;
+    if (rnd() < distractors){
+      for (let b = 0; b < 32; b++) descU8[off + b] = (rnd() * 256) | 0;
+      truth[j] = -1;
+      continue;
+    }
+    const src = (rnd() * refRows) | 0;
+    descU8.set(refDescU8.subarray(src * 32, src * 32 + 32), off);
+    truth[j] = src;
+
+    // flip `flips` distinct bits
+    const flips = Math.round(rnd() * maxFlips);
+    const used = new Set();
+    while (used.size < flips){
+      const bit = (rnd() * 256) | 0;
+      if (used.has(bit)) continue;
+      used.add(bit);
+      descU8[off + (bit >> 3)] ^= 1 << (bit & 7);
+    }
+  }
+  return { descU8, rows: queries, truth };
+}
+
+// ---------------- Brute force ----------------
+// Exact nearest / second-nearest per query, and the same acceptance rule as lshMatchRatio.
+export function bruteForceMatch(refDescU8, refRows, queryU8, queryRows, { ratio, maxHamming }){
+  const nearest = new Int32Array(queryRows);
+  const nearestDist = new Uint16Array(queryRows);
+  const accepted = new Int32Array(queryRows);
+
+  const t0 = performance.now();
+  for (let j = 0; j < queryRows; j++){
+    const qOff = j * 32;
+    let bestIdx = -1, bestD = 1e9, secondD = 1e9;
+    for (let i = 0; i < refRows; i++){
+      const d = hamming32(refDescU8, i * 32, queryU8, qOff);
+      if (d < bestD){
+        secondD = bestD;
+        bestD = d;
+        bestIdx = i;
+      } else if (d < secondD){
+        secondD = d;
+      }
+    }
+    nearest[j] = bestIdx;
+    nearestDist[j] = bestD;
+    accepted[j] = secondD < 1e9 && bestD < ratio * secondD && bestD <= maxHamming ? bestIdx : -1;
+  }
+  const ms = performance.now() - t0;
+
+  return { nearest, nearestDist, accepted, usPerQuery: ms * 1000 / queryRows };
+}
+
+// ---------------- Evaluation ----------------
+export function expandSweep(spec = LSH_SWEEP){
+  let combos = [{}];
+  for (const [key, values] of Object.entries(spec)){
+    if (!Array.isArray(values) || values.length === 0) throw new Error(`sweep.${key}: expected a non-empty array`);
+    combos = combos.flatMap(c => values.map(v => ({ ...c, [key]: v })));
+  }
+  return combos;
+}
+
+// One row of results per sweep entry for a single dataset.
+export function evaluateDataset(name, refDescU8, refRows, opts = {}, sweep = LSH_SWEEP, onRow = null){
+  const o = { ...LSH_EVAL_DEFAULTS, ...opts };
+  const q = makeQueries(refDescU8, refRows, o);
+
+  const indexes = new Map(); // "numTables/keyBits/seedBase/bitSelection" -> { index, buildMs }
+  const getIndex = (p) => {
+    const key = `${p.numTables}/${p.keyBits}/${p.seedBase}/${p.bitSelection}`;
+    if (!indexes.has(key)){
+      const t0 = performance.now();
+      const index = buildLSHIndex(refDescU8, refRows, p);
+      indexes.set(key, { index, buildMs: performance.now() - t0 });
+    }
+    return indexes.get(key);
+  };
+  const collisions = new Map(); // "seedBase/bitSelection" -> measureCollisions()
+  const getCollisions = (p, stats) => {
+    const key = `${p.seedBase}/${p.bitSelection}`;
+    if (!collisions.has(key)){
+      collisions.set(key, measureCollisions(refDescU8, refRows, stats, { bitSelection: p.bitSelection, seedBase: p.seedBase }));
+    }
+    return collisions.get(key);
+  };
+
+  // brute force uses the same distance limit lshMatchRatio derives from the index stats
+  const maxHamming = o.maxHamming ?? defaultMaxHamming(getIndex(expandSweep(sweep)[0]).index.stats);
+  const bf = bruteForceMatch(refDescU8, refRows, q.descU8, q.rows, { ratio: o.ratio, maxHamming });
+
+  const rows = [];
+  for (const p of expandSweep(sweep)){
+    const { index, buildMs } = getIndex(p);
+    const trace = {
+      candidates: new Uint32Array(q.rows),
+      nearest: new Int32Array(q.rows),
+      nearestDist: new Uint16Array(q.rows)
+    };
+
+    const t0 = performance.now();
+    const matches = lshMatchRatio(index, q.descU8, q.rows, {
+      maxCandidates: p.maxCandidates,
+      ratio: o.ratio,
+      maxHamming,
+      useMultiProbe: p.useMultiProbe,
+      trace
+    });
+    const ms = performance.now() - t0;
+
+    let hits = 0, agree = 0, lshAcc = 0, bfAcc = 0, bothAcc = 0;
+    let truthHits = 0, perturbed = 0, distractorAcc = 0, cands = 0;
+    for (let j = 0; j < q.rows; j++){
+      const lsh = matches[j] ? matches[j].queryIdx : -1;
+      const ref = bf.accepted[j];
+      if (trace.nearest[j] >= 0 && trace.nearestDist[j] === bf.nearestDist[j]) hits++;
+      if (lsh === ref) agree++;
+      if (lsh >= 0) lshAcc++;
+      if (ref >= 0) bfAcc++;
+      if (lsh >= 0 && lsh === ref) bothAcc++;
+      if (q.truth[j] >= 0){
+        perturbed++;
+        if (lsh === q.truth[j]) truthHits++;
+      } else if (lsh >= 0){
+        distractorAcc++;
+      }
+      cands += trace.candidates[j];
+    }
+    const distractors = q.rows - perturbed;
+
+    const row = {
+      dataset: name,
+      refRows,
+      queries: q.rows,
+      ...p,
+      recallAt1: hits / q.rows,
+      ratioAgreement: agree / q.rows,
+      precision: lshAcc ? bothAcc / lshAcc : 1,
+      ratioRecall: bfAcc ? bothAcc / bfAcc : 1,
+      truthRecall: perturbed ? truthHits / perturbed : 0,
+      distractorRate: distractors ? distractorAcc / distractors : 0,
+      predictedRecall: predictLSH(index.stats, {
+        keyBits: p.keyBits, numTables: p.numTables, useMultiProbe: p.useMultiProbe, maxMatchDist: o.maxFlips,
+        collisions: getCollisions(p, index.stats)
+      }).recall,
+      avgCandidates: cands / q.rows,
+      usPerQuery: ms * 1000 / q.rows,
+      bruteUsPerQuery: bf.usPerQuery,
+      buildMs
+    };
+    rows.push(row);
+    onRow?.(row);
+  }
+  return rows;
+}
+
+// ---------------- Export ----------------
+export function resultsToCSV(rows){
+  if (rows.length === 0) return "";
+  const cols = Object.keys(rows[0]);
+  const cell = (v) => typeof v === "number" && !Number.isInteger(v) ? v.toFixed(4) : String(v);
+  return [cols.join(","), ...rows.map(r => cols.map(c => cell(r[c])).join(","))].join("\n") + "\n";
+}
+
+export function resultsToJSON(rows, meta = {}){
+  return JSON.stringify({ createdAt: new Date().toISOString(), ...meta, results: rows }, null, 2);
+}
+
+// ---------------- CLI ----------------
+function parseArgs(argv){
+  const args = {};
+  for (let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    if (!a.startsWith("--")) throw new Error(`Unexpected argument "${a}"`);
+    const key = a.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    const next = argv[i + 1];
+    if (next == null || next.startsWith("--")) throw new Error(`${a} needs a value`);
+    args[key] = next;
+    i++;
+  }
+  return args;
+}
+
+async function main(){
+  const fs = await import("node:fs");
+  const args = parseArgs(process.argv.slice(2));
+
+  const opts = {};
+  for (const k of ["queries", "maxFlips", "distractors", "ratio", "maxHamming", "seed"]){
+    if (args[k] == null) continue;
+    const v = Number(args[k]);
+    if (!Number.isFinite(v)) throw new Error(`--${k}: expected a number, got "${args[k]}"`);
+    opts[k] = v;
+  }
+  const sweep = args.sweep ? JSON.parse(fs.readFileSync(args.sweep, "utf8")) : LSH_SWEEP;
+  const dataset = args.dataset ?? "both";
+  if (!["reference", "synthetic", "both"].includes(dataset)){
+    throw new Error(`--dataset: expected reference, synthetic or both, got "${dataset}"`);
+  }
+
+  const { DESCRIPTOR } = await import("../App/descriptor.js");
+  const ref = DESCRIPTOR.descriptors;
+  const sets = [];
+  if (dataset !== "synthetic") sets.push(["reference", ref.data, ref.rows]);
+  if (dataset !== "reference") sets.push(["synthetic", randomDescriptors(ref.rows, opts.seed ?? 1), ref.rows]);
+
+  const pct = (v) => (v * 100).toFixed(1).padStart(6);
+  console.log("dataset    tables bits select  maxCand probe | recall@1 ratioAgr  prec   ratioRec truthRec (pred)  distr  | cands   us/q  (brute us/q)");
+  const rows = [];
+  for (const [name, data, n] of sets){
+    rows.push(...evaluateDataset(name, data, n, opts, sweep, (r) => {
+      console.log(
+        `${r.dataset.padEnd(10)} ${String(r.numTables).padStart(6)} ${String(r.keyBits).padStart(4)} ${String(r.bitSelection).padEnd(7)}` +
+        `${String(r.maxCandidates).padStart(8)} ${String(r.useMultiProbe).padStart(5)} |` +
+        `${pct(r.recallAt1)}   ${pct(r.ratioAgreement)} ${pct(r.precision)} ${pct(r.ratioRecall)}   ${pct(r.truthRecall)} (${pct(r.predictedRecall)}) ${pct(r.distractorRate)} |` +
+        ` ${r.avgCandidates.toFixed(0).padStart(5)} ${r.usPerQuery.toFixed(1).padStart(6)}  (${r.bruteUsPerQuery.toFixed(0)})`
+      );
+    }));
+  }
+
+  if (args.out){
+    const text = args.out.endsWith(".csv") ? resultsToCSV(rows) : resultsToJSON(rows, { options: { ...LSH_EVAL_DEFAULTS, ...opts }, sweep });
+    fs.writeFileSync(args.out, text);
+    console.log(`Saved ${rows.length} rows to ${args.out}`);
+  }
+}
+
+if (typeof process !== "undefined" && process.argv[1] &&
+    import.meta.url === (await import("node:url")).pathToFileURL(process.argv[1]).href){
+  main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
@@ -1,13 +1,38 @@
 // main.js
-import { PRESETS, RUNS, WARMUP, GRID } from "./config.js";
+import { SWEEP, RUNS, WARMUP, GRID, MATCH_TRANSFORMS, MATCH, COMPARE } from "./config.js";
+import { expandSweep, paretoFront, progressKey, loadProgress, saveProgress, clearProgress } from "./sweep.js";
+import {
+  environmentMeta, resultsToJSON, resultsToCSV, parseResultsFile, compareResults, rowNfeatures, rowFamily
+} from "./results.js";
+import { drawLineChart } from "./charts.js";
+import { buildLSHIndex, lshMatchRatio, LSH_DEFAULTS } from "../App/lsh.js";
+import {
+  homographyFromCorners, homographyToArray, projectPoint, linePSFKernel, download, targetColor
+} from "../App/helpers.js";
+import { applyLighting } from "../App/training.js";
 
 const fileEl = document.getElementById("file");
 const imgEl  = document.getElementById("img");
 const btn    = document.getElementById("run");
 const canvas = document.getElementById("c");
+const matchEl = document.getElementById("matching");
+const progressEl = document.getElementById("progress");
+const statusEl = document.getElementById("status");
+const saveJsonBtn = document.getElementById("saveJson");
+const saveCsvBtn = document.getElementById("saveCsv");
+const baselineEl = document.getElementById("baseline");
+const compareEl = document.getElementById("compare");
+const chartTimeEl = document.getElementById("chartTime");
+const chartOccEl = document.getElementById("chartOcc");
 const logEl  = document.getElementById("log");
 const log = (s)=> (logEl.textContent += s + "\n");
 
+const SWEEP_PLAN = expandSweep(SWEEP);
+const PRESETS = SWEEP_PLAN.presets;
+let imageFile = null;
+let lastRun = null;   // { meta, results } of the last finished run
+let baseline = null;  // { name, meta, results } loaded for comparison
+
 function waitCvReady(){
   return new Promise(res=>{
     const t = setInterval(()=>{
@@ -95,6 +120,241 @@ async function benchmarkPreset(gray, w, h, preset){
   };
 }
 
+// ---------------- Matching quality ----------------
+// Ground truth: tilt narrows the top edge (perspective), then rotation + scale about the
+// image centre. Returns the row-major 9-array mapping reference -> transformed pixels.
+function transformHomography(w, h, t){
+  const tilt = (t.tilt ?? 0) * w / 2;
+  const a = (t.rotation ?? 0) * Math.PI / 180, s = t.scale ?? 1;
+  const cx = w / 2, cy = h / 2;
+  const src = [0, 0, w, 0, w, h, 0, h];
+  const tilted = [tilt, 0, w - tilt, 0, w, h, 0, h];
+  const dst = [];
+  for (let i = 0; i < 8; i += 2){
+    const x = tilted[i] - cx, y = tilted[i + 1] - cy;
+    dst.push(cx + s * (x * Math.cos(a) - y * Math.sin(a)), cy + s * (x * Math.sin(a) + y * Math.cos(a)));
+  }
+  return homographyFromCorners(src, dst);
+}
+
+// gray -> new CV_8UC1 Mat: warp, motion blur (line PSF as in the deblur stage), then
+// brightness and noise (seeded, so every preset sees the same pixels)
+function renderTransform(gray, H, t, seed){
+  const out = new cv.Mat();
+  const Hm = cv.matFromArray(3, 3, cv.CV_64F, H);
+  cv.warpPerspective(gray, out, Hm, new cv.Size(gray.cols, gray.rows),
+    cv.INTER_LINEAR, cv.BORDER_CONSTANT, new cv.Scalar(0));
+  Hm.delete();
+
+  if ((t.blurLen ?? 0) > 1){
+    const { ksize, data } = linePSFKernel(t.blurLen, t.blurAngle ?? 0);
+    const psf = cv.matFromArray(ksize, ksize, cv.CV_32F, data);
+    cv.filter2D(out, out, -1, psf, new cv.Point(-1, -1), 0, cv.BORDER_REPLICATE);
+    psf.delete();
+  }
+
+  applyLighting(out.data, { gain: t.gain ?? 1, bias: t.bias ?? 0, gamma: 1, noiseStd: t.noiseStd ?? 0, seed });
+  return out;
+}
+
+function renderTransforms(gray, w, h){
+  return MATCH_TRANSFORMS.map((t, i) => {
+    const H = transformHomography(w, h, t);
+    return { name: t.name, H, img: renderTransform(gray, H, t, i + 1) };
+  });
+}
+
+// Mean distance (px) between the image corners mapped by the estimate and by the truth
+function cornerError(Hest, Htrue, w, h){
+  let sum = 0;
+  for (const [x, y] of [[0, 0], [w, 0], [w, h], [0, h]]){
+    const a = projectPoint(Hest, x, y), b = projectPoint(Htrue, x, y);
+    sum += Math.hypot(a.x - b.x, a.y - b.y);
+  }
+  return sum / 4;
+}
+
+function median(values){
+  if (!values.length) return NaN;
+  const v = values.slice().sort((a, b) => a - b);
+  const m = v.length >> 1;
+  return v.length % 2 ? v[m] : (v[m - 1] + v[m]) / 2;
+}
+
+// Reference = the untransformed image; every view is matched like a live frame
+// (LSH ratio matching, RANSAC homography) and the estimate compared with the ground truth.
+function matchPreset(gray, w, h, preset, views){
+  const p = preset.params.slice();
+  p[6] = resolveScoreType(p[6]); // scoreType
+  const orb = new cv.ORB(...p);
+
+  const ref = runOnce(gray, orb);
+  const refPts = [];
+  for (let i = 0; i < ref.kps.size(); i++){
+    const pt = ref.kps.get(i).pt;
+    refPts.push(pt.x, pt.y);
+  }
+  const index = ref.desc.rows ? buildLSHIndex(new Uint8Array(ref.desc.data), ref.desc.rows, LSH_DEFAULTS) : null;
+  ref.kps.delete(); ref.desc.delete();
+
+  const perView = [];
+  for (const view of views){
+    const live = runOnce(view.img, orb);
+    const r = { name: view.name, matches: 0, inliers: 0, inlierRatio: 0, cornerErr: NaN, ok: false };
+
+    if (index && live.desc.rows){
+      // one entry per live row, null where the ratio test failed
+      const matches = lshMatchRatio(index, new Uint8Array(live.desc.data), live.desc.rows, {
+        maxCandidates: MATCH.maxCandidates, ratio: MATCH.ratio, useMultiProbe: MATCH.useMultiProbe
+      }).filter(Boolean);
+      r.matches = matches.length;
+
+      if (matches.length >= 4){
+        const srcPts = [], dstPts = [];
+        for (const m of matches){
+          const pt = live.kps.get(m.trainIdx).pt;
+          srcPts.push(refPts[2 * m.queryIdx], refPts[2 * m.queryIdx + 1]);
+          dstPts.push(pt.x, pt.y);
+        }
+        const srcMat = cv.matFromArray(matches.length, 1, cv.CV_32FC2, srcPts);
+        const dstMat = cv.matFromArray(matches.length, 1, cv.CV_32FC2, dstPts);
+        const inlierMask = new cv.Mat();
+        const H = cv.findHomography(srcMat, dstMat, cv.RANSAC, MATCH.ransacThresh, inlierMask);
+
+        if (H && !H.empty()){
+          r.inliers = cv.countNonZero(inlierMask);
+          r.inlierRatio = r.inliers / matches.length;
+          r.cornerErr = cornerError(homographyToArray(H), view.H, w, h);
+          r.ok = r.inliers >= MATCH.minInliers && r.cornerErr <= MATCH.maxCornerErrorPx;
+        }
+        if (H) H.delete();
+        srcMat.delete(); dstMat.delete(); inlierMask.delete();
+      }
+    }
+
+    live.kps.delete(); live.desc.delete();
+    perView.push(r);
+  }
+  orb.delete();
+
+  const errors = perView.filter(r => Number.isFinite(r.cornerErr)).map(r => r.cornerErr);
+  const mean = (f) => perView.reduce((s, r) => s + f(r), 0) / perView.length;
+  return {
+    perView,
+    meanMatches: mean(r => r.matches),
+    meanInlierRatio: mean(r => r.inlierRatio),
+    meanCornerErr: errors.length ? errors.reduce((s, e) => s + e, 0) / errors.length : NaN,
+    medianCornerErr: median(errors),
+    successRate: perView.filter(r => r.ok).length / perView.length,
+    failed: perView.filter(r => !r.ok).map(r => r.name)
+  };
+}
+
+const round = (x, d) => Number.isFinite(x) ? Number(x.toFixed(d)) : null;
+
+// ---------------- Sweep progress ----------------
+// Everything that shapes a result row; saved progress only resumes under the same values
+function runKey(matching){
+  return progressKey(imageFile, {
+    presets: PRESETS.map(p => [p.name, p.params]),
+    runs: RUNS, warmup: WARMUP, grid: GRID,
+    matching: matching ? { transforms: MATCH_TRANSFORMS, settings: MATCH } : null
+  });
+}
+
+function formatDuration(ms){
+  const s = Math.round(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+function showProgress(done, total, text){
+  progressEl.max = total;
+  progressEl.value = done;
+  statusEl.textContent = `${done}/${total} presets${text ? `, ${text}` : ""}`;
+}
+
+// ---------------- Report: charts + baseline comparison ----------------
+// Time and occupancy vs nfeatures, one line per preset family (as Tests/python/plot.py);
+// baseline lines dashed in the same colour.
+function drawCharts(){
+  const runs = [[lastRun?.results, [], ""], [baseline?.results, [5, 4], " (baseline)"]];
+  const families = [...new Set(runs.flatMap(([rows]) => (rows ?? []).map(rowFamily)))];
+  const seriesOf = (metric) => runs.flatMap(([rows, dash, suffix]) => !rows ? [] : families.map((f, i) => ({
+    label: f + suffix,
+    color: targetColor(i),
+    dash,
+    points: rows.filter(r => rowFamily(r) === f).map(r => [rowNfeatures(r), metric(r)])
+  })).filter(s => s.points.length));
+
+  drawLineChart(chartTimeEl, seriesOf(r => r.avg_ms),
+    { title: "avg_ms (detectAndCompute) vs nfeatures", xLabel: "nfeatures (cap)", yLabel: "avg_ms" });
+  drawLineChart(chartOccEl, seriesOf(r => r.grid_occupancy_percent),
+    { title: "Grid occupancy vs nfeatures", xLabel: "nfeatures (cap)", yLabel: "occupancy %" });
+}
+
+const fmtNum = (v, digits) => Number.isFinite(v) ? v.toFixed(digits) : "";
+
+function fmtDelta(v, digits, unit = ""){
+  if (v == null) return "";
+  return `${v > 0 ? "+" : ""}${v.toFixed(digits)}${unit}`;
+}
+
+function renderComparison(){
+  compareEl.textContent = "";
+  if (!lastRun || !baseline) return;
+
+  const { rows, regressed } = compareResults(lastRun.results, baseline.results, COMPARE);
+  const notes = [];
+  const bm = baseline.meta, cm = lastRun.meta;
+  if (bm?.image?.sha256 && cm.image.sha256 && bm.image.sha256 !== cm.image.sha256) notes.push("baseline was measured on a different image");
+  if (bm && bm.userAgent !== cm.userAgent) notes.push(`baseline browser: ${bm.userAgent}`);
+  if (bm && bm.opencv !== cm.opencv) notes.push(`baseline opencv.js ${bm.opencv}, now ${cm.opencv}`);
+
+  const summary = document.createElement("p");
+  summary.textContent = `${regressed} regression(s) against ${baseline.name}` +
+    `${bm?.date ? ` (${bm.date})` : ""}; tolerance: time +${COMPARE.maxSlowdown * 100}%, ` +
+    `occupancy -${COMPARE.maxOccupancyDrop * 100} pts, matching success -${COMPARE.maxSuccessDrop * 100} pts` +
+    notes.map(n => `\n  note: ${n}`).join("");
+  compareEl.appendChild(summary);
+
+  const table = document.createElement("table");
+  const header = ["preset", "base ms", "ms", "\u0394 ms", "base occ %", "occ %", "\u0394 occ", "\u0394 features", "\u0394 success", "flags"];
+  const tr = (cells, tag = "td") => {
+    const row = document.createElement("tr");
+    for (const c of cells){
+      const cell = document.createElement(tag);
+      cell.textContent = c;
+      row.appendChild(cell);
+    }
+    return row;
+  };
+  table.appendChild(tr(header, "th"));
+  for (const r of rows){
+    const { base, cur, deltas } = r;
+    const row = tr([
+      r.preset,
+      fmtNum(base?.avg_ms, 2),
+      fmtNum(cur?.avg_ms, 2),
+      fmtDelta(deltas.msPercent, 1, "%"),
+      fmtNum(base?.grid_occupancy_percent, 1),
+      fmtNum(cur?.grid_occupancy_percent, 1),
+      fmtDelta(deltas.occupancy == null ? null : deltas.occupancy * 100, 1, " pts"),
+      fmtDelta(deltas.features, 0),
+      fmtDelta(deltas.success == null ? null : deltas.success * 100, 0, " pts"),
+      r.status !== "both" ? r.status : r.regressions.join(", ")
+    ]);
+    if (r.regressions.length) row.className = "regression";
+    else if (r.status !== "both") row.className = "unmatched";
+    table.appendChild(row);
+  }
+  compareEl.appendChild(table);
+}
+
+function renderReport(){
+  drawCharts();
+  renderComparison();
+}
+
 function saveResultsXLSX(rows, filename){
   // rows: array of plain objects (each object -> one Excel row)
   const ws = XLSX.utils.json_to_sheet(rows);
@@ -107,10 +367,27 @@ async function main(){
   await waitCvReady();
   log("OpenCV ready");
 
+  saveJsonBtn.onclick = ()=> download(resultsToJSON(lastRun.results, lastRun.meta), "orb_benchmark.json", "application/json");
+  saveCsvBtn.onclick = ()=> download(resultsToCSV(lastRun.results), "orb_benchmark.csv", "text/csv");
+
+  baselineEl.onchange = async ()=>{
+    const f = baselineEl.files && baselineEl.files[0];
+    if (!f) return;
+    try {
+      const { meta, results } = parseResultsFile(await f.text(), f.name);
+      baseline = { name: f.name, meta, results };
+      log(`Baseline: ${f.name}, ${results.length} presets${meta ? ` (${meta.date}, opencv.js ${meta.opencv})` : ""}`);
+      renderReport();
+    } catch (err) {
+      log(`Baseline not loaded: ${err.message}`);
+    }
+  };
+
   fileEl.onchange = ()=>{
     const f = fileEl.files && fileEl.files[0];
     if (!f) return;
     logEl.textContent = "";
+    imageFile = f;
 
     imgEl.onload = ()=>{
       canvas.width = imgEl.naturalWidth;
@@ -118,7 +395,14 @@ async function main(){
       canvas.getContext("2d").drawImage(imgEl, 0, 0);
       btn.disabled = false;
       log(`Image: ${imgEl.naturalWidth}x${imgEl.naturalHeight}`);
-      log(`Presets: ${PRESETS.length}, runs=${RUNS}, warmup=${WARMUP}, grid=${GRID}x${GRID}`);
+      const rejected = Object.entries(SWEEP_PLAN.rejected).map(([name, n]) => `, ${n} failing ${name}`).join("");
+      log(`Sweep (${SWEEP.mode}): ${PRESETS.length} presets of ${SWEEP_PLAN.combinations} combinations${rejected}`);
+      log(`Runs=${RUNS}, warmup=${WARMUP}, grid=${GRID}x${GRID}`);
+      log(`Matching transforms: ${MATCH_TRANSFORMS.length} (${MATCH_TRANSFORMS.map(t => t.name).join(", ")})`);
+
+      const saved = loadProgress(runKey(matchEl.checked)).length;
+      if (saved) log(`Saved progress for this image: ${saved}/${PRESETS.length} presets, Run continues it`);
+      showProgress(saved, PRESETS.length);
     };
 
     imgEl.src = URL.createObjectURL(f);
@@ -134,21 +418,52 @@ async function main(){
     const w = imgEl.naturalWidth;
     const h = imgEl.naturalHeight;
 
+    const matching = matchEl.checked;
+    const views = [];
+    try {
+      if (matching) views.push(...renderTransforms(gray, w, h));
+      await runSweep(gray, w, h, matching, views);
+    } catch (err) {
+      log(`\nRun failed: ${err.message}`);
+      console.error(err);
+    } finally {
+      for (const v of views) v.img.delete();
+      gray.delete();
+      src.delete();
+      btn.disabled = false;
+    }
+  };
+
+  // every preset not in the saved progress, then the report; the caller owns the Mats
+  async function runSweep(gray, w, h, matching, views){
     log("");
-    log("name\tavg_ms\tfeatures\tgrid_occ\tdensity");
+    log("name\tavg_ms\tfeatures\tgrid_occ\tdensity" + (matching ? "\tmatches\tinlier%\tcorner_err_px\tsuccess" : ""));
+
+    const key = runKey(matching);
+    const saved = new Map(loadProgress(key).map(row => [row.preset, row]));
+    const todo = PRESETS.filter(p => !saved.has(p.name)).length;
+    if (saved.size) log(`(resuming: ${PRESETS.length - todo} presets from saved progress)`);
 
     const results = [];
+    const t0 = performance.now();
+    let measured = 0;
 
     for (const preset of PRESETS){
+      const done = saved.get(preset.name);
+      if (done){
+        results.push(done);
+        log(`${done.preset}\t${done.avg_ms.toFixed(2)}\t${done.features}\t(saved)`);
+        continue;
+      }
+
       const r = await benchmarkPreset(gray, w, h, preset);
 
       const occText = `${r.spreadOcc}/${r.spreadTotal} (${(r.spreadRatio*100).toFixed(1)}%)`;
       const densText = r.densityPerOccupiedCell.toFixed(2);
 
-      log(`${r.name}\t${r.avgMs.toFixed(2)}\t${r.features}\t${occText}\t${densText}`);
-
-      results.push({
+      const row = {
         preset: r.name,
+        ...preset.orbParams,
         avg_ms: Number(r.avgMs.toFixed(3)),
         features: r.features,
         grid: r.grid,
@@ -161,18 +476,69 @@ async function main(){
         image_height: h,
         runs: RUNS,
         warmup: WARMUP
-      });
-    }
+      };
+
+      let matchText = "";
+      if (matching){
+        const m = matchPreset(gray, w, h, preset, views);
+        matchText = `\t${m.meanMatches.toFixed(1)}\t${(m.meanInlierRatio*100).toFixed(1)}\t` +
+          `${Number.isFinite(m.meanCornerErr) ? m.meanCornerErr.toFixed(2) : "-"}\t` +
+          `${(m.successRate*100).toFixed(0)}%${m.failed.length ? ` (failed: ${m.failed.join(", ")})` : ""}`;
+        Object.assign(row, {
+          match_transforms: views.length,
+          match_mean_matches: round(m.meanMatches, 2),
+          match_mean_inlier_ratio: round(m.meanInlierRatio, 4),
+          match_mean_corner_error_px: round(m.meanCornerErr, 3),
+          match_median_corner_error_px: round(m.medianCornerErr, 3),
+          match_success_rate: round(m.successRate, 4),
+          match_failed: m.failed.join(", ")
+        });
+        for (const v of m.perView){
+          row[`${v.name}_matches`] = v.matches;
+          row[`${v.name}_inlier_ratio`] = round(v.inlierRatio, 4);
+          row[`${v.name}_corner_error_px`] = round(v.cornerErr, 3);
+        }
+      }
 
-    // Save Excel
-    saveResultsXLSX(results, "orb_benchmark.xlsx");
-    log("\nSaved: orb_benchmark.xlsx");
+      log(`${r.name}\t${r.avgMs.toFixed(2)}\t${r.features}\t${occText}\t${densText}${matchText}`);
+      results.push(row);
+      saveProgress(key, results);
 
-    gray.delete();
-    src.delete();
+      measured++;
+      const elapsed = performance.now() - t0;
+      showProgress(results.length, PRESETS.length,
+        `${formatDuration(elapsed)} elapsed, ~${formatDuration(elapsed / measured * (todo - measured))} left`);
+      await new Promise(res => setTimeout(res, 0)); // repaint the log and progress bar
+    }
 
-    btn.disabled = false;
-  };
+    // Pareto front on speed (avg_ms, lower) vs coverage (grid occupancy, higher)
+    const front = paretoFront(results, "avg_ms", "grid_occupancy_ratio");
+    results.forEach((row, i) => { row.pareto_speed_coverage = front[i]; });
+    log("\nPareto-optimal (speed vs coverage):");
+    for (const row of results.filter((_, i) => front[i]).sort((a, b) => a.avg_ms - b.avg_ms)){
+      log(`${row.preset}\t${row.avg_ms.toFixed(2)} ms\t${row.grid_occupancy_percent.toFixed(1)}%`);
+    }
+
+    lastRun = {
+      meta: await environmentMeta(imageFile, w, h, {
+        sweep: { ...SWEEP, constraints: SWEEP.constraints.map(c => c.name) },
+        runs: RUNS, warmup: WARMUP, grid: GRID,
+        matching: matching ? { transforms: MATCH_TRANSFORMS, settings: MATCH } : null
+      }),
+      results
+    };
+    saveJsonBtn.disabled = saveCsvBtn.disabled = false;
+    renderReport();
+
+    // Save Excel (SheetJS comes from a CDN; offline, JSON / CSV still work)
+    if (window.XLSX){
+      saveResultsXLSX(results, "orb_benchmark.xlsx");
+      log("\nSaved: orb_benchmark.xlsx");
+    } else {
+      log("\nSheetJS not loaded, no .xlsx written: use Save JSON / Save CSV");
+    }
+    clearProgress(key);
+  }
 }
 
 main();
@@ -0,0 +1,164 @@
+// results.js - Benchmark result files without dependencies (main.js)
+// JSON: { format, version, meta, results } with the environment the run happened in;
+// CSV: the result rows only (one column per field, union over all rows). Both load back as
+// a baseline for compareResults, which lists per-preset deltas and flags regressions.
+
+export const RESULTS_FORMAT = "orb-benchmark";
+export const RESULTS_VERSION = 1;
+
+// ---------------- Environment ----------------
+async function sha256Hex(bytes){
+  // crypto.subtle needs a secure context (https or localhost)
+  if (!globalThis.crypto?.subtle) return null;
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+  return Array.from(digest, b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function opencvVersion(){
+  const info = typeof cv !== "undefined" && cv.getBuildInformation ? cv.getBuildInformation() : "";
+  return /OpenCV\s+(\d+(?:\.\d+)+)/.exec(info)?.[1] ?? "unknown";
+}
+
+// file: the benchmarked image File; settings: the benchmark configuration (config.js values)
+export async function environmentMeta(file, width, height, settings){
+  return {
+    date: new Date().toISOString(),
+    userAgent: navigator.userAgent,
+    hardwareConcurrency: navigator.hardwareConcurrency ?? null,
+    opencv: opencvVersion(),
+    image: {
+      name: file.name,
+      bytes: file.size,
+      width,
+      height,
+      sha256: await sha256Hex(await file.arrayBuffer())
+    },
+    settings
+  };
+}
+
+// ---------------- JSON ----------------
+export function resultsToJSON(rows, meta){
+  return JSON.stringify({ format: RESULTS_FORMAT, version: RESULTS_VERSION, meta, results: rows }, null, 2) + "\n";
+}
+
+// ---------------- CSV ----------------
+function csvField(v){
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function resultsToCSV(rows){
+  const columns = [];
+  for (const row of rows){
+    for (const k of Object.keys(row)) if (!columns.includes(k)) columns.push(k);
+  }
+  const lines = [columns.map(csvField).join(",")];
+  for (const row of rows) lines.push(columns.map(k => csvField(row[k])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+// RFC 4180 records -> arrays of fields
+function parseCSVRecords(text){
+  const records = [];
+  let record = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++){
+    const c = text[i];
+    if (quoted){
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      record.push(field); field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      record.push(field); field = "";
+      records.push(record); record = [];
+    } else {
+      field += c;
+    }
+  }
+  if (field || record.length) { record.push(field); records.push(record); }
+  return records.filter(r => r.length > 1 || r[0] !== "");
+}
+
+// Field text back to the value resultsToCSV wrote (numbers, booleans, empty = null)
+function csvValue(s){
+  if (s === "") return null;
+  if (s === "true" || s === "false") return s === "true";
+  const n = Number(s);
+  return Number.isFinite(n) && /^-?[\d.]/.test(s) ? n : s;
+}
+
+// ---------------- Loading ----------------
+// Saved JSON or CSV results -> { meta (null for CSV), results }
+export function parseResultsFile(text, name = "results"){
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith("{")){
+    const doc = JSON.parse(trimmed);
+    if (doc.format !== RESULTS_FORMAT || !Array.isArray(doc.results)) {
+      throw new Error(`${name}: not an ${RESULTS_FORMAT} JSON file`);
+    }
+    if (doc.version > RESULTS_VERSION) throw new Error(`${name}: results version ${doc.version} is newer than this page (${RESULTS_VERSION})`);
+    return { meta: doc.meta ?? null, results: doc.results };
+  }
+  const [header, ...records] = parseCSVRecords(text);
+  if (!header || !header.includes("preset") || !header.includes("avg_ms")) {
+    throw new Error(`${name}: CSV needs "preset" and "avg_ms" columns`);
+  }
+  const results = records.map(r => Object.fromEntries(header.map((k, i) => [k, csvValue(r[i] ?? "")])));
+  return { meta: null, results };
+}
+
+// ---------------- Comparison ----------------
+// tolerance (fractions): slowdown of avg_ms, drop of grid_occupancy_ratio and of
+// match_success_rate (when both runs measured matching) before a preset counts as regressed.
+// -> { rows: [{ preset, status: "both" | "added" | "removed", base, cur, deltas, regressions }], regressed }
+export function compareResults(current, baseline, tolerance){
+  const byName = new Map(baseline.map(r => [String(r.preset), r]));
+  const seen = new Set();
+  const rows = [];
+  const diff = (a, b) => Number.isFinite(a) && Number.isFinite(b) ? a - b : null;
+
+  for (const cur of current){
+    const name = String(cur.preset);
+    const base = byName.get(name);
+    seen.add(name);
+    if (!base){
+      rows.push({ preset: name, status: "added", base: null, cur, deltas: {}, regressions: [] });
+      continue;
+    }
+    const deltas = {
+      msPercent: Number.isFinite(cur.avg_ms) && base.avg_ms > 0 ? (cur.avg_ms / base.avg_ms - 1) * 100 : null,
+      features: diff(cur.features, base.features),
+      occupancy: diff(cur.grid_occupancy_ratio, base.grid_occupancy_ratio),
+      success: diff(cur.match_success_rate, base.match_success_rate)
+    };
+    const regressions = [];
+    if (deltas.msPercent != null && deltas.msPercent > tolerance.maxSlowdown * 100) regressions.push("time");
+    if (deltas.occupancy != null && deltas.occupancy < -tolerance.maxOccupancyDrop) regressions.push("occupancy");
+    if (deltas.success != null && deltas.success < -tolerance.maxSuccessDrop) regressions.push("matching");
+    rows.push({ preset: name, status: "both", base, cur, deltas, regressions });
+  }
+  for (const [name, base] of byName){
+    if (!seen.has(name)) rows.push({ preset: name, status: "removed", base, cur: null, deltas: {}, regressions: [] });
+  }
+  return { rows, regressed: rows.filter(r => r.regressions.length).length };
+}
+
+// nfeatures cap of a row; rows written before the ORB parameter columns carry it in the
+// preset name only (harris_500)
+export function rowNfeatures(row){
+  if (Number.isFinite(row.nfeatures)) return row.nfeatures;
+  const token = String(row.preset).split("_").find(t => /^\d+$/.test(t));
+  return token ? Number(token) : NaN;
+}
+
+// Preset family for charts: the name without its nfeatures part (harris_500_ft20 -> harris_ft20)
+export function rowFamily(row){
+  const n = String(rowNfeatures(row));
+  return String(row.preset).split("_").filter(t => t !== n).join("_") || String(row.preset);
+}
@@ -0,0 +1,150 @@
+// sweep.js - ORB parameter sweeps for the benchmark (main.js; the spec lives in config.js)
+// expandSweep turns a declarative spec into presets: every combination ("grid") or
+// `samples` distinct seeded draws ("random"), skipping combinations a constraint rejects.
+// Progress is kept in localStorage per sweep + image, so a reloaded tab can resume.
+
+import { ORB_PARAM_KEYS, validateOrbParams } from "../App/orbparams.js";
+
+// Preset names: score type, then the value of every parameter the sweep varies or that
+// differs from spec.named
+const NAME_PREFIX = {
+  nfeatures: "", scaleFactor: "sf", nlevels: "nl", edgeThreshold: "et", firstLevel: "fl",
+  WTA_K: "wta", patchSize: "ps", fastThreshold: "ft"
+};
+
+function mulberry32(seed){
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ---------------- Expansion ----------------
+// One parameter's spec: a single value, a list of values or an inclusive range { from, to, step }
+function paramValues(key, spec){
+  if (Array.isArray(spec)){
+    if (!spec.length) throw new Error(`sweep: ${key} has an empty value list`);
+    return spec.slice();
+  }
+  if (spec && typeof spec === "object"){
+    const { from, to, step } = spec;
+    if (![from, to, step].every(Number.isFinite) || step <= 0 || to < from) {
+      throw new Error(`sweep: ${key} range needs numbers from <= to and step > 0, got ${JSON.stringify(spec)}`);
+    }
+    const n = Math.floor((to - from) / step + 1e-9) + 1;
+    // toPrecision drops the float noise of from + i * step (1.1 + 0.1 ...)
+    return Array.from({ length: n }, (_, i) => Number((from + i * step).toPrecision(12)));
+  }
+  return [spec];
+}
+
+// spec: { mode: "grid" | "random", samples, seed, params: { <ORB parameter>: values },
+//         constraints: [{ name, test(orbParams) -> bool }],
+//         named: { <ORB parameter>: value } (named in presets whenever it differs) }
+// -> { presets: [{ name, params (cv.ORB argument order), orbParams }], combinations, rejected }
+// rejected: { <constraint name>: combinations it skipped }
+export function expandSweep({ mode = "grid", samples = 50, seed = 1, params, constraints = [], named = {} }){
+  if (mode !== "grid" && mode !== "random") throw new Error(`sweep: mode must be "grid" or "random", got ${JSON.stringify(mode)}`);
+  for (const k of [...Object.keys(params), ...Object.keys(named)]){
+    if (!ORB_PARAM_KEYS.includes(k)) throw new Error(`sweep: unknown ORB parameter "${k}"`);
+  }
+  const axes = ORB_PARAM_KEYS.map(k => {
+    if (!(k in params)) throw new Error(`sweep: ORB parameter "${k}" is missing`);
+    return [k, paramValues(k, params[k])];
+  });
+  const varying = axes.filter(([k, v]) => v.length > 1 && k !== "scoreType").map(([k]) => k);
+  const combinations = axes.reduce((n, [, v]) => n * v.length, 1);
+
+  // mixed-radix combination index -> orbParams (last parameter varies fastest)
+  const combination = (index) => {
+    const p = {};
+    for (let a = axes.length - 1; a >= 0; a--){
+      const [k, v] = axes[a];
+      p[k] = v[index % v.length];
+      index = Math.floor(index / v.length);
+    }
+    return p;
+  };
+
+  const rejected = {};
+  const presets = [];
+  const accept = (index) => {
+    const p = combination(index);
+    const failed = constraints.find(c => !c.test(p));
+    if (failed){
+      rejected[failed.name] = (rejected[failed.name] ?? 0) + 1;
+      return;
+    }
+    const keys = ORB_PARAM_KEYS.filter(k => k !== "scoreType" && (varying.includes(k) || (k in named && p[k] !== named[k])));
+    const name = [String(p.scoreType).toLowerCase(), ...keys.map(k => `${NAME_PREFIX[k]}${p[k]}`)].join("_");
+    validateOrbParams(p, `sweep preset ${name}`);
+    presets.push({ name, params: ORB_PARAM_KEYS.map(k => p[k]), orbParams: p });
+  };
+
+  if (mode === "grid"){
+    for (let i = 0; i < combinations; i++) accept(i);
+  } else {
+    // distinct draws until `samples` pass the constraints or the space / attempts run out
+    const rnd = mulberry32(seed);
+    const tried = new Set();
+    const maxAttempts = samples * 100;
+    for (let attempt = 0; presets.length < samples && tried.size < combinations && attempt < maxAttempts; attempt++){
+      const i = Math.floor(rnd() * combinations);
+      if (tried.has(i)) continue;
+      tried.add(i);
+      accept(i);
+    }
+  }
+  if (!presets.length) throw new Error(`sweep: every combination was rejected (${JSON.stringify(rejected)})`);
+  return { presets, combinations, rejected };
+}
+
+// ---------------- Pareto front ----------------
+// Per row: true when no other row is at least as good on both axes (lower `cost`, higher
+// `gain`) and strictly better on one. Rows missing either value are never on the front.
+export function paretoFront(rows, cost, gain){
+  const ok = (r) => Number.isFinite(r[cost]) && Number.isFinite(r[gain]);
+  return rows.map(a => ok(a) && !rows.some(b => ok(b) &&
+    b[cost] <= a[cost] && b[gain] >= a[gain] && (b[cost] < a[cost] || b[gain] > a[gain])));
+}
+
+// ---------------- Resume ----------------
+// Finished result rows are stored after every preset. The key covers the image file and a
+// fingerprint of everything that shapes the rows (presets, run counts, matching settings),
+// so changing the config starts a fresh sweep instead of mixing results.
+export function progressKey(file, settings){
+  const text = JSON.stringify(settings);
+  let h = 0x811C9DC5; // FNV-1a
+  for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193) >>> 0;
+  return `orb_benchmark:${file.name}:${file.size}:${file.lastModified}:${h.toString(16)}`;
+}
+
+// -> saved result rows ([] when there are none or storage is unavailable)
+export function loadProgress(key){
+  try {
+    const rows = JSON.parse(localStorage.getItem(key) ?? "[]");
+    return Array.isArray(rows) ? rows : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveProgress(key, rows){
+  try {
+    localStorage.setItem(key, JSON.stringify(rows));
+  } catch (err) {
+    console.warn("benchmark progress not saved:", err);
+  }
+}
+
+export function clearProgress(key){
+  try {
+    localStorage.removeItem(key);
+  } catch {
+    // storage unavailable: nothing was saved
+  }
+}